@@ -0,0 +1,120 @@
+const { isValidSessionId, loadAudit } = require('../lib/audits');
+const { parseFilters, queryAudits, toCSV } = require('../lib/admin');
+const { listTemplates, addTemplate, loadExperiment, saveExperiment } = require('../lib/prompts');
+const { corsHeaders, protect, hasApiKey } = require('../lib/guard');
+const { listTenants } = require('../lib/tenants');
+
+// Team dashboard API behind ADMIN_PASSWORD (sent as `Authorization: Bearer <password>`); disabled when unset
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// GET /api/admin?language=&industry=&rating=&booked=&variant=&from=&to=&limit=&offset= — rows, phase funnel, variant report
+// GET /api/admin?…&format=csv — the same selection as CSV, unpaged
+// GET /api/admin?sessionId=… — the full audit record with its transcript
+// GET /api/admin?view=prompts — prompt templates and the current experiment
+// GET /api/admin?view=tenants — the tenants the dashboard can switch between
+// POST /api/admin { template: { name, content } } — store the next version of a prompt template
+// PUT /api/admin { experiment } — replace the experiment (variants, weights, templates, variables)
+// Every call works on one tenant's data, chosen with X-Audit-Tenant (default: the host's tenant)
+exports.handler = async (event) => {
+  const headers = {
+    ...corsHeaders(event),
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Audit-Tenant',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (!['GET', 'POST', 'PUT'].includes(event.httpMethod)) {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  if (!ADMIN_PASSWORD) {
+    return { statusCode: 404, headers, body: JSON.stringify({ error: 'The admin dashboard is not enabled' }) };
+  }
+
+  // Rate limited before the password check, so guesses count against the limit
+  const rejection = await protect(event, 'admin', headers, { requireToken: false });
+  if (rejection) return rejection;
+
+  if (!hasApiKey(event, ADMIN_PASSWORD)) {
+    return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid password' }) };
+  }
+
+  try {
+    const query = event.queryStringParameters || {};
+
+    if (event.httpMethod === 'POST') {
+      const { template } = JSON.parse(event.body || '{}');
+      const { ref, errors } = await addTemplate(event, template && template.name, template && template.content);
+      if (errors) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid template', details: errors }) };
+      }
+      return { statusCode: 201, headers, body: JSON.stringify({ ref }) };
+    }
+
+    if (event.httpMethod === 'PUT') {
+      const { experiment } = JSON.parse(event.body || '{}');
+      const errors = await saveExperiment(event, experiment);
+      if (errors.length) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid experiment', details: errors }) };
+      }
+      return { statusCode: 200, headers, body: JSON.stringify({ experiment: await loadExperiment(event) }) };
+    }
+
+    if (query.view === 'tenants') {
+      const tenants = listTenants().map(({ id, name, hosts }) => ({ id, name, hosts }));
+      return { statusCode: 200, headers, body: JSON.stringify({ tenants }) };
+    }
+
+    if (query.view === 'prompts') {
+      const [templates, experiment] = await Promise.all([listTemplates(event), loadExperiment(event)]);
+      return { statusCode: 200, headers, body: JSON.stringify({ templates, experiment }) };
+    }
+
+    if (query.sessionId) {
+      if (!isValidSessionId(query.sessionId)) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid session' }) };
+      }
+      const audit = await loadAudit(event, query.sessionId);
+      if (audit.transcript.length === 0) {
+        return { statusCode: 404, headers, body: JSON.stringify({ error: 'Session not found' }) };
+      }
+      return { statusCode: 200, headers, body: JSON.stringify(audit) };
+    }
+
+    const format = query.format || 'json';
+    if (format !== 'csv' && format !== 'json') {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'format must be csv or json' }) };
+    }
+
+    const filters = parseFilters(query);
+    const { rows, funnel, variants } = await queryAudits(event, filters);
+
+    if (format === 'csv') {
+      return {
+        statusCode: 200,
+        headers: { ...headers, 'Content-Type': 'text/csv; charset=utf-8', 'Content-Disposition': 'attachment; filename="audits.csv"' },
+        body: toCSV(rows),
+      };
+    }
+
+    const limit = Math.min(Math.max(Number(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = Math.max(Number(query.offset) || 0, 0);
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ filters, total: rows.length, offset, limit, funnel, variants, audits: rows.slice(offset, offset + limit) }),
+    };
+  } catch (error) {
+    console.error('Function error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Internal server error' }),
+    };
+  }
+};
@@ -0,0 +1,51 @@
+const { isValidSessionId, loadAudit, saveAudit } = require('../lib/audits');
+const { emitEvent } = require('../lib/integrations');
+const { corsHeaders, protect } = require('../lib/guard');
+
+// POST /api/booking { sessionId } — the booking link was clicked; fires booking.clicked once per session
+exports.handler = async (event) => {
+  const headers = corsHeaders(event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const { sessionId } = JSON.parse(event.body || '{}');
+
+    if (!isValidSessionId(sessionId)) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid session' }) };
+    }
+
+    const rejection = await protect(event, 'booking', headers, { sessionId });
+    if (rejection) return rejection;
+
+    const audit = await loadAudit(event, sessionId);
+    if (audit.transcript.length === 0) {
+      return { statusCode: 404, headers, body: JSON.stringify({ error: 'Session not found' }) };
+    }
+
+    if (!audit.bookingClickedAt) {
+      audit.bookingClickedAt = new Date().toISOString();
+      await saveAudit(event, audit);
+      await emitEvent(event, 'booking.clicked', audit);
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ ok: true }),
+    };
+  } catch (error) {
+    console.error('Function error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Internal server error' }),
+    };
+  }
+};
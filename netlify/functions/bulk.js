@@ -0,0 +1,101 @@
+const { normalizeSelectors } = require('../lib/dkim');
+const { parseDomainList, runBulk, toCSV, bulkSummary } = require('../lib/bulk');
+const { corsHeaders, protect, hasApiKey } = require('../lib/guard');
+
+// Internal tool for the team: disabled unless BULK_API_KEY is set
+const BULK_API_KEY = process.env.BULK_API_KEY;
+// Netlify stops synchronous functions after 10 seconds by default; raise the budget on plans that allow it.
+// A domain takes about two seconds, so by default a request takes what its parallel checks get through in the budget.
+const TIME_BUDGET_MS = Number(process.env.BULK_TIME_BUDGET_MS) || 8000;
+const CONCURRENCY = Number(process.env.BULK_CONCURRENCY) || 5;
+const CHECK_MS = 2000;
+const MAX_DOMAINS = Number(process.env.BULK_MAX_DOMAINS) || Math.max(1, Math.floor(TIME_BUDGET_MS / CHECK_MS)) * CONCURRENCY;
+const limits = { maxDomains: MAX_DOMAINS, timeBudgetMs: TIME_BUDGET_MS };
+
+// POST /api/bulk — a CSV (text/csv) or { domains: [...], selectors } body; ?format=csv|json (default json)
+exports.handler = async (event) => {
+  const started = Date.now();
+  const headers = { ...corsHeaders(event), 'Access-Control-Allow-Headers': 'Content-Type, Authorization' };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  if (!BULK_API_KEY) {
+    return { statusCode: 404, headers, body: JSON.stringify({ error: 'Bulk mode is not enabled' }) };
+  }
+  if (!hasApiKey(event, BULK_API_KEY)) {
+    return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid API key' }) };
+  }
+
+  const rejection = await protect(event, 'bulk', headers, { requireToken: false });
+  if (rejection) return rejection;
+
+  try {
+    const body = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : (event.body || '');
+    const contentType = (event.headers || {})['content-type'] || (event.headers || {})['Content-Type'] || '';
+    const format = (event.queryStringParameters || {}).format || 'json';
+
+    if (format !== 'csv' && format !== 'json') {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'format must be csv or json' }) };
+    }
+
+    let entries;
+    let selectors = [];
+    if (contentType.includes('application/json')) {
+      const parsed = JSON.parse(body);
+      if (!Array.isArray(parsed.domains)) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'domains must be an array' }) };
+      }
+      entries = parseDomainList(parsed.domains.map(String).join('\n'));
+      selectors = normalizeSelectors(parsed.selectors);
+    } else {
+      entries = parseDomainList(body);
+    }
+
+    if (entries.length === 0) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'No domains found in the request' }) };
+    }
+    if (entries.length > MAX_DOMAINS) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: `At most ${MAX_DOMAINS} domains per request, which is what fits the ${TIME_BUDGET_MS / 1000}-second time budget — split the list or use scripts/bulk-check.js`,
+          limits,
+        }),
+      };
+    }
+
+    const results = await runBulk(entries, {
+      concurrency: CONCURRENCY,
+      selectors,
+      deadline: started + TIME_BUDGET_MS,
+    });
+
+    if (format === 'csv') {
+      return {
+        statusCode: 200,
+        headers: { ...headers, 'Content-Type': 'text/csv; charset=utf-8', 'Content-Disposition': 'attachment; filename="deliverability.csv"' },
+        body: toCSV(results),
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ summary: bulkSummary(results), limits, results }),
+    };
+  } catch (error) {
+    console.error('Function error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Internal server error' }),
+    };
+  }
+};
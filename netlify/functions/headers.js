@@ -0,0 +1,70 @@
+const { validateHeaders, analyzeHeaders } = require('../lib/headers');
+const { corsHeaders, protect } = require('../lib/guard');
+const { isValidSessionId, loadAudit, isInProgress, saveAudit, summarizeHeaderAnalysis } = require('../lib/audits');
+
+// POST /api/headers — { headers: "<raw message headers>", sessionId? }
+exports.handler = async (event) => {
+  const headers = corsHeaders(event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  const rejection = await protect(event, 'headers', headers);
+  if (rejection) return rejection;
+
+  try {
+    const { headers: raw, sessionId } = JSON.parse(event.body);
+
+    const errors = validateHeaders(raw);
+    if (errors.length > 0) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: errors[0] }),
+      };
+    }
+
+    // Like the domain check, the analysis is stored with an audit in progress so the model sees it on
+    // the next turn; any other session is a 404
+    const attach = sessionId !== undefined && sessionId !== null;
+    if (attach && !(isValidSessionId(sessionId) && isInProgress(await loadAudit(event, sessionId)))) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: 'No audit in progress for this session' }),
+      };
+    }
+
+    const result = await analyzeHeaders(raw);
+
+    if (attach) {
+      try {
+        const audit = await loadAudit(event, sessionId);
+        if (isInProgress(audit)) {
+          audit.headerAnalysis = summarizeHeaderAnalysis(result, audit.transcript.length);
+          await saveAudit(event, audit);
+        }
+      } catch (error) {
+        console.error('Audit storage error:', error);
+      }
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify(result),
+    };
+  } catch (error) {
+    console.error('Function error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Internal server error' }),
+    };
+  }
+};
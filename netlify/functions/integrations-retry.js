@@ -0,0 +1,26 @@
+const { retryDueDeliveries } = require('../lib/integrations');
+const { listTenants, forTenant } = require('../lib/tenants');
+
+// Scheduled (see netlify.toml): retries queued webhook and CRM deliveries whose backoff has passed,
+// tenant by tenant until the time budget runs out
+const TIME_BUDGET_MS = Number(process.env.INTEGRATIONS_TIME_BUDGET_MS) || 25000;
+
+exports.handler = async (event) => {
+  const started = Date.now();
+
+  try {
+    let due = 0;
+    const results = [];
+    for (const tenant of listTenants()) {
+      const run = await retryDueDeliveries(forTenant(event, tenant.id), { deadline: started + TIME_BUDGET_MS });
+      due += run.due;
+      results.push(...run.results.map(r => ({ tenant: tenant.id, ...r })));
+    }
+    const delivered = results.filter(r => r.ok).length;
+    console.error(`Integration retries: ${delivered}/${results.length} delivered, ${due} due`);
+    return { statusCode: 200, body: JSON.stringify({ due, attempted: results.length, delivered, results }) };
+  } catch (error) {
+    console.error('Integration retry error:', error);
+    return { statusCode: 500, body: JSON.stringify({ error: 'Internal server error' }) };
+  }
+};
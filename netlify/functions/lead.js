@@ -0,0 +1,64 @@
+const { isValidSessionId, loadAudit, isInProgress, saveAudit } = require('../lib/audits');
+const { corsHeaders, protect } = require('../lib/guard');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+exports.handler = async (event) => {
+  const headers = corsHeaders(event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const { sessionId, name, email, company } = JSON.parse(event.body);
+
+    if (!isValidSessionId(sessionId)) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid session' }) };
+    }
+
+    const rejection = await protect(event, 'lead', headers, { sessionId });
+    if (rejection) return rejection;
+
+    const lead = {
+      name: typeof name === 'string' ? name.trim() : '',
+      email: typeof email === 'string' ? email.trim().toLowerCase() : '',
+      company: typeof company === 'string' ? company.trim() : '',
+    };
+
+    if (!lead.name || lead.name.length > 100) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Please enter your name' }) };
+    }
+    if (!EMAIL_PATTERN.test(lead.email) || lead.email.length > 254) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Please enter a valid email address' }) };
+    }
+    if (lead.company.length > 150) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Company name is too long' }) };
+    }
+
+    // Like a check, a lead only joins an audit in progress: no new records, and a finished audit stays as it was
+    const audit = await loadAudit(event, sessionId);
+    if (!isInProgress(audit)) {
+      return { statusCode: 404, headers, body: JSON.stringify({ error: 'No audit in progress for this session' }) };
+    }
+    audit.lead = { ...lead, company: lead.company || null, capturedAt: new Date().toISOString() };
+    await saveAudit(event, audit);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ ok: true }),
+    };
+  } catch (error) {
+    console.error('Function error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Internal server error' }),
+    };
+  }
+};
@@ -0,0 +1,19 @@
+const { runDueMonitors } = require('../lib/monitoring');
+
+// Scheduled (see netlify.toml): re-checks monitored domains that are due and alerts on regressions.
+// Scheduled functions get 30 seconds; domains that do not fit are picked up by the next run.
+const TIME_BUDGET_MS = Number(process.env.MONITOR_TIME_BUDGET_MS) || 25000;
+
+exports.handler = async (event) => {
+  const started = Date.now();
+
+  try {
+    const { due, results } = await runDueMonitors(event, { deadline: started + TIME_BUDGET_MS });
+    const alerts = results.filter(r => r.change && r.change.regression).length;
+    console.error(`Monitor run: ${results.length}/${due} due domains checked, ${alerts} regression${alerts === 1 ? '' : 's'}`);
+    return { statusCode: 200, body: JSON.stringify({ due, checked: results.length, results }) };
+  } catch (error) {
+    console.error('Monitor run error:', error);
+    return { statusCode: 500, body: JSON.stringify({ error: 'Internal server error' }) };
+  }
+};
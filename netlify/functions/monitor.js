@@ -0,0 +1,117 @@
+const { normalizeSelectors } = require('../lib/dkim');
+const { normalizeDomain } = require('../lib/domains');
+const { loadMonitor, deleteMonitor, forEachMonitor, registerMonitor, runMonitor, monitorHistory } = require('../lib/monitoring');
+const { corsHeaders, protect, hasApiKey } = require('../lib/guard');
+
+// Internal tool for the team: disabled unless MONITOR_API_KEY is set
+const MONITOR_API_KEY = process.env.MONITOR_API_KEY;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+// Monitors are keyed by the normalized domain, so "https://www.acme.com" finds acme.com
+const monitorKey = (value) => {
+  const target = normalizeDomain(typeof value === 'string' ? value : '');
+  return target ? target.domain : null;
+};
+
+const isWebhookURL = (value) => {
+  try {
+    return ['https:', 'http:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// GET    /api/monitor                 — monitored domains with their latest score
+// GET    /api/monitor?domain=…        — score history and change log for one domain
+// POST   /api/monitor { domain, selectors, webhook, email } — register (or update) and take a baseline snapshot
+// DELETE /api/monitor?domain=…        — stop monitoring
+exports.handler = async (event) => {
+  const headers = {
+    ...corsHeaders(event),
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (!['GET', 'POST', 'DELETE'].includes(event.httpMethod)) {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  if (!MONITOR_API_KEY) {
+    return { statusCode: 404, headers, body: JSON.stringify({ error: 'Monitoring is not enabled' }) };
+  }
+  if (!hasApiKey(event, MONITOR_API_KEY)) {
+    return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid API key' }) };
+  }
+
+  const rejection = await protect(event, 'monitor', headers, { requireToken: false });
+  if (rejection) return rejection;
+
+  try {
+    const query = event.queryStringParameters || {};
+
+    if (event.httpMethod === 'GET' && !query.domain) {
+      const monitors = [];
+      await forEachMonitor(event, (m) => {
+        const latest = m.snapshots[m.snapshots.length - 1];
+        monitors.push({ domain: m.domain, lastRunAt: m.lastRunAt, score: latest ? latest.score : null, grade: latest ? latest.grade : null, changes: m.changes.length });
+      });
+      monitors.sort((a, b) => a.domain.localeCompare(b.domain));
+      return { statusCode: 200, headers, body: JSON.stringify({ monitors }) };
+    }
+
+    if (event.httpMethod === 'GET' || event.httpMethod === 'DELETE') {
+      const domain = monitorKey(query.domain) || String(query.domain).toLowerCase().trim();
+      const monitor = await loadMonitor(event, domain);
+      if (!monitor) {
+        return { statusCode: 404, headers, body: JSON.stringify({ error: 'Domain is not monitored' }) };
+      }
+      if (event.httpMethod === 'DELETE') {
+        await deleteMonitor(event, domain);
+        return { statusCode: 200, headers, body: JSON.stringify({ ok: true }) };
+      }
+      return { statusCode: 200, headers, body: JSON.stringify(monitorHistory(monitor)) };
+    }
+
+    const { domain: rawDomain, selectors, webhook, email } = JSON.parse(event.body || '{}');
+    const domain = monitorKey(rawDomain);
+
+    if (!domain) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid domain format' }) };
+    }
+    if (webhook && (typeof webhook !== 'string' || !isWebhookURL(webhook))) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'webhook must be an http(s) URL' }) };
+    }
+    if (email && (typeof email !== 'string' || !EMAIL_PATTERN.test(email) || email.length > 254)) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'email must be a valid email address' }) };
+    }
+
+    const existing = await loadMonitor(event, domain);
+    let monitor = await registerMonitor(event, domain, {
+      selectors: normalizeSelectors(selectors),
+      alerts: { webhook, email: email ? email.trim().toLowerCase() : null },
+    });
+
+    // The first snapshot is the baseline later changes are measured against
+    if (monitor.snapshots.length === 0) {
+      await runMonitor(event, monitor);
+      monitor = await loadMonitor(event, domain);
+    }
+
+    return {
+      statusCode: existing ? 200 : 201,
+      headers,
+      body: JSON.stringify(monitorHistory(monitor)),
+    };
+  } catch (error) {
+    console.error('Function error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Internal server error' }),
+    };
+  }
+};
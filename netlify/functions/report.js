@@ -0,0 +1,66 @@
+const { isValidSessionId, loadAudit } = require('../lib/audits');
+const { corsHeaders, protect } = require('../lib/guard');
+const { reportFilename, renderReportHTML, renderReportPDF } = require('../lib/report');
+const { resolveTenant } = require('../lib/tenants');
+
+// GET /api/report?sessionId=…&format=pdf|html — the finished assessment as a printable report
+exports.handler = async (event) => {
+  const headers = { ...corsHeaders(event), 'Access-Control-Allow-Methods': 'GET, OPTIONS' };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const { sessionId, format = 'pdf' } = event.queryStringParameters || {};
+
+    if (!isValidSessionId(sessionId)) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid session' }) };
+    }
+    if (format !== 'pdf' && format !== 'html') {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'format must be pdf or html' }) };
+    }
+
+    const rejection = await protect(event, 'report', headers, { sessionId });
+    if (rejection) return rejection;
+
+    const audit = await loadAudit(event, sessionId);
+    if (!audit.assessment) {
+      return { statusCode: 404, headers, body: JSON.stringify({ error: 'The report is available once your assessment is complete.' }) };
+    }
+
+    if (format === 'html') {
+      return {
+        statusCode: 200,
+        headers: {
+          ...headers,
+          'Content-Type': 'text/html; charset=utf-8',
+          'Content-Disposition': `inline; filename="${reportFilename(audit, 'html')}"`,
+        },
+        body: renderReportHTML(audit, resolveTenant(event)),
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${reportFilename(audit, 'pdf')}"`,
+      },
+      body: renderReportPDF(audit, resolveTenant(event)).toString('base64'),
+      isBase64Encoded: true,
+    };
+  } catch (error) {
+    console.error('Function error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Internal server error' }),
+    };
+  }
+};
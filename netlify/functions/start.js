@@ -0,0 +1,23 @@
+const { corsHeaders, protect, issueToken } = require('../lib/guard');
+
+// Called when the prospect starts the audit; the token is required by the other endpoints when CHALLENGE_SECRET is set
+exports.handler = async (event) => {
+  const headers = corsHeaders(event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  const rejection = await protect(event, 'start', headers, { requireToken: false });
+  if (rejection) return rejection;
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ token: issueToken(event) }),
+  };
+};
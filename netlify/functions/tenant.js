@@ -0,0 +1,34 @@
+const { corsHeaders, protect } = require('../lib/guard');
+const { resolveTenant, publicTenant } = require('../lib/tenants');
+
+// GET /api/tenant — branding for the landing page: the host's tenant, or the one named by X-Audit-Tenant
+exports.handler = async (event) => {
+  const headers = { ...corsHeaders(event), 'Access-Control-Allow-Methods': 'GET, OPTIONS' };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const rejection = await protect(event, 'tenant', headers, { requireToken: false });
+    if (rejection) return rejection;
+
+    return {
+      statusCode: 200,
+      // Never cached: the same URL answers for different tenants depending on the Host and X-Audit-Tenant headers
+      headers: { ...headers, 'Cache-Control': 'no-store' },
+      body: JSON.stringify(publicTenant(resolveTenant(event))),
+    };
+  } catch (error) {
+    console.error('Function error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Internal server error' }),
+    };
+  }
+};
@@ -0,0 +1,153 @@
+const { forEachAudit } = require('./audits');
+const { csvCell, textCell } = require('./bulk');
+
+// Read-only views over the stored audits for the team: list rows, filters, phase funnel, CSV.
+// Every request reads all audit records, a page at a time, and keeps only the ones it reports on.
+const PHASE_NAMES = ['Welcome', 'Context', 'Channels', 'Pain points', 'Metrics', 'Assessment'];
+
+// ===== ROWS =====
+function summarizeAudit(audit) {
+  const profile = audit.profile || {};
+  const d = audit.deliverability;
+  return {
+    sessionId: audit.id,
+    createdAt: audit.createdAt,
+    updatedAt: audit.updatedAt,
+    phase: audit.phase ?? 0,
+    phaseName: PHASE_NAMES[audit.phase ?? 0],
+    language: profile.language || (audit.assessment && audit.assessment.language) || null,
+    name: audit.lead ? audit.lead.name : null,
+    email: audit.lead ? audit.lead.email : null,
+    company: audit.lead ? audit.lead.company : null,
+    industry: profile.industry || null,
+    companySize: profile.companySize || null,
+    dealValue: profile.dealValue || null,
+    channels: (profile.channels || []).map(c => c.name),
+    biggestFrustration: profile.biggestFrustration || null,
+    rating: audit.assessment ? audit.assessment.rating : null,
+    domain: d ? d.domain : null,
+    score: d ? d.score : null,
+    grade: d ? d.grade || null : null,
+    booked: Boolean(audit.bookingClickedAt),
+    bookingClickedAt: audit.bookingClickedAt || null,
+    messages: audit.transcript.filter(t => !t.hidden).length,
+    experiment: audit.variant ? audit.variant.experiment : null,
+    variant: audit.variant ? audit.variant.id : null,
+  };
+}
+
+// Sessions that never got past the first request have nothing to review
+async function loadAllAudits(event, keep = () => true) {
+  const audits = [];
+  await forEachAudit(event, (audit) => {
+    if (audit.transcript.length > 0 && keep(audit)) audits.push(audit);
+  });
+  return audits.sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+}
+
+// ===== FILTERS =====
+// Query parameters → filters; unknown or empty values are ignored. `language=unknown` matches
+// sessions that ended before a language was recorded.
+function parseFilters(query = {}) {
+  const filters = {};
+  if (query.language) filters.language = String(query.language).toLowerCase();
+  if (query.industry) filters.industry = String(query.industry).toLowerCase().trim();
+  if (query.rating) filters.rating = String(query.rating);
+  if (query.experiment) filters.experiment = String(query.experiment);
+  if (query.variant) filters.variant = String(query.variant);
+  if (query.booked === 'true' || query.booked === 'false') filters.booked = query.booked === 'true';
+  if (query.from && !Number.isNaN(Date.parse(query.from))) filters.from = new Date(query.from).toISOString();
+  if (query.to && !Number.isNaN(Date.parse(query.to))) filters.to = new Date(query.to).toISOString();
+  return filters;
+}
+
+function matches(row, filters) {
+  if (filters.language && (row.language || 'unknown') !== filters.language) return false;
+  if (filters.industry && !(row.industry || '').toLowerCase().includes(filters.industry)) return false;
+  if (filters.rating && row.rating !== filters.rating) return false;
+  if (filters.experiment && row.experiment !== filters.experiment) return false;
+  if (filters.variant && row.variant !== filters.variant) return false;
+  if (filters.booked !== undefined && row.booked !== filters.booked) return false;
+  if (filters.from && row.createdAt < filters.from) return false;
+  if (filters.to && row.createdAt > filters.to) return false;
+  return true;
+}
+
+// ===== FUNNEL =====
+// How many sessions reached each phase and how many stopped there (furthest phase reached).
+// Sessions still in progress count as stopped at their current phase.
+function phaseFunnel(audits) {
+  const funnel = PHASE_NAMES.map((name, phase) => ({ phase, name, reached: 0, stopped: 0 }));
+  for (const audit of audits) {
+    const furthest = audit.phase ?? 0;
+    funnel.forEach((step) => {
+      if (step.phase === 0 || audit.phases[step.phase]) step.reached += 1;
+    });
+    funnel[furthest].stopped += 1;
+  }
+  return {
+    started: audits.length,
+    steps: funnel,
+    booked: audits.filter(a => a.bookingClickedAt).length,
+  };
+}
+
+// ===== VARIANTS =====
+const rate = (count, total) => (total ? Math.round((count / total) * 1000) / 1000 : null);
+
+// Completion (assessment delivered) and booking rates per prompt variant; sessions from before
+// variants were recorded are grouped under null
+function variantReport(audits) {
+  const groups = new Map();
+  for (const audit of audits) {
+    const experiment = audit.variant ? audit.variant.experiment : null;
+    const variant = audit.variant ? audit.variant.id : null;
+    const key = `${experiment}:${variant}`;
+    if (!groups.has(key)) groups.set(key, { experiment, variant, sessions: 0, leads: 0, completed: 0, booked: 0 });
+    const group = groups.get(key);
+    group.sessions += 1;
+    if (audit.lead) group.leads += 1;
+    if (audit.assessment) group.completed += 1;
+    if (audit.bookingClickedAt) group.booked += 1;
+  }
+  return [...groups.values()]
+    .sort((a, b) => String(a.experiment).localeCompare(String(b.experiment)) || String(a.variant).localeCompare(String(b.variant)))
+    .map(g => ({
+      ...g,
+      completionRate: rate(g.completed, g.sessions),
+      bookingRate: rate(g.booked, g.sessions),
+    }));
+}
+
+// ===== CSV =====
+const CSV_COLUMNS = [
+  'sessionId', 'createdAt', 'updatedAt', 'phase', 'phaseName', 'language', 'name', 'email', 'company',
+  'industry', 'companySize', 'dealValue', 'channels', 'biggestFrustration', 'rating',
+  'domain', 'score', 'grade', 'booked', 'bookingClickedAt', 'messages', 'experiment', 'variant',
+];
+
+// Names and answers are typed by prospects, so every cell goes through textCell
+function toCSV(rows) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const row of rows) {
+    lines.push(CSV_COLUMNS.map(col => csvCell(textCell(Array.isArray(row[col]) ? row[col].join('; ') : row[col]))).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// ===== QUERIES =====
+// The filtered audits as rows (newest first) plus the funnel and variant report for the same selection
+async function queryAudits(event, filters) {
+  const audits = await loadAllAudits(event, a => matches(summarizeAudit(a), filters));
+  return { rows: audits.map(summarizeAudit), funnel: phaseFunnel(audits), variants: variantReport(audits) };
+}
+
+module.exports = {
+  PHASE_NAMES,
+  summarizeAudit,
+  parseFilters,
+  phaseFunnel,
+  variantReport,
+  queryAudits,
+  toCSV,
+};
@@ -0,0 +1,161 @@
+const { LLMError } = require("./llm");
+const { formatTranscript } = require("./profile");
+
+// Phase 5 is generated in JSON mode against this schema instead of free text split on markers
+const RATINGS = ["strong", "solid", "needs-work", "critical"];
+const MAX_ATTEMPTS = 3;
+
+const text = { type: "STRING" };
+
+const ASSESSMENT_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    language: { type: "STRING", enum: ["en", "nl"] },
+    rating: { type: "STRING", enum: RATINGS },
+    summary: text,
+    strengths: { type: "ARRAY", items: text, minItems: 2, maxItems: 4 },
+    gaps: {
+      type: "ARRAY",
+      minItems: 2,
+      maxItems: 4,
+      items: {
+        type: "OBJECT",
+        properties: { title: text, explanation: text },
+        required: ["title", "explanation"],
+      },
+    },
+    quickWins: {
+      type: "ARRAY",
+      minItems: 3,
+      maxItems: 3,
+      items: {
+        type: "OBJECT",
+        properties: { title: text, action: text, rationale: text },
+        required: ["title", "action", "rationale"],
+      },
+    },
+    recommendation: text,
+    cta: text,
+  },
+  required: ["language", "rating", "summary", "strengths", "gaps", "quickWins", "recommendation", "cta"],
+};
+
+const isText = (value) => typeof value === "string" && value.trim().length > 0;
+
+// Returns a list of problems; an empty list means the assessment can be shown
+function validateAssessment(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return ["the response must be a JSON object"];
+
+  const errors = [];
+  const list = (field, min, max, check) => {
+    const items = value[field];
+    if (!Array.isArray(items)) return errors.push(`${field} must be an array`);
+    if (items.length < min || items.length > max) errors.push(`${field} must have ${min === max ? min : `${min}-${max}`} items`);
+    items.forEach((item, i) => check(item) || errors.push(`${field}[${i}] is incomplete`));
+  };
+
+  if (!["en", "nl"].includes(value.language)) errors.push("language must be en or nl");
+  if (!RATINGS.includes(value.rating)) errors.push(`rating must be one of ${RATINGS.join(", ")}`);
+  for (const field of ["summary", "recommendation", "cta"]) {
+    if (!isText(value[field])) errors.push(`${field} must be a non-empty string`);
+  }
+  list("strengths", 2, 4, isText);
+  list("gaps", 2, 4, gap => gap && isText(gap.title) && isText(gap.explanation));
+  list("quickWins", 3, 3, win => win && isText(win.title) && isText(win.action) && isText(win.rationale));
+
+  return errors;
+}
+
+// Keep only schema fields, trimmed, with any markdown emphasis the model slipped in removed
+function normalizeAssessment(value) {
+  const clean = (s) => s.replace(/\*\*|__/g, "").trim();
+  return {
+    language: value.language,
+    rating: value.rating,
+    summary: clean(value.summary),
+    strengths: value.strengths.map(clean),
+    gaps: value.gaps.map(gap => ({ title: clean(gap.title), explanation: clean(gap.explanation) })),
+    quickWins: value.quickWins.map(win => ({ title: clean(win.title), action: clean(win.action), rationale: clean(win.rationale) })),
+    recommendation: clean(value.recommendation),
+    cta: clean(value.cta),
+  };
+}
+
+// Ask for the assessment in JSON mode; on invalid output, show the model its answer and the problems and ask again.
+// `prompt` is the session's rendered assessment template (see lib/prompts.js); `deadline` bounds all attempts.
+async function generateAssessment(llm, { transcript, prompt, context = "", deadline }) {
+  const messages = [{ role: "user", content: formatTranscript(transcript) }];
+  let errors = [];
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const reply = await llm.generate({
+      system: prompt + context,
+      messages,
+      temperature: 0.4,
+      maxOutputTokens: 2500,
+      schema: ASSESSMENT_SCHEMA,
+      deadline,
+    });
+
+    let value = null;
+    try {
+      value = JSON.parse(reply || "");
+      errors = validateAssessment(value);
+    } catch {
+      errors = ["the response is not valid JSON"];
+    }
+    if (errors.length === 0) return normalizeAssessment(value);
+
+    console.error(`Assessment attempt ${attempt} failed validation:`, errors.join("; "));
+    messages.push(
+      { role: "assistant", content: String(reply || "") },
+      { role: "user", content: `That JSON does not match the schema: ${errors.join("; ")}. Return the complete corrected JSON only.` },
+    );
+  }
+
+  throw new LLMError("Assessment did not match the schema", { details: errors.join("; ") });
+}
+
+// Section headings in the conversation language (the landing page keeps its own copy)
+const LABELS = {
+  en: {
+    overall: "Overall Assessment",
+    ratings: { strong: "Strong", solid: "Solid with gaps", "needs-work": "Needs significant work", critical: "Critical gaps" },
+    strengths: "Key Strengths",
+    gaps: "Critical Gaps",
+    quickWin: "Quick Win",
+    recommendation: "Strategic Recommendation",
+  },
+  nl: {
+    overall: "Algemene beoordeling",
+    ratings: { strong: "Sterk", solid: "Solide, met hiaten", "needs-work": "Flink verbeterpotentieel", critical: "Kritieke hiaten" },
+    strengths: "Sterke punten",
+    gaps: "Kritieke hiaten",
+    quickWin: "Quick win",
+    recommendation: "Strategisch advies",
+  },
+};
+
+const labelsFor = (assessment) => LABELS[assessment.language] || LABELS.en;
+
+// Markdown version for the stored transcript, so profile extraction and later turns see what was shown
+function assessmentToMarkdown(a) {
+  const l = labelsFor(a);
+  return [
+    `**${l.overall}: ${l.ratings[a.rating]}**\n\n${a.summary}`,
+    `**${l.strengths}**\n\n${a.strengths.map(s => `- ${s}`).join("\n")}`,
+    `**${l.gaps}**\n\n${a.gaps.map(g => `- ${g.title}: ${g.explanation}`).join("\n")}`,
+    ...a.quickWins.map((w, i) => `**${l.quickWin} ${i + 1}: ${w.title}**\n\n${w.action}\n\n${w.rationale}`),
+    `**${l.recommendation}**\n\n${a.recommendation}`,
+    a.cta,
+  ].join("\n\n");
+}
+
+module.exports = {
+  ASSESSMENT_SCHEMA,
+  RATINGS,
+  validateAssessment,
+  generateAssessment,
+  labelsFor,
+  assessmentToMarkdown,
+};
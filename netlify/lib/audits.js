@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const { tenantStore } = require('./tenants');
+const { forEachKey } = require('./storage');
+
+// One record per chat session: transcript, lead details, extracted profile, check and header analysis results; stored per tenant
+const STORE_NAME = 'audits';
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+const isValidSessionId = (id) => typeof id === 'string' && SESSION_ID_PATTERN.test(id);
+const newSessionId = () => crypto.randomUUID();
+
+function emptyAudit(id) {
+  const now = new Date().toISOString();
+  return {
+    id,
+    createdAt: now,
+    updatedAt: now,
+    phase: null,
+    phases: {},
+    transcript: [],
+    lead: null,
+    profile: null,
+    deliverability: null,
+    headerAnalysis: null,
+    assessment: null,
+  };
+}
+
+async function loadAudit(event, id) {
+  const audit = await tenantStore(STORE_NAME, event).get(id);
+  return audit || emptyAudit(id);
+}
+
+// Started (loadAudit returns an empty record for unknown sessions) and without an assessment yet
+const isInProgress = (audit) => audit.transcript.length > 0 && !audit.assessment;
+
+async function saveAudit(event, audit) {
+  audit.updatedAt = new Date().toISOString();
+  await tenantStore(STORE_NAME, event).set(audit.id, audit);
+  return audit;
+}
+
+// Audit phases 0–5 only move forward; `phases` records when each one was first reached
+function recordPhase(audit, phase) {
+  const now = new Date().toISOString();
+  for (let p = 0; p <= phase; p++) {
+    if (!audit.phases[p]) audit.phases[p] = now;
+  }
+  audit.phase = Math.max(audit.phase ?? 0, phase);
+}
+
+// Compact /api/check result for storage and the model context
+function summarizeDeliverability(result) {
+  return {
+    domain: result.domain,
+    score: result.score,
+    grade: result.grade,
+    breakdown: result.breakdown.map(({ id, earned, max }) => ({ id, earned, max })),
+    topFixes: result.topFixes,
+    checkedAt: new Date().toISOString(),
+    checks: Object.fromEntries(Object.entries(result.checks).map(([key, check]) => [
+      key,
+      { name: check.name, status: check.status, summary: check.summary, fix: check.fix || null },
+    ])),
+    stack: Array.isArray(result.stack)
+      ? result.stack.map(({ name, category, confidence, fixes }) => ({ name, category, confidence, fixes: fixes.map(f => f.fix) }))
+      : null,
+  };
+}
+
+// Compact /api/headers result; `messageIndex` is where it sits in the transcript, for redrawing
+function summarizeHeaderAnalysis(result, messageIndex) {
+  return {
+    ...summarizeDeliverability(result),
+    from: result.from.address,
+    returnPath: result.returnPath.domain,
+    sendingIP: result.sendingIP,
+    verdicts: { spf: result.verdicts.spf, dkim: result.verdicts.dkim.map(r => r.result), dmarc: result.verdicts.dmarc },
+    messageIndex,
+  };
+}
+
+// Calls fn(audit) for every stored audit, reading a page of keys at a time with a few reads in flight
+async function forEachAudit(event, fn) {
+  const store = tenantStore(STORE_NAME, event);
+  await forEachKey(store, '', async (id) => {
+    const audit = await store.get(id);
+    if (audit) await fn(audit);
+  });
+}
+
+module.exports = {
+  isValidSessionId,
+  newSessionId,
+  loadAudit,
+  isInProgress,
+  saveAudit,
+  forEachAudit,
+  recordPhase,
+  summarizeDeliverability,
+  summarizeHeaderAnalysis,
+};
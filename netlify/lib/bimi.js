@@ -0,0 +1,59 @@
+const dns = require('./resolver');
+const { fetchText } = require('./fetch');
+
+// BIMI: brand logo record at default._bimi.<domain>; Gmail and Apple Mail also want a
+// Verified Mark Certificate (VMC) at a=, and every provider requires DMARC at enforcement
+const MAX_VMC_BYTES = 256 * 1024;
+
+function parseBIMI(record) {
+  const tags = {};
+  for (const part of record.split(';')) {
+    const eq = part.indexOf('=');
+    if (eq === -1) continue;
+    tags[part.slice(0, eq).trim().toLowerCase()] = part.slice(eq + 1).trim();
+  }
+
+  const errors = [];
+  if (tags.v !== 'BIMI1') errors.push('v= must be BIMI1');
+  if (tags.l === undefined) errors.push('l= (logo URL) is missing');
+  else if (tags.l && !/^https:\/\/\S+\.svg$/i.test(tags.l)) errors.push('l= must be an HTTPS URL to an SVG file');
+  if (tags.a && !/^https:\/\/\S+$/i.test(tags.a)) errors.push('a= must be an HTTPS URL');
+
+  return {
+    logo: tags.l || null,
+    authority: tags.a || null,
+    // An empty l= is an explicit "no BIMI for this domain"
+    declined: tags.l === '',
+    errors,
+  };
+}
+
+// Checks the certificate is there and looks like one; chain validation is left to the mailbox providers
+async function checkVMC(url) {
+  try {
+    const { text } = await fetchText(url, { maxBytes: MAX_VMC_BYTES, accept: 'application/pem-certificate-chain' });
+    const certificates = (text.match(/-----BEGIN CERTIFICATE-----/g) || []).length;
+    return certificates > 0 ? { present: true, certificates } : { present: false, error: 'The a= URL does not serve a PEM certificate' };
+  } catch (err) {
+    return { present: false, error: err.message };
+  }
+}
+
+async function analyzeBIMI(domain) {
+  let records = [];
+  try {
+    records = (await dns.resolveTxt(`default._bimi.${domain}`)).map(r => r.join('')).filter(r => /^v=BIMI1/i.test(r));
+  } catch (err) {
+    if (err.code !== 'ENODATA' && err.code !== 'ENOTFOUND') throw err;
+  }
+  if (records.length === 0) return { record: null, records };
+
+  const parsed = parseBIMI(records[0]);
+  const vmc = parsed.authority && parsed.errors.length === 0 ? await checkVMC(parsed.authority) : null;
+  return { record: records[0], records, ...parsed, vmc };
+}
+
+module.exports = {
+  parseBIMI,
+  analyzeBIMI,
+};
@@ -0,0 +1,188 @@
+const { CHECK_IDS, isValidDomain, runChecks } = require('./deliverability');
+const { normalizeDomain } = require('./domains');
+
+// Batch mode for qualifying lead lists: CSV in, per-domain scores and check statuses out
+const CHECK_KEYS = CHECK_IDS;
+const DEFAULT_CONCURRENCY = 5;
+const DEFAULT_TIMEOUT_MS = 15000;
+// A domain is only started when at least this much of the time budget is left
+const MIN_DOMAIN_MS = 3000;
+
+// ===== CSV =====
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',' || char === ';' || char === '\t') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// For text that came from users (lead lists, prospects' answers): a leading quote keeps
+// spreadsheets from running it as a formula
+const textCell = (value) => (typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+// Lead lists hold websites and email addresses as often as bare domains; what cannot be
+// normalized is kept as typed and reported as invalid
+function cleanDomain(value) {
+  const target = normalizeDomain(String(value || ''));
+  return target ? target.domain : String(value || '').trim().toLowerCase();
+}
+
+// Uses the column headed domain/website/url/email when there is one, otherwise the first column
+function parseDomainList(text) {
+  const rows = parseCSV(String(text || ''));
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  let column = ['domain', 'website', 'url', 'email'].map(name => header.indexOf(name)).find(i => i !== -1);
+  const hasHeader = column !== undefined || !isValidDomain(cleanDomain(rows[0][0]));
+  if (column === undefined) column = 0;
+
+  const seen = new Set();
+  const domains = [];
+  for (const row of rows.slice(hasHeader ? 1 : 0)) {
+    const input = (row[column] || '').trim();
+    const domain = cleanDomain(input);
+    if (!input || seen.has(domain)) continue;
+    seen.add(domain);
+    domains.push({ input, domain });
+  }
+  return domains;
+}
+
+// ===== RUNNER =====
+// Runs task(signal) for at most `ms`; on timeout the signal is aborted, so the task stops working
+// instead of running on in the background
+const withTimeout = (task, ms) => {
+  const controller = new AbortController();
+  let timer;
+  return Promise.race([
+    task(controller.signal),
+    new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(Object.assign(new Error(`Timed out after ${ms} ms`), { code: 'ETIMEOUT' }));
+      }, ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+};
+
+function summarize(entry, result) {
+  return {
+    input: entry.input,
+    domain: entry.domain,
+    status: 'ok',
+    score: result.score,
+    grade: result.grade,
+    checks: Object.fromEntries(CHECK_KEYS.map(key => [key, { status: result.checks[key].status, summary: result.checks[key].summary }])),
+    error: null,
+  };
+}
+
+const failed = (entry, status, error) => ({ input: entry.input, domain: entry.domain, status, score: null, grade: null, checks: null, error });
+
+// Checks `concurrency` domains at a time, each bounded by `timeoutMs` (and by what is left before
+// `deadline`, epoch ms). A failing domain never stops the batch; domains there was no time left for
+// come back as "skipped" so they can be re-run.
+async function runBulk(entries, {
+  concurrency = DEFAULT_CONCURRENCY,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  selectors = [],
+  deadline = Infinity,
+  onResult = () => {},
+} = {}) {
+  const results = new Array(entries.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < entries.length) {
+      const index = next++;
+      const entry = entries[index];
+      const remaining = deadline - Date.now();
+
+      if (!isValidDomain(entry.domain)) {
+        results[index] = failed(entry, 'invalid', 'Invalid domain format');
+      } else if (remaining < MIN_DOMAIN_MS) {
+        results[index] = failed(entry, 'skipped', 'Not checked — time budget used up, run this domain again');
+      } else {
+        try {
+          const result = await withTimeout(signal => runChecks(entry.domain, { selectors, signal }), Math.min(timeoutMs, remaining));
+          results[index] = summarize(entry, result);
+        } catch (err) {
+          results[index] = failed(entry, err.code === 'ETIMEOUT' ? 'timeout' : 'error', err.message);
+        }
+      }
+      onResult(results[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, entries.length)) }, worker));
+  return results;
+}
+
+// ===== OUTPUT =====
+function toCSV(results) {
+  const lines = [['domain', 'input', 'status', 'score', 'grade', ...CHECK_KEYS, 'error'].join(',')];
+  for (const r of results) {
+    lines.push([
+      r.domain,
+      r.input,
+      r.status,
+      r.score,
+      r.grade,
+      ...CHECK_KEYS.map(key => (r.checks ? r.checks[key].status : '')),
+      r.error,
+    ].map(value => csvCell(textCell(value))).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function bulkSummary(results) {
+  const counts = {};
+  for (const r of results) counts[r.status] = (counts[r.status] || 0) + 1;
+  return { total: results.length, ...counts };
+}
+
+module.exports = {
+  CHECK_KEYS,
+  DEFAULT_CONCURRENCY,
+  DEFAULT_TIMEOUT_MS,
+  csvCell,
+  textCell,
+  parseCSV,
+  parseDomainList,
+  runBulk,
+  toCSV,
+  bulkSummary,
+};
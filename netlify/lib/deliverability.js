@@ -0,0 +1,878 @@
+const dns = require('./resolver');
+const { traceQueries, describeResolver } = require('./resolver');
+const { evaluateSPF, formatTree, MAX_LOOKUPS, MAX_VOID_LOOKUPS } = require('./spf');
+const { analyzeDMARC } = require('./dmarc');
+const { COMMON_SELECTORS, inspectDKIMRecord } = require('./dkim');
+const { collectSendingIPs, checkRBLs } = require('./rbl');
+const { MIN_MAX_AGE, analyzeMTASTS, analyzeTLSRPT } = require('./mtasts');
+const { analyzeBIMI } = require('./bimi');
+const { analyzeDNSSEC } = require('./dnssec');
+const { analyzeMXReverseDNS } = require('./rdns');
+const { scoreChecks } = require('./scoring');
+const { normalizeDomain } = require('./domains');
+const { stackSelectors, mxProvider, identifyStack } = require('./stack');
+
+// The checks behind /api/check, /api/bulk and scripts/bulk-check.js
+const CHECK_IDS = ['spf', 'dmarc', 'dkim', 'mx', 'blacklists', 'mtasts', 'tlsrpt', 'bimi', 'dnssec', 'rdns'];
+
+// Hosts, URLs and email addresses all count; see netlify/lib/domains.js
+const isValidDomain = (domain) => normalizeDomain(domain) !== null;
+
+// A check result whose one finding is the problem its summary describes
+const withFinding = (result, id, severity) => ({
+  ...result,
+  findings: [{ id, severity, message: result.summary, fix: result.fix || null }],
+});
+
+// Run the enabled checks (all by default) in parallel; blacklists need the SPF-resolved IPs and
+// BIMI needs the DMARC policy. The score is normalized over the checks that ran. The result echoes
+// the input and the normalized domain that was actually checked, and the sending stack identified
+// from the SPF, DKIM and MX results.
+async function runChecks(domain, { selectors = [], checks: enabled = CHECK_IDS, signal = null } = {}) {
+  const target = normalizeDomain(domain);
+  if (!target) throw new Error(`Invalid domain "${domain}"`);
+  const cleanDomain = target.domain;
+  const on = (...ids) => ids.some(id => enabled.includes(id));
+  const started = Date.now();
+
+  // The blacklist check reuses the SPF result and BIMI the DMARC one, so those run when either is on.
+  // Every DNS query is logged with its timing and outcome for the diagnostics in the result.
+  // Aborting `signal` cancels the DNS queries that have not gone out yet.
+  const { result: all, queries } = await traceQueries(async () => {
+    const [spf, dmarc, dkim, mx, mtasts, tlsrpt, dnssec, rdns] = await Promise.all([
+      on('spf', 'blacklists') ? checkSPF(cleanDomain) : null,
+      on('dmarc', 'bimi') ? checkDMARC(cleanDomain, target.organizationalDomain) : null,
+      on('dkim') ? checkDKIM(cleanDomain, selectors) : null,
+      on('mx') ? checkMX(cleanDomain) : null,
+      on('mtasts') ? checkMTASTS(cleanDomain) : null,
+      on('tlsrpt') ? checkTLSRPT(cleanDomain) : null,
+      on('dnssec') ? checkDNSSEC(cleanDomain) : null,
+      on('rdns') ? checkReverseDNS(cleanDomain) : null,
+    ]);
+    const [blacklists, bimi] = await Promise.all([
+      on('blacklists') ? checkBlacklists(cleanDomain, spf) : null,
+      on('bimi') ? checkBIMI(cleanDomain, dmarc) : null,
+    ]);
+    return { spf, dmarc, dkim, mx, blacklists, mtasts, tlsrpt, bimi, dnssec, rdns };
+  }, { signal });
+  // Checks cut short by the cancellation would read as DNS failures
+  if (signal && signal.aborted) throw Object.assign(new Error('Checks cancelled'), { code: 'ECANCELLED' });
+
+  const checks = Object.fromEntries(CHECK_IDS.filter(id => enabled.includes(id)).map(id => [id, all[id]]));
+  return {
+    domain: cleanDomain,
+    input: target.input,
+    unicode: target.unicode,
+    organizationalDomain: target.organizationalDomain,
+    ...scoreChecks(checks),
+    checks,
+    stack: identifyStack(all),
+    dns: {
+      resolver: describeResolver(),
+      queries,
+      failed: queries.filter(q => q.error && q.error !== 'ENOTFOUND' && q.error !== 'ENODATA').length,
+      ms: Date.now() - started,
+    },
+  };
+}
+
+// ===== SPF CHECK =====
+async function checkSPF(domain) {
+  try {
+    const records = (await dns.resolveTxt(domain)).map(r => r.join('')).filter(r => /^v=spf1(\s|$)/i.test(r));
+
+    if (records.length === 0) {
+      return withFinding({
+        id: 'spf',
+        name: 'SPF Record',
+        status: 'fail',
+        summary: 'No SPF record found',
+        detail: 'Without SPF, receiving servers cannot verify which mail servers are authorized to send email for your domain. This significantly increases the chance of your emails being flagged as spam.',
+        fix: 'Add a TXT record to your DNS: v=spf1 include:_spf.google.com ~all (adjust for your email provider).',
+      }, 'missing', 'critical');
+    }
+
+    if (records.length > 1) {
+      return withFinding({
+        id: 'spf',
+        name: 'SPF Record',
+        status: 'warn',
+        summary: 'Multiple SPF records found',
+        detail: `Found ${records.length} SPF records. Having more than one SPF record is invalid per RFC 7208 and may cause authentication failures.`,
+        fix: 'Merge all SPF records into a single TXT record.',
+        raw: { records },
+      }, 'multiple-records', 'critical');
+    }
+
+    const result = await evaluateSPF(domain);
+    const raw = {
+      record: result.record,
+      lookups: result.lookups,
+      voidLookups: result.voidLookups,
+      tree: result.tree,
+      ip4: result.ip4,
+      ip6: result.ip6,
+    };
+
+    if (result.loops.length > 0) {
+      return withFinding({
+        id: 'spf',
+        name: 'SPF Record',
+        status: 'fail',
+        summary: 'SPF include loop detected',
+        detail: `Your SPF record includes itself through: ${result.loops.join('; ')}. Receivers treat this as a permanent error, so SPF fails for every message.`,
+        fix: 'Remove the include: or redirect= that points back to a domain already in the chain.',
+        raw,
+      }, 'include-loop', 'critical');
+    }
+
+    if (result.lookupLimitExceeded) {
+      const at = result.limitExceededAt;
+      return withFinding({
+        id: 'spf',
+        name: 'SPF Record',
+        status: 'fail',
+        summary: `SPF record needs more than ${MAX_LOOKUPS} DNS lookups`,
+        detail: `SPF allows a maximum of ${MAX_LOOKUPS} DNS lookups, counted across all nested includes. Receivers stop with a permanent error at "${at.term}" in ${at.domain}, so SPF fails for every message — this silently hurts deliverability.\n\n${formatTree(result.tree)}`,
+        fix: 'Remove include: directives for services you no longer use, and replace the rest with direct ip4:/ip6: ranges where the provider publishes stable IPs (SPF flattening).',
+        raw,
+      }, 'lookup-limit', 'critical');
+    }
+
+    if (result.voidLimitExceeded) {
+      return withFinding({
+        id: 'spf',
+        name: 'SPF Record',
+        status: 'fail',
+        summary: `SPF record has too many void lookups (${result.voidLookups}/${MAX_VOID_LOOKUPS})`,
+        detail: `${result.voidLookups} lookups in your SPF record return no data. Receivers allow at most ${MAX_VOID_LOOKUPS} before returning a permanent error.`,
+        fix: 'Remove mechanisms that point at hostnames or includes that no longer exist.',
+        raw,
+      }, 'void-lookup-limit', 'critical');
+    }
+
+    if (result.permerrors.length > 0) {
+      return withFinding({
+        id: 'spf',
+        name: 'SPF Record',
+        status: 'fail',
+        summary: 'SPF record has errors',
+        detail: `Receivers will return a permanent error for your SPF record: ${result.permerrors.join('; ')}.`,
+        fix: 'Correct or remove the broken terms so the whole include chain parses and resolves.',
+        raw,
+      }, 'permerror', 'critical');
+    }
+
+    if (result.all === 'pass') {
+      return withFinding({
+        id: 'spf',
+        name: 'SPF Record',
+        status: 'warn',
+        summary: 'SPF record is too permissive (+all)',
+        detail: 'Your SPF record ends with +all, which means ANY server is authorized to send as your domain. This defeats the purpose of SPF.',
+        fix: 'Change +all to ~all (softfail) or -all (hardfail).',
+        raw,
+      }, 'pass-all', 'high');
+    }
+
+    if (result.all === null || result.all === 'neutral') {
+      return withFinding({
+        id: 'spf',
+        name: 'SPF Record',
+        status: 'warn',
+        summary: result.all === null ? 'SPF record has no "all" mechanism' : 'SPF record ends with neutral ?all',
+        detail: 'Mail from servers not listed in your SPF record gets a neutral result, so spoofed mail is not penalized.',
+        fix: 'End your SPF record with ~all (softfail) or -all (hardfail).',
+        raw,
+      }, 'no-enforcing-all', 'medium');
+    }
+
+    if (result.temperrors.length > 0) {
+      return withFinding({
+        id: 'spf',
+        name: 'SPF Record',
+        status: 'warn',
+        summary: 'Parts of the SPF record could not be resolved',
+        detail: `Some lookups failed temporarily: ${result.temperrors.join('; ')}. Receivers may see a temporary error for the same lookups.`,
+        raw,
+      }, 'temperror', 'low');
+    }
+
+    return {
+      id: 'spf',
+      name: 'SPF Record',
+      status: 'pass',
+      summary: 'SPF record configured correctly',
+      detail: `Found valid SPF record with ${result.lookups} DNS lookups (max ${MAX_LOOKUPS}) across ${countIncludes(result.tree)} nested include${countIncludes(result.tree) === 1 ? '' : 's'}. ${result.all === 'fail' ? 'Hardfail (-all) policy is set — strictest protection.' : 'Softfail (~all) policy is set — good baseline.'}`,
+      raw,
+      findings: [],
+    };
+  } catch (err) {
+    if (err.code === 'ENODATA' || err.code === 'ENOTFOUND') {
+      return withFinding({
+        id: 'spf',
+        name: 'SPF Record',
+        status: 'fail',
+        summary: 'No SPF record found',
+        detail: 'Could not find any TXT records for this domain. This means email authentication is completely missing.',
+        fix: 'Add a TXT record with your SPF policy. Consult your email provider for the correct include: directive.',
+      }, 'missing', 'critical');
+    }
+    return { id: 'spf', name: 'SPF Record', status: 'error', summary: 'Could not check SPF', detail: err.message };
+  }
+}
+
+function countIncludes(node) {
+  return node.children.reduce((c, child) => c + 1 + countIncludes(child), 0);
+}
+
+// ===== DMARC CHECK =====
+// The DMARC records at _dmarc.<domain>; none when the name does not exist
+async function dmarcRecords(domain) {
+  try {
+    const records = await dns.resolveTxt(`_dmarc.${domain}`);
+    return records.map(r => r.join('')).filter(r => /^v\s*=\s*DMARC1/i.test(r));
+  } catch (err) {
+    if (err.code === 'ENODATA' || err.code === 'ENOTFOUND') return [];
+    throw err;
+  }
+}
+
+// A subdomain without a record of its own falls under its organizational domain's record, whose
+// sp= policy then applies (RFC 7489 §6.6.3)
+async function checkDMARC(domain, orgDomain = domain) {
+  try {
+    let recordDomain = domain;
+    let flat = await dmarcRecords(domain);
+    if (flat.length === 0 && orgDomain && orgDomain !== domain) {
+      recordDomain = orgDomain;
+      flat = await dmarcRecords(orgDomain);
+    }
+    const inherited = recordDomain !== domain;
+    const note = inherited ? `${domain} has no DMARC record of its own, so the one at _dmarc.${orgDomain} applies with its subdomain policy. ` : '';
+
+    if (flat.length === 0) {
+      return withFinding({
+        id: 'dmarc',
+        name: 'DMARC Record',
+        status: 'fail',
+        summary: 'No DMARC record found',
+        detail: 'DMARC tells receiving servers what to do when SPF or DKIM checks fail. Without it, your domain is vulnerable to spoofing and your deliverability suffers. Google and Yahoo now require DMARC for bulk senders.',
+        fix: 'Add a TXT record at _dmarc.yourdomain.com: v=DMARC1; p=quarantine; rua=mailto:dmarc@yourdomain.com',
+      }, 'missing', 'critical');
+    }
+
+    if (flat.length > 1) {
+      return withFinding({
+        id: 'dmarc',
+        name: 'DMARC Record',
+        status: 'fail',
+        summary: 'Multiple DMARC records found',
+        detail: `Found ${flat.length} DMARC records at _dmarc.${recordDomain}. Receivers ignore DMARC entirely when more than one record is published.`,
+        fix: 'Merge the records into a single v=DMARC1 TXT record.',
+        raw: { records: flat },
+      }, 'multiple-records', 'critical');
+    }
+
+    const dmarc = await analyzeDMARC(recordDomain, flat[0]);
+    const { pct, findings } = dmarc;
+    const policy = inherited ? dmarc.subdomainPolicy : dmarc.policy;
+    const raw = { ...dmarc, recordDomain, inherited };
+    const issues = findings.filter(f => f.id !== 'policy-none' && f.id !== 'no-rua');
+    const fixText = (list) => [...new Set(list.map(f => f.fix))].join(' ');
+    const hasRua = dmarc.rua.length > 0;
+    const notes = issues.length > 0 ? ` Also found: ${issues.map(f => f.message).join('; ')}.` : '';
+
+    const syntax = findings.filter(f => f.severity === 'critical');
+    if (syntax.length > 0) {
+      return {
+        id: 'dmarc',
+        name: 'DMARC Record',
+        status: 'fail',
+        summary: 'DMARC record is invalid',
+        detail: `${note}Receivers cannot apply your DMARC record: ${syntax.map(f => f.message).join('; ')}.`,
+        fix: fixText(syntax),
+        raw,
+        findings: syntax,
+      };
+    }
+
+    if (policy === 'none') {
+      return {
+        id: 'dmarc',
+        name: 'DMARC Record',
+        status: 'warn',
+        summary: 'DMARC policy set to "none" (monitoring only)',
+        detail: `${note}Your DMARC record exists but the policy is set to "none", which means failed emails are still delivered. This is fine for initial monitoring, but won't protect your domain reputation long-term.${hasRua ? ' Reporting (rua) is configured — good.' : ' No reporting address (rua) configured.'}${notes}`,
+        fix: fixText(findings),
+        raw,
+        findings,
+      };
+    }
+
+    if (issues.some(f => f.severity === 'medium')) {
+      return {
+        id: 'dmarc',
+        name: 'DMARC Record',
+        status: 'warn',
+        summary: `DMARC set to ${policy}, but ${issues.length} issue${issues.length > 1 ? 's' : ''} weaken it`,
+        detail: `${note}Your DMARC policy is ${inherited ? 'sp' : 'p'}=${policy}${pct < 100 ? ` at pct=${pct}` : ''}, but the record has gaps that weaken it.${notes}`,
+        fix: fixText(findings),
+        raw,
+        findings,
+      };
+    }
+
+    const alignment = `Alignment: DKIM ${dmarc.alignment.dkim}, SPF ${dmarc.alignment.spf}.`;
+
+    if (policy === 'quarantine') {
+      return {
+        id: 'dmarc',
+        name: 'DMARC Record',
+        status: 'pass',
+        summary: 'DMARC set to quarantine — good protection',
+        detail: `${note}Emails failing authentication will be sent to spam. ${hasRua ? 'Reporting is active.' : 'Consider adding a rua= address for monitoring.'} ${alignment}`,
+        raw,
+        findings,
+      };
+    }
+
+    return {
+      id: 'dmarc',
+      name: 'DMARC Record',
+      status: 'pass',
+      summary: 'DMARC set to reject — strongest protection',
+      detail: `${note}Emails failing authentication will be rejected entirely. This is the gold standard. ${hasRua ? 'Reporting is active.' : 'Consider adding a rua= address to monitor rejected mail.'} ${alignment}`,
+      raw,
+      findings,
+    };
+  } catch (err) {
+    return { id: 'dmarc', name: 'DMARC Record', status: 'error', summary: 'Could not check DMARC', detail: err.message };
+  }
+}
+
+// ===== DKIM CHECK =====
+async function checkDKIM(domain, customSelectors = []) {
+  const selectors = [...new Set([...customSelectors, ...COMMON_SELECTORS, ...stackSelectors()])];
+  const found = [];
+  const lookupErrors = [];
+
+  await Promise.all(
+    selectors.map(async (selector) => {
+      try {
+        const records = await dns.resolveTxt(`${selector}._domainkey.${domain}`);
+        const flat = records.map(r => r.join(''));
+        const record = flat.find(r => r.includes('v=DKIM1') || r.includes('p='));
+        if (record) {
+          found.push({ ...inspectDKIMRecord(selector, record), custom: customSelectors.includes(selector), record });
+        }
+      } catch (err) {
+        // Selector not found — expected for most. Anything else means we could not tell.
+        if (err.code !== 'ENODATA' && err.code !== 'ENOTFOUND') lookupErrors.push({ selector, code: err.code || err.message });
+      }
+    })
+  );
+
+  lookupErrors.sort((a, b) => selectors.indexOf(a.selector) - selectors.indexOf(b.selector));
+  const failedText = lookupErrors.map(e => `${e.selector} (${e.code})`).join(', ');
+  const missingCustom = customSelectors.filter(s => !found.some(f => f.selector === s) && !lookupErrors.some(e => e.selector === s));
+  const checkedText = customSelectors.length > 0
+    ? `your selector${customSelectors.length > 1 ? 's' : ''} (${customSelectors.join(', ')}) and common ones (google, default, selector1, selector2, etc.)`
+    : 'common selectors (google, default, selector1, selector2, etc.)';
+
+  // Without any record, a failed lookup could have been the one that mattered
+  if (found.length === 0 && lookupErrors.length > 0) {
+    return {
+      id: 'dkim',
+      name: 'DKIM Records',
+      status: 'error',
+      summary: 'Could not check DKIM',
+      detail: `The DKIM lookup failed for ${failedText}, and none of the other selectors has a record.`,
+      raw: { checked: selectors, lookupErrors },
+    };
+  }
+
+  if (found.length === 0) {
+    return withFinding({
+      id: 'dkim',
+      name: 'DKIM Records',
+      status: 'warn',
+      summary: `No DKIM records found for ${customSelectors.length > 0 ? 'the given or common' : 'common'} selectors`,
+      detail: `DKIM signing could not be verified using ${checkedText}. DKIM may still be configured with a custom selector. However, if DKIM is truly missing, your emails lack cryptographic authentication.`,
+      fix: 'Enable DKIM signing through your email provider. For Google Workspace: Admin Console → Apps → Google Workspace → Gmail → Authenticate email. For Microsoft 365: Defender portal → Email authentication.',
+      raw: { checked: selectors },
+    }, 'not-found', 'high');
+  }
+
+  found.sort((a, b) => selectors.indexOf(a.selector) - selectors.indexOf(b.selector));
+  const describe = (f) => (f.revoked ? `${f.selector} (revoked)` : `${f.selector} (${f.algorithm ? f.algorithm.toUpperCase() : f.keyType.toUpperCase()}${f.bits ? ` ${f.bits}-bit` : ''})`);
+  const flagged = found.filter(f => f.status !== 'pass');
+  const raw = {
+    selectors: found.map(({ record, ...key }) => ({ ...key, record: record.length > 120 ? record.substring(0, 120) + '...' : record })),
+    missingCustom,
+    lookupErrors,
+  };
+  const missingText = (missingCustom.length > 0 ? ` No record was found for: ${missingCustom.join(', ')}.` : '')
+    + (lookupErrors.length > 0 ? ` The lookup failed for: ${failedText}.` : '');
+
+  // The same problem on several selectors counts once, naming every selector it affects
+  const bySelector = [];
+  for (const key of flagged) {
+    for (const f of key.findings) {
+      const seen = bySelector.find(x => x.id === f.id);
+      if (seen) seen.selectors.push(key.selector);
+      else bySelector.push({ ...f, selectors: [key.selector] });
+    }
+  }
+  const findings = bySelector.map(({ selectors: names, ...f }) => ({ ...f, message: `${names.join(', ')}: ${f.message}` }));
+  if (missingCustom.length > 0) {
+    findings.push({ id: 'selector-missing', severity: 'low', message: `No record for ${missingCustom.join(', ')}`, fix: 'Check the selector name in your email provider\'s DKIM settings and publish its record.' });
+  }
+
+  if (flagged.length > 0) {
+    return {
+      id: 'dkim',
+      name: 'DKIM Records',
+      status: 'warn',
+      summary: `DKIM found with key issues (${flagged.map(f => f.selector).join(', ')})`,
+      detail: `Found selector${found.length > 1 ? 's' : ''}: ${found.map(describe).join(', ')}. ${flagged.map(f => `${f.selector}: ${f.issues.join('; ')}`).join('. ')}.${missingText}`,
+      fix: [...new Set(bySelector.map(f => f.fix))].join(' '),
+      raw,
+      findings,
+    };
+  }
+
+  return {
+    id: 'dkim',
+    name: 'DKIM Records',
+    status: 'pass',
+    summary: `DKIM configured (${found.length} selector${found.length > 1 ? 's' : ''} found: ${found.map(f => f.selector).join(', ')})`,
+    detail: `DKIM provides cryptographic authentication for your emails, proving they haven't been tampered with in transit. Found active selector${found.length > 1 ? 's' : ''}: ${found.map(describe).join(', ')}.${missingText}`,
+    raw,
+    findings,
+  };
+}
+
+// ===== MX CHECK =====
+async function checkMX(domain) {
+  try {
+    const records = await dns.resolveMx(domain);
+
+    if (!records || records.length === 0) {
+      return withFinding({
+        id: 'mx',
+        name: 'Mail Server (MX)',
+        status: 'fail',
+        summary: 'No MX records found',
+        detail: 'This domain has no mail exchange records, meaning it cannot receive email. This is a critical issue for any domain used for business communication.',
+        fix: 'Configure MX records pointing to your email provider.',
+      }, 'missing', 'critical');
+    }
+
+    // Sort by priority
+    records.sort((a, b) => a.priority - b.priority);
+    const primary = records[0].exchange.toLowerCase();
+
+    // Mailbox provider or gateway, from the sending-stack catalog (see lib/stack.js)
+    const provider = mxProvider(primary);
+
+    return {
+      id: 'mx',
+      name: 'Mail Server (MX)',
+      status: 'pass',
+      summary: `${provider ? provider.name : 'Unknown'} detected (${records.length} MX record${records.length > 1 ? 's' : ''})`,
+      detail: `Primary mail server: ${primary} (priority ${records[0].priority}). ${provider ? provider.note : ''}`,
+      raw: records.map(r => `${r.priority} ${r.exchange}`),
+      findings: [],
+    };
+  } catch (err) {
+    if (err.code === 'ENODATA' || err.code === 'ENOTFOUND') {
+      return withFinding({
+        id: 'mx',
+        name: 'Mail Server (MX)',
+        status: 'fail',
+        summary: 'No MX records found',
+        detail: 'This domain does not appear to have mail service configured.',
+        fix: 'Add MX records for your email provider.',
+      }, 'missing', 'critical');
+    }
+    return { id: 'mx', name: 'Mail Server (MX)', status: 'error', summary: 'Could not check MX records', detail: err.message };
+  }
+}
+
+// ===== BLACKLIST CHECK =====
+async function checkBlacklists(domain, spf) {
+  // Domain zones are queried with the domain, IP zones with the sending IPs from MX and SPF
+  const { ips, ranges } = await collectSendingIPs(domain, spf.raw && spf.raw.tree);
+  const results = await checkRBLs(domain, ips);
+
+  const listed = results.filter(r => r.status === 'listed');
+  const unknown = results.filter(r => r.status === 'unknown');
+  const clean = results.filter(r => r.status === 'clean');
+  const raw = { ips, ranges, listed, unknown, clean };
+
+  const rangeNote = ranges.length > 0
+    ? ` The SPF range${ranges.length > 1 ? 's' : ''} ${ranges.join(', ')} ${ranges.length > 1 ? 'were' : 'was'} not queried, since blacklists list single addresses.`
+    : '';
+  const ipNote = (ips.length > 0
+    ? `Checked the domain plus ${ips.length} sending IP${ips.length > 1 ? 's' : ''} (${ips.map(i => i.ip).join(', ')}).`
+    : 'No sending IPs could be resolved from your MX or SPF records, so only domain-based lists were checked.') + rangeNote;
+
+  if (listed.length > 0) {
+    const names = [...new Set(listed.map(l => l.list))];
+    const fix = 'Visit each blacklist\'s website to check your listing status and follow their delisting procedures. Also audit your sending practices — blacklisting usually indicates a history of spam complaints or poor list hygiene.';
+    return {
+      id: 'blacklists',
+      name: 'Blacklist Check',
+      status: 'fail',
+      summary: `Listed on ${names.length} blacklist${names.length > 1 ? 's' : ''}: ${names.join(', ')}`,
+      detail: `Found: ${listed.map(l => `${l.target} on ${l.list} — ${l.reason}`).join('; ')}. Being blacklisted severely impacts deliverability — most major email providers check these lists. Emails may be silently dropped or sent straight to spam. ${ipNote}`,
+      fix,
+      raw,
+      findings: names.map(list => ({ id: `listed-${list.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`, severity: 'high', message: `Listed on ${list}`, fix })),
+    };
+  }
+
+  if (unknown.length > 0) {
+    const names = [...new Set(unknown.map(u => u.list))];
+    return withFinding({
+      id: 'blacklists',
+      name: 'Blacklist Check',
+      status: 'warn',
+      summary: `Not listed on any list that answered — ${names.length} could not be checked`,
+      detail: `${names.join(', ')} did not give a usable answer (${[...new Set(unknown.map(u => u.reason))].join(', ')}), so your status there is unknown. ${ipNote}`,
+      raw,
+    }, 'unknown', 'low');
+  }
+
+  const lists = [...new Set(clean.map(c => c.list))];
+  return {
+    id: 'blacklists',
+    name: 'Blacklist Check',
+    status: 'pass',
+    summary: `Not listed on ${lists.length} major blacklists`,
+    detail: `Checked against: ${lists.join(', ')}. ${ipNote} Your domain is clean on all checked blacklists.`,
+    raw,
+    findings: [],
+  };
+}
+
+// ===== MTA-STS CHECK =====
+async function checkMTASTS(domain) {
+  try {
+    const sts = await analyzeMTASTS(domain);
+
+    if (!sts.record) {
+      return withFinding({
+        id: 'mtasts',
+        name: 'MTA-STS',
+        status: 'warn',
+        summary: 'No MTA-STS policy',
+        detail: 'MTA-STS tells sending servers to only deliver to your MX hosts over verified TLS. Without it, mail to you can be downgraded to plain text or redirected by an attacker on the network path.',
+        fix: `Publish a policy at https://mta-sts.${domain}/.well-known/mta-sts.txt (version: STSv1, mode: testing, one mx: line per MX host, max_age: 604800) and a TXT record at _mta-sts.${domain}: v=STSv1; id=<date-stamp>.`,
+        raw: sts,
+      }, 'missing', 'low');
+    }
+
+    const recordFix = `Publish exactly one TXT record at _mta-sts.${domain}: v=STSv1; id=<1-32 letters and digits>, and change the id whenever the policy changes.`;
+    if (sts.records.length > 1 || sts.errors.length > 0) {
+      const problems = sts.records.length > 1 ? [`${sts.records.length} records are published`, ...sts.errors] : sts.errors;
+      return withFinding({
+        id: 'mtasts',
+        name: 'MTA-STS',
+        status: 'fail',
+        summary: 'MTA-STS record is invalid',
+        detail: `Senders ignore your MTA-STS record: ${problems.join('; ')}.`,
+        fix: recordFix,
+        raw: sts,
+      }, 'invalid-record', 'high');
+    }
+
+    if (sts.policyError || sts.policy.errors.length > 0) {
+      return withFinding({
+        id: 'mtasts',
+        name: 'MTA-STS',
+        status: 'fail',
+        summary: sts.policyError ? 'MTA-STS policy file could not be fetched' : 'MTA-STS policy file is invalid',
+        detail: `The DNS record announces a policy, but ${sts.policyError ? `fetching it failed: ${sts.policyError}` : `it has errors: ${sts.policy.errors.join('; ')}`}. Senders treat this as having no policy.`,
+        fix: `Serve the policy over HTTPS with a valid certificate for mta-sts.${domain}, without redirects, at /.well-known/mta-sts.txt.`,
+        raw: sts,
+      }, sts.policyError ? 'policy-unreachable' : 'policy-invalid', 'high');
+    }
+
+    const { mode, maxAge } = sts.policy;
+    const findings = [];
+    if (sts.uncovered.length > 0) {
+      findings.push({
+        id: 'mx-not-covered',
+        severity: mode === 'enforce' ? 'critical' : 'medium',
+        message: `MX host${sts.uncovered.length > 1 ? 's' : ''} not listed in the policy: ${sts.uncovered.join(', ')}`,
+        fix: `Add an mx: line for ${sts.uncovered.join(', ')} to the policy and change the id= in the DNS record.`,
+      });
+    }
+    if (mode === 'none') findings.push({ id: 'mode-none', severity: 'medium', message: 'Policy mode is none (disabled)', fix: 'Set mode: testing, watch the TLS reports, then move to mode: enforce.' });
+    if (mode === 'testing') findings.push({ id: 'mode-testing', severity: 'low', message: 'Policy mode is testing (report only)', fix: 'Move to mode: enforce once TLS reports show no failures.' });
+    if (maxAge < MIN_MAX_AGE) findings.push({ id: 'short-max-age', severity: 'low', message: `max_age is ${maxAge} seconds`, fix: 'Raise max_age to at least 604800 (one week) so senders keep the policy cached.' });
+
+    if (sts.uncovered.length > 0 && mode === 'enforce') {
+      return {
+        id: 'mtasts',
+        name: 'MTA-STS',
+        status: 'fail',
+        summary: 'MTA-STS enforces a policy that excludes your MX hosts',
+        detail: `${findings[0].message}. Senders that honour MTA-STS will refuse to deliver to ${sts.uncovered.length > 1 ? 'them' : 'it'}.`,
+        fix: findings[0].fix,
+        raw: sts,
+        findings,
+      };
+    }
+
+    if (findings.length > 0) {
+      return {
+        id: 'mtasts',
+        name: 'MTA-STS',
+        status: 'warn',
+        summary: `MTA-STS published in ${mode} mode${findings.some(f => f.severity !== 'low') ? ' with issues' : ''}`,
+        detail: `${findings.map(f => f.message).join('; ')}.`,
+        fix: findings.map(f => f.fix).join(' '),
+        raw: sts,
+        findings,
+      };
+    }
+
+    return {
+      id: 'mtasts',
+      name: 'MTA-STS',
+      status: 'pass',
+      summary: 'MTA-STS enforced for all MX hosts',
+      detail: `Senders must use verified TLS when delivering to ${sts.policy.mx.join(', ')}. The policy is cached for ${Math.round(maxAge / 86400)} day${Math.round(maxAge / 86400) === 1 ? '' : 's'}.`,
+      raw: sts,
+      findings: [],
+    };
+  } catch (err) {
+    return { id: 'mtasts', name: 'MTA-STS', status: 'error', summary: 'Could not check MTA-STS', detail: err.message };
+  }
+}
+
+// ===== TLS-RPT CHECK =====
+async function checkTLSRPT(domain) {
+  try {
+    const rpt = await analyzeTLSRPT(domain);
+
+    if (!rpt.record) {
+      return withFinding({
+        id: 'tlsrpt',
+        name: 'TLS Reporting (TLS-RPT)',
+        status: 'warn',
+        summary: 'No TLS-RPT record',
+        detail: 'Without TLS reporting you will not hear about senders that fail to establish a secure connection to your mail servers.',
+        fix: `Add a TXT record at _smtp._tls.${domain}: v=TLSRPTv1; rua=mailto:tls-reports@${domain}`,
+        raw: rpt,
+      }, 'missing', 'low');
+    }
+
+    if (rpt.records.length > 1 || rpt.errors.length > 0) {
+      const problems = rpt.records.length > 1 ? [`${rpt.records.length} records are published`, ...rpt.errors] : rpt.errors;
+      return withFinding({
+        id: 'tlsrpt',
+        name: 'TLS Reporting (TLS-RPT)',
+        status: 'warn',
+        summary: 'TLS-RPT record is invalid',
+        detail: `Senders cannot use your TLS-RPT record: ${problems.join('; ')}.`,
+        fix: `Publish a single record at _smtp._tls.${domain}: v=TLSRPTv1; rua=mailto:tls-reports@${domain}`,
+        raw: rpt,
+      }, 'invalid', 'medium');
+    }
+
+    return {
+      id: 'tlsrpt',
+      name: 'TLS Reporting (TLS-RPT)',
+      status: 'pass',
+      summary: 'TLS-RPT reporting configured',
+      detail: `TLS failure reports are sent to ${rpt.rua.join(', ')}.`,
+      raw: rpt,
+      findings: [],
+    };
+  } catch (err) {
+    return { id: 'tlsrpt', name: 'TLS Reporting (TLS-RPT)', status: 'error', summary: 'Could not check TLS-RPT', detail: err.message };
+  }
+}
+
+// ===== BIMI CHECK =====
+async function checkBIMI(domain, dmarc) {
+  try {
+    const bimi = await analyzeBIMI(domain);
+    // A subdomain without its own DMARC record is covered by the organizational record's sp=
+    const policy = dmarc.raw && dmarc.raw.policy
+      ? (dmarc.raw.inherited ? dmarc.raw.subdomainPolicy : dmarc.raw.policy)
+      : null;
+    const enforced = ['quarantine', 'reject'].includes(policy) && dmarc.raw.pct === 100;
+    const tag = dmarc.raw && dmarc.raw.inherited ? 'sp' : 'p';
+
+    if (!bimi.record || bimi.declined) {
+      return withFinding({
+        id: 'bimi',
+        name: 'BIMI',
+        status: 'warn',
+        summary: bimi.declined ? 'BIMI explicitly declined (empty l=)' : 'No BIMI record',
+        detail: 'BIMI shows your logo next to your emails in Gmail, Apple Mail and Yahoo, which lifts recognition and open rates. It requires DMARC at quarantine or reject.',
+        fix: `Publish an SVG Tiny PS logo and add a TXT record at default._bimi.${domain}: v=BIMI1; l=https://${domain}/logo.svg${enforced ? '' : ` — after moving DMARC to ${tag}=quarantine or ${tag}=reject`}.`,
+        raw: bimi,
+      }, 'missing', 'low');
+    }
+
+    const findings = [];
+    if (bimi.records.length > 1) findings.push({ id: 'multiple-records', severity: 'medium', message: `${bimi.records.length} BIMI records are published`, fix: 'Keep a single v=BIMI1 record at default._bimi.' });
+    bimi.errors.forEach(e => findings.push({ id: 'invalid', severity: 'medium', message: e, fix: 'Correct the BIMI record: v=BIMI1; l=<HTTPS URL of an SVG logo>; a=<HTTPS URL of your VMC>.' }));
+    if (!enforced) findings.push({ id: 'dmarc-not-enforced', severity: 'medium', message: `DMARC is not at ${tag}=quarantine or ${tag}=reject with pct=100, so mailbox providers ignore BIMI`, fix: `Move DMARC to ${tag}=quarantine or ${tag}=reject at 100%.` });
+    if (!bimi.authority) findings.push({ id: 'no-vmc', severity: 'low', message: 'No Verified Mark Certificate (a=) — Gmail and Apple Mail will not show the logo', fix: 'Get a VMC (or CMC) from DigiCert or Entrust and reference it with a= in the BIMI record.' });
+    else if (bimi.vmc && !bimi.vmc.present) findings.push({ id: 'vmc-unavailable', severity: 'medium', message: `The VMC at a= could not be used: ${bimi.vmc.error}`, fix: 'Serve the VMC as a PEM file over HTTPS at the a= URL.' });
+
+    if (findings.length > 0) {
+      return {
+        id: 'bimi',
+        name: 'BIMI',
+        status: 'warn',
+        summary: `BIMI published with ${findings.length} issue${findings.length > 1 ? 's' : ''}`,
+        detail: `${findings.map(f => f.message).join('; ')}.`,
+        fix: [...new Set(findings.map(f => f.fix))].join(' '),
+        raw: bimi,
+        findings,
+      };
+    }
+
+    return {
+      id: 'bimi',
+      name: 'BIMI',
+      status: 'pass',
+      summary: 'BIMI with a Verified Mark Certificate',
+      detail: `Logo: ${bimi.logo}. A VMC is published at ${bimi.authority} and DMARC is enforced, so supporting inboxes can show your logo.`,
+      raw: bimi,
+      findings: [],
+    };
+  } catch (err) {
+    return { id: 'bimi', name: 'BIMI', status: 'error', summary: 'Could not check BIMI', detail: err.message };
+  }
+}
+
+// ===== DNSSEC CHECK =====
+async function checkDNSSEC(domain) {
+  try {
+    const dnssec = await analyzeDNSSEC(domain);
+
+    if (dnssec.state === 'bogus') {
+      return withFinding({
+        id: 'dnssec',
+        name: 'DNSSEC',
+        status: 'fail',
+        summary: 'DNSSEC validation fails',
+        detail: 'Your zone is signed but its signatures do not validate, so validating resolvers (including Google and Cloudflare) return an error for your domain. Mail to and from you can fail outright.',
+        fix: 'Re-sign the zone or update the DS record at your registrar so it matches the current signing key — or remove the DS record to turn DNSSEC off cleanly.',
+        raw: dnssec,
+      }, 'bogus', 'critical');
+    }
+
+    if (dnssec.state === 'unsigned') {
+      return withFinding({
+        id: 'dnssec',
+        name: 'DNSSEC',
+        status: 'warn',
+        summary: 'DNSSEC not enabled',
+        detail: 'Your DNS answers are not signed, so resolvers cannot detect spoofed records — including the MX, SPF and DKIM records your email relies on.',
+        fix: 'Enable DNSSEC at your DNS host and publish the DS record at your registrar.',
+        raw: dnssec,
+      }, 'unsigned', 'low');
+    }
+
+    return {
+      id: 'dnssec',
+      name: 'DNSSEC',
+      status: 'pass',
+      summary: 'DNSSEC signed and validating',
+      detail: 'A validating resolver authenticated your DNS answers, so your mail records cannot be spoofed in transit.',
+      raw: dnssec,
+      findings: [],
+    };
+  } catch (err) {
+    return { id: 'dnssec', name: 'DNSSEC', status: 'error', summary: 'Could not check DNSSEC', detail: err.message };
+  }
+}
+
+// ===== REVERSE DNS CHECK =====
+async function checkReverseDNS(domain) {
+  try {
+    const hosts = await analyzeMXReverseDNS(domain);
+    const addresses = hosts.flatMap(h => h.addresses.map(a => ({ ...a, host: h.host })));
+    const missing = addresses.filter(a => a.confirmed === false && a.ptr.length === 0);
+    const mismatched = addresses.filter(a => a.confirmed === false && a.ptr.length > 0);
+    const unknown = addresses.filter(a => a.confirmed === null);
+    const raw = { hosts };
+    const list = (items) => items.map(a => `${a.ip} (${a.host})`).join(', ');
+
+    const findings = [];
+    if (missing.length > 0) findings.push({ id: 'no-ptr', severity: 'medium', message: `No PTR record for ${list(missing)}`, fix: 'Ask whoever runs the mail server (your hosting provider or ISP) to set a PTR record for each address, naming a host that resolves back to it.' });
+    if (mismatched.length > 0) findings.push({ id: 'not-forward-confirmed', severity: 'low', message: `PTR name does not resolve back for ${list(mismatched)}`, fix: 'Make the PTR name of each MX address resolve (A/AAAA) back to that same address.' });
+
+    if (addresses.length === 0) {
+      return withFinding({
+        id: 'rdns',
+        name: 'MX Reverse DNS',
+        status: 'warn',
+        summary: 'No MX addresses to check',
+        detail: 'None of your MX hosts resolved to an IP address, so reverse DNS could not be checked.',
+        raw,
+      }, 'no-addresses', 'info');
+    }
+
+    if (findings.length > 0) {
+      return {
+        id: 'rdns',
+        name: 'MX Reverse DNS',
+        status: 'warn',
+        summary: `${missing.length + mismatched.length} of ${addresses.length} MX address${addresses.length > 1 ? 'es' : ''} fail forward-confirmed reverse DNS`,
+        detail: `${findings.map(f => f.message).join('; ')}. Receivers use the same test on sending servers; a mail host without it looks unmanaged.`,
+        fix: findings.map(f => f.fix).join(' '),
+        raw,
+        findings,
+      };
+    }
+
+    return {
+      id: 'rdns',
+      name: 'MX Reverse DNS',
+      status: 'pass',
+      summary: `Forward-confirmed reverse DNS on ${addresses.length - unknown.length} MX address${addresses.length - unknown.length === 1 ? '' : 'es'}`,
+      detail: `${addresses.filter(a => a.confirmed).map(a => `${a.ip} → ${a.name}`).join(', ')}.${unknown.length > 0 ? ` Could not check ${list(unknown)}.` : ''}`,
+      raw,
+      findings: [],
+    };
+  } catch (err) {
+    if (err.code === 'ENODATA' || err.code === 'ENOTFOUND') {
+      return withFinding({
+        id: 'rdns',
+        name: 'MX Reverse DNS',
+        status: 'warn',
+        summary: 'No MX hosts to check',
+        detail: 'This domain has no MX records, so there are no mail hosts to check reverse DNS for.',
+        raw: { hosts: [] },
+      }, 'no-addresses', 'info');
+    }
+    return { id: 'rdns', name: 'MX Reverse DNS', status: 'error', summary: 'Could not check reverse DNS', detail: err.message };
+  }
+}
+
+module.exports = {
+  CHECK_IDS,
+  isValidDomain,
+  runChecks,
+  checkSPF,
+  checkDMARC,
+  checkDKIM,
+  checkMX,
+  checkBlacklists,
+  checkMTASTS,
+  checkTLSRPT,
+  checkBIMI,
+  checkDNSSEC,
+  checkReverseDNS,
+};
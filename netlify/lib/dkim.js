@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+
+// DKIM selectors are not standardized — these are the most common ones
+const COMMON_SELECTORS = [
+  'google', 'default', 'selector1', 'selector2', 'k1', 'k2',
+  'mail', 'dkim', 's1', 's2', 'smtp', 'mandrill', 'mailjet',
+  'amazonses', 'cm', 'zendesk1', 'zendesk2', 'everlytickey1', 'everlytickey2',
+  'sig1', 'mxvault',
+];
+
+const MAX_CUSTOM_SELECTORS = 10;
+const SELECTOR_PATTERN = /^[a-z0-9_-]+(\.[a-z0-9_-]+)*$/i;
+const RECOMMENDED_RSA_BITS = 2048;
+const MIN_RSA_BITS = 1024; // RFC 8301: verifiers must not accept smaller keys
+
+// ===== PARSER =====
+function parseDKIMRecord(record) {
+  const tags = {};
+  for (const part of record.split(';')) {
+    const eq = part.indexOf('=');
+    if (eq === -1) continue;
+    const name = part.slice(0, eq).trim().toLowerCase();
+    if (name && tags[name] === undefined) tags[name] = part.slice(eq + 1).replace(/\s+/g, '');
+  }
+  return tags;
+}
+
+function decodePublicKey(keyType, base64) {
+  const der = Buffer.from(base64, 'base64');
+
+  if (keyType === 'ed25519') {
+    // RFC 8463 publishes the raw 32-byte key rather than SubjectPublicKeyInfo
+    return { algorithm: 'ed25519', bits: der.length * 8, valid: der.length === 32 };
+  }
+
+  for (const type of ['spki', 'pkcs1']) {
+    try {
+      const key = crypto.createPublicKey({ key: der, format: 'der', type });
+      const details = key.asymmetricKeyDetails || {};
+      return { algorithm: key.asymmetricKeyType, bits: details.modulusLength || null, valid: true };
+    } catch {
+      // Try the next encoding
+    }
+  }
+  return { algorithm: keyType, bits: null, valid: false };
+}
+
+// ===== KEY INSPECTION =====
+function inspectDKIMRecord(selector, record) {
+  const tags = parseDKIMRecord(record);
+  const keyType = (tags.k || 'rsa').toLowerCase();
+  const flags = (tags.t || '').toLowerCase().split(':').filter(Boolean);
+  const hashes = tags.h ? tags.h.toLowerCase().split(':').filter(Boolean) : ['sha1', 'sha256'];
+  const issues = [];
+  const findings = [];
+  const add = (severity, id, message, fix) => {
+    issues.push(message);
+    findings.push({ id, severity, message, fix });
+  };
+  const regenerate = 'Re-generate the DKIM record from your email provider so it contains a valid key with h=sha256 (or no h= tag).';
+  const rotate = `Rotate to a ${RECOMMENDED_RSA_BITS}-bit RSA key in your email provider's DKIM settings and publish the new selector.`;
+
+  const result = {
+    selector,
+    version: tags.v || null,
+    keyType,
+    algorithm: null,
+    bits: null,
+    revoked: tags.p === '',
+    testing: flags.includes('y'),
+    strictSubdomains: flags.includes('s'),
+    hashAlgorithms: hashes,
+    serviceTypes: tags.s ? tags.s.split(':') : ['*'],
+    issues,
+    findings,
+  };
+
+  if (tags.p === undefined) {
+    add('high', 'no-key', 'Record has no p= (public key) tag', regenerate);
+  } else if (result.revoked) {
+    add('low', 'revoked', 'Key is revoked (empty p=)', 'Delete revoked selectors that are no longer used, and make sure your active sender signs with a live key.');
+  } else {
+    const key = decodePublicKey(keyType, tags.p);
+    result.algorithm = key.algorithm;
+    result.bits = key.bits;
+    if (!key.valid) {
+      add('high', 'invalid-key', 'Public key could not be decoded', regenerate);
+    } else if (key.algorithm === 'rsa' && key.bits < MIN_RSA_BITS) {
+      add('critical', 'key-too-short', `${key.bits}-bit RSA key is below the ${MIN_RSA_BITS}-bit minimum — receivers ignore it`, rotate);
+    } else if (key.algorithm === 'rsa' && key.bits < RECOMMENDED_RSA_BITS) {
+      add('medium', 'weak-key', `${key.bits}-bit RSA key is weak (${RECOMMENDED_RSA_BITS}-bit recommended)`, rotate);
+    }
+  }
+
+  if (!['rsa', 'ed25519'].includes(keyType)) add('high', 'key-type', `Unsupported key type k=${keyType}`, regenerate);
+  if (result.testing) add('medium', 'testing', 'Testing mode (t=y) — receivers may treat signatures as unsigned', 'Remove t=y from the DKIM record once signing is verified.');
+  if (!hashes.includes('sha256')) add('high', 'weak-hash', `Only weak hash algorithms allowed (h=${hashes.join(':')})`, regenerate);
+
+  result.status = issues.length > 0 ? 'warn' : 'pass';
+  return result;
+}
+
+function normalizeSelectors(selectors) {
+  if (!Array.isArray(selectors)) return [];
+  return [...new Set(selectors
+    .filter(s => typeof s === 'string')
+    .map(s => s.trim().toLowerCase().replace(/\._domainkey(\..*)?$/, ''))
+    .filter(s => SELECTOR_PATTERN.test(s)))]
+    .slice(0, MAX_CUSTOM_SELECTORS);
+}
+
+module.exports = {
+  COMMON_SELECTORS,
+  MAX_CUSTOM_SELECTORS,
+  RECOMMENDED_RSA_BITS,
+  parseDKIMRecord,
+  inspectDKIMRecord,
+  normalizeSelectors,
+};
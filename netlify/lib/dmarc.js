@@ -0,0 +1,158 @@
+const dns = require('./resolver');
+const { organizationalDomain } = require('./domains');
+
+// RFC 7489 §6.3 tags (plus np= from DMARCbis, which receivers already honour)
+const TAGS = {
+  v: (v) => v === 'DMARC1',
+  p: (v) => ['none', 'quarantine', 'reject'].includes(v),
+  sp: (v) => ['none', 'quarantine', 'reject'].includes(v),
+  np: (v) => ['none', 'quarantine', 'reject'].includes(v),
+  pct: (v) => /^\d{1,3}$/.test(v) && Number(v) <= 100,
+  adkim: (v) => ['r', 's'].includes(v),
+  aspf: (v) => ['r', 's'].includes(v),
+  fo: (v) => v.split(':').every(o => ['0', '1', 'd', 's'].includes(o)),
+  rf: (v) => v.split(':').every(f => ['afrf', 'iodef'].includes(f)),
+  ri: (v) => /^\d+$/.test(v),
+  rua: (v) => parseURIs(v).every(u => u.valid),
+  ruf: (v) => parseURIs(v).every(u => u.valid),
+};
+const CASE_INSENSITIVE = ['p', 'sp', 'np', 'adkim', 'aspf', 'fo', 'rf'];
+
+// ===== PARSER =====
+function parseURIs(value) {
+  return value.split(',').map(s => s.trim()).filter(Boolean).map((uri) => {
+    const match = uri.match(/^mailto:([^@\s!]+)@([^\s!]+?)(?:!(\d+[kmgt]?))?$/i);
+    if (!match) return { uri, valid: false };
+    return { uri, valid: true, address: `${match[1]}@${match[2]}`, domain: match[2].toLowerCase(), maxSize: match[3] || null };
+  });
+}
+
+function parseDMARC(record) {
+  const tags = {};
+  const errors = [];
+  const duplicates = [];
+  const unknown = [];
+  const invalid = [];
+
+  const parts = record.split(';').map(p => p.trim()).filter(Boolean);
+
+  parts.forEach((part, i) => {
+    const eq = part.indexOf('=');
+    if (eq === -1) {
+      errors.push(`Malformed tag "${part}" (expected tag=value)`);
+      return;
+    }
+    const name = part.slice(0, eq).trim().toLowerCase();
+    let value = part.slice(eq + 1).trim();
+    if (CASE_INSENSITIVE.includes(name)) value = value.toLowerCase();
+
+    if (i === 0 && name !== 'v') errors.push('v=DMARC1 must be the first tag');
+    if (i === 1 && name !== 'p' && /;\s*p\s*=/i.test(record)) errors.push('p= must immediately follow v=DMARC1');
+
+    if (!TAGS[name]) {
+      unknown.push(name);
+      return;
+    }
+    if (tags[name] !== undefined) {
+      duplicates.push(name);
+      return;
+    }
+    if (!TAGS[name](value)) invalid.push({ tag: name, value });
+    tags[name] = value;
+  });
+
+  if (!tags.p) errors.push('Required p= tag is missing');
+
+  return { tags, errors, duplicates, unknown, invalid };
+}
+
+// Effective policy with RFC 7489 defaults applied
+function effectivePolicy(tags) {
+  const p = TAGS.p(tags.p || '') ? tags.p : 'none';
+  return {
+    policy: p,
+    subdomainPolicy: TAGS.sp(tags.sp || '') ? tags.sp : p,
+    nonExistentPolicy: TAGS.np(tags.np || '') ? tags.np : null,
+    pct: TAGS.pct(tags.pct || '') ? Number(tags.pct) : 100,
+    alignment: {
+      dkim: tags.adkim === 's' ? 'strict' : 'relaxed',
+      spf: tags.aspf === 's' ? 'strict' : 'relaxed',
+    },
+    rua: tags.rua ? parseURIs(tags.rua) : [],
+    ruf: tags.ruf ? parseURIs(tags.ruf) : [],
+  };
+}
+
+// ===== EXTERNAL REPORT AUTHORIZATION (RFC 7489 §7.1) =====
+// Report addresses within the same organizational domain need no authorization record
+function isSameOrganization(a, b) {
+  const org = organizationalDomain(a);
+  return a === b || (org !== null && org === organizationalDomain(b));
+}
+
+async function verifyReportDestinations(domain, uris) {
+  return Promise.all(uris.map(async (uri) => {
+    if (!uri.valid) return { ...uri, external: false, authorized: false };
+    if (isSameOrganization(uri.domain, domain)) return { ...uri, external: false, authorized: true };
+
+    const authRecord = `${domain}._report._dmarc.${uri.domain}`;
+    try {
+      const records = await dns.resolveTxt(authRecord);
+      const authorized = records.map(r => r.join('')).some(r => /^v=DMARC1/i.test(r.trim()));
+      return { ...uri, external: true, authorized, authRecord };
+    } catch (err) {
+      if (err.code === 'ENODATA' || err.code === 'ENOTFOUND') {
+        return { ...uri, external: true, authorized: false, authRecord };
+      }
+      return { ...uri, external: true, authorized: null, authRecord, error: err.code || err.message };
+    }
+  }));
+}
+
+async function analyzeDMARC(domain, record) {
+  const parsed = parseDMARC(record);
+  const policy = effectivePolicy(parsed.tags);
+  const [rua, ruf] = await Promise.all([
+    verifyReportDestinations(domain, policy.rua),
+    verifyReportDestinations(domain, policy.ruf),
+  ]);
+
+  const findings = [];
+  const add = (severity, id, message, fix) => findings.push({ id, severity, message, fix });
+
+  parsed.errors.forEach(e => add('critical', 'syntax', e, 'Rewrite the record as v=DMARC1; p=<policy>; followed by the optional tags.'));
+  parsed.invalid.forEach(({ tag, value }) => add('medium', `invalid-${tag}`, `Invalid value "${value}" for ${tag}=`, `Fix the ${tag}= value — receivers ignore tags they cannot parse.`));
+  parsed.duplicates.forEach(tag => add('medium', `duplicate-${tag}`, `Tag ${tag}= appears more than once`, `Keep a single ${tag}= tag; receivers only honour the first.`));
+  parsed.unknown.forEach(tag => add('low', `unknown-${tag}`, `Unknown tag ${tag}=`, `Remove ${tag}= — it is not part of the DMARC specification.`));
+
+  if (policy.policy === 'none') {
+    add('high', 'policy-none', 'Policy is p=none (monitoring only)', 'Once legitimate mail passes, move to p=quarantine and then p=reject.');
+  }
+  if (policy.policy !== 'none' && policy.pct < 100) {
+    add('medium', 'pct', `Policy only applies to ${policy.pct}% of failing mail`, 'Raise pct= to 100 (or remove it) once you are confident in your authentication.');
+  }
+  if (policy.policy !== 'none' && policy.subdomainPolicy === 'none') {
+    add('medium', 'sp-none', 'Subdomains are exempt (sp=none)', 'Set sp=quarantine or sp=reject (or remove sp= to inherit p=) so spoofers cannot use made-up subdomains.');
+  }
+  if (rua.length === 0) {
+    add('low', 'no-rua', 'No aggregate report address (rua=)', `Add rua=mailto:dmarc@${domain} so you can see who is sending as your domain.`);
+  }
+  [...rua, ...ruf].filter(u => u.valid && u.external && u.authorized === false).forEach((u) => {
+    add('medium', 'rua-unauthorized', `External report destination ${u.domain} has not authorized reports for ${domain}`, `Ask ${u.domain} to publish a TXT record at ${u.authRecord} with v=DMARC1, or use an address on ${domain}.`);
+  });
+
+  return {
+    record,
+    tags: parsed.tags,
+    ...policy,
+    rua,
+    ruf,
+    findings,
+  };
+}
+
+module.exports = {
+  parseDMARC,
+  effectivePolicy,
+  analyzeDMARC,
+};
@@ -0,0 +1,33 @@
+const resolver = require('./resolver');
+
+// Node's resolver does not expose the AD (authenticated data) bit, so DNSSEC is checked through
+// a validating DNS-over-HTTPS resolver's JSON API (Cloudflare by default, Google's dns.google also works)
+const DOH_URL = process.env.DOH_URL || 'https://cloudflare-dns.com/dns-query';
+const RCODES = { 0: 'NOERROR', 2: 'SERVFAIL', 3: 'NXDOMAIN', 5: 'REFUSED' };
+
+const queryDoH = (name, type, options) => resolver.queryDoH(DOH_URL, name, type, options);
+
+// signed: the resolver validated the answer; bogus: validation fails, so validating resolvers
+// return SERVFAIL while the zone itself answers fine with checking disabled
+async function analyzeDNSSEC(domain) {
+  const [answer, ds] = await Promise.all([
+    queryDoH(domain, 'SOA'),
+    queryDoH(domain, 'DS').catch(() => null),
+  ]);
+  const hasDS = Boolean(ds && Array.isArray(ds.Answer) && ds.Answer.some(r => r.type === 43));
+
+  if (answer.Status === 0) {
+    return { state: answer.AD ? 'signed' : 'unsigned', hasDS, rcode: RCODES[0] };
+  }
+  if (answer.Status === 2) {
+    const unchecked = await queryDoH(domain, 'SOA', { checkingDisabled: true }).catch(() => null);
+    if (unchecked && unchecked.Status === 0) return { state: 'bogus', hasDS, rcode: RCODES[2] };
+  }
+  const error = new Error(`Resolver answered ${RCODES[answer.Status] || `rcode ${answer.Status}`}`);
+  error.code = RCODES[answer.Status] || 'EDOH';
+  throw error;
+}
+
+module.exports = {
+  analyzeDNSSEC,
+};
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const { domainToASCII, domainToUnicode } = require('url');
+
+// Turns what prospects paste — a bare host, a website URL or an email address — into the ASCII
+// (punycode) hostname to check, and finds its organizational domain (RFC 7489 §3.2) with the
+// Public Suffix List bundled in data/public_suffix_list.dat.
+const PSL_FILE = 'public_suffix_list.dat';
+const LABEL_PATTERN = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/;
+const MAX_HOST_LENGTH = 253;
+const MAX_INPUT_LENGTH = 2048;
+
+// netlify.toml ships data/ with the functions (included_files); locally it is next to the source
+const DATA_DIRS = [
+  path.join(__dirname, '../../data'),
+  path.join(process.cwd(), 'data'),
+];
+
+// ===== PUBLIC SUFFIX LIST =====
+let rules;
+function loadRules() {
+  if (rules) return rules;
+  const dir = DATA_DIRS.find(d => fs.existsSync(path.join(d, PSL_FILE)));
+  if (!dir) throw new Error(`data/${PSL_FILE} not found in ${DATA_DIRS.join(', ')}`);
+
+  rules = { exact: new Set(), wildcard: new Set(), exception: new Set() };
+  for (const line of fs.readFileSync(path.join(dir, PSL_FILE), 'utf8').split('\n')) {
+    // A rule is the first word on a line; IDN rules are listed in Unicode
+    const rule = line.trim().split(/\s/)[0];
+    if (!rule || rule.startsWith('//')) continue;
+    if (rule.startsWith('!')) rules.exception.add(domainToASCII(rule.slice(1)));
+    else if (rule.startsWith('*.')) rules.wildcard.add(domainToASCII(rule.slice(2)));
+    else rules.exact.add(domainToASCII(rule));
+  }
+  return rules;
+}
+
+// The longest matching rule wins and exceptions beat wildcards. `listed` is false when only the
+// implicit "*" rule matched, i.e. the TLD is not a known one.
+function publicSuffix(host) {
+  const { exact, wildcard, exception } = loadRules();
+  const labels = host.split('.');
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+    if (exception.has(candidate)) return { suffix: labels.slice(i + 1).join('.'), listed: true };
+    if (i > 0 && wildcard.has(candidate)) return { suffix: labels.slice(i - 1).join('.'), listed: true };
+    if (exact.has(candidate)) return { suffix: candidate, listed: true };
+  }
+  return { suffix: labels[labels.length - 1], listed: false };
+}
+
+// The public suffix plus one label, or null when the host is itself a public suffix
+function organizationalDomain(host) {
+  const { suffix } = publicSuffix(host);
+  if (host === suffix) return null;
+  const labels = host.split('.');
+  return labels.slice(labels.length - suffix.split('.').length - 1).join('.');
+}
+
+// ===== NORMALIZATION =====
+// "https://www.acme.com/contact" → url, "Ryan <ryan@acme.com>" → email, "acme.com:443/" → host
+function extractHost(input) {
+  const value = input.replace(/^mailto:/i, '');
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+    try {
+      return { source: 'url', host: new URL(value).hostname };
+    } catch {
+      return null;
+    }
+  }
+  if (value.includes('@')) {
+    return { source: 'email', host: value.slice(value.lastIndexOf('@') + 1).replace(/[>\s].*$/, '') };
+  }
+  return { source: 'host', host: value.replace(/[/?#].*$/, '').replace(/:\d*$/, '') };
+}
+
+// Returns what will be checked, or null when the input does not name a registrable domain
+function normalizeDomain(value) {
+  if (typeof value !== 'string') return null;
+  const input = value.trim();
+  if (!input || input.length > MAX_INPUT_LENGTH) return null;
+
+  const extracted = extractHost(input);
+  if (!extracted) return null;
+
+  // domainToASCII lowercases, applies IDNA and returns '' for hosts it cannot convert
+  let domain = domainToASCII(extracted.host.replace(/\.$/, ''));
+  if (!domain || domain.length > MAX_HOST_LENGTH || !domain.split('.').every(label => LABEL_PATTERN.test(label))) return null;
+
+  const { listed } = publicSuffix(domain);
+  if (!listed || !organizationalDomain(domain)) return null;
+
+  // The website host is almost never the mail domain; www.acme.com means acme.com
+  if (domain.startsWith('www.') && organizationalDomain(domain.slice(4))) domain = domain.slice(4);
+
+  return {
+    input,
+    source: extracted.source,
+    domain,
+    unicode: domainToUnicode(domain),
+    organizationalDomain: organizationalDomain(domain),
+  };
+}
+
+module.exports = {
+  DATA_DIRS,
+  publicSuffix,
+  organizationalDomain,
+  normalizeDomain,
+};
@@ -0,0 +1,177 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Small text fetches for policy files and certificates published by the domain being checked.
+// Those URLs come from the domain's own DNS, so they are HTTPS-only and may not point at private
+// or loopback addresses; `trusted` skips both rules for URLs from our own config (test stand-ins).
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_MAX_BYTES = 64 * 1024;
+
+// Addresses a fetch for a checked domain may not connect to: private, shared, loopback,
+// link-local, benchmarking, multicast and reserved ranges (RFC 6890)
+const PRIVATE_V4 = [
+  [0x00000000, 8], // 0.0.0.0/8
+  [0x0a000000, 8], // 10.0.0.0/8
+  [0x64400000, 10], // 100.64.0.0/10 (carrier-grade NAT)
+  [0x7f000000, 8], // 127.0.0.0/8
+  [0xa9fe0000, 16], // 169.254.0.0/16
+  [0xac100000, 12], // 172.16.0.0/12
+  [0xc0000000, 24], // 192.0.0.0/24 (IETF protocol assignments)
+  [0xc0a80000, 16], // 192.168.0.0/16
+  [0xc6120000, 15], // 198.18.0.0/15 (benchmarking)
+  [0xe0000000, 3], // 224.0.0.0/3 (multicast and reserved, broadcast included)
+];
+
+class FetchError extends Error {
+  constructor(message, { code = 'EFETCH', status = null } = {}) {
+    super(message);
+    this.name = 'FetchError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// The eight 16-bit groups of an IPv6 address, with a trailing dotted IPv4 part converted
+function ipv6Groups(ip) {
+  let text = ip.toLowerCase().replace(/%.*$/, '');
+  const v4 = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4) {
+    const [a, b, c, d] = v4[1].split('.').map(Number);
+    text = `${text.slice(0, -v4[1].length)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const parts = (s) => (s ? s.split(':') : []);
+  const fill = tail === undefined ? [] : Array(8 - parts(head).length - parts(tail).length).fill('0');
+  return [...parts(head), ...fill, ...parts(tail || '')].map(g => parseInt(g, 16));
+}
+
+function isPrivateAddress(ip) {
+  if (net.isIPv4(ip)) {
+    const value = ip.split('.').reduce((n, octet) => n * 256 + Number(octet), 0);
+    return PRIVATE_V4.some(([base, bits]) => Math.floor(value / 2 ** (32 - bits)) === Math.floor(base / 2 ** (32 - bits)));
+  }
+  if (!net.isIPv6(ip)) return true;
+  const g = ipv6Groups(ip);
+  const embedded = () => `${g[6] >> 8}.${g[6] & 255}.${g[7] >> 8}.${g[7] & 255}`;
+  const zeros = (from, to) => g.slice(from, to).every(n => n === 0);
+  // IPv4-mapped (::ffff:0:0/96), IPv4-compatible (::/96, :: and ::1 included) and NAT64 (64:ff9b::/96)
+  // addresses reach the IPv4 address in their last 32 bits
+  if (zeros(0, 5) && g[5] === 0xffff) return isPrivateAddress(embedded());
+  if (zeros(0, 6)) return true;
+  if (g[0] === 0x64 && g[1] === 0xff9b && zeros(2, 6)) return isPrivateAddress(embedded());
+  // fc00::/7 unique local, fe80::/10 link-local, fec0::/10 site-local, ff00::/8 multicast
+  return (g[0] & 0xfe00) === 0xfc00 || (g[0] & 0xffc0) === 0xfe80 || (g[0] & 0xffc0) === 0xfec0 || (g[0] & 0xff00) === 0xff00;
+}
+
+// dns.lookup for the connection itself: the addresses are vetted where they are used, so a host
+// cannot answer with a public address for a check and a private one for the connection (DNS rebinding)
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.length === 0 || addresses.some(a => isPrivateAddress(a.address))) {
+      return callback(new FetchError(`${hostname} resolves to a private address`, { code: 'EPRIVATE' }));
+    }
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Resolves to { status, contentType, text }; redirects are never followed (RFC 8461 §3.3)
+async function fetchText(url, { timeoutMs = DEFAULT_TIMEOUT_MS, maxBytes = DEFAULT_MAX_BYTES, trusted = false, accept = 'text/plain' } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new FetchError(`Invalid URL: ${url}`, { code: 'EURL' });
+  }
+  if (parsed.protocol !== 'https:' && !(trusted && parsed.protocol === 'http:')) {
+    throw new FetchError(`${url} is not an HTTPS URL`, { code: 'EURL' });
+  }
+  const literal = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (!trusted && net.isIP(literal) && isPrivateAddress(literal)) {
+    throw new FetchError(`${parsed.hostname} is a private address`, { code: 'EPRIVATE' });
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const client = parsed.protocol === 'https:' ? https : http;
+    const response = await new Promise((resolve, reject) => {
+      const options = { headers: { accept }, signal: controller.signal, ...(trusted ? {} : { lookup: publicLookup }) };
+      client.get(parsed, options, resolve).on('error', reject);
+    });
+    const status = response.statusCode;
+    if (status < 200 || status >= 300) {
+      response.resume();
+      if (status >= 300 && status < 400) throw new FetchError(`${url} redirects (HTTP ${status})`, { code: 'EREDIRECT', status });
+      throw new FetchError(`${url} returned HTTP ${status}`, { code: 'EHTTP', status });
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        response.destroy();
+        throw new FetchError(`${url} is larger than ${maxBytes} bytes`, { code: 'ETOOBIG' });
+      }
+      chunks.push(chunk);
+    }
+    return {
+      status,
+      contentType: response.headers['content-type'] || '',
+      text: Buffer.concat(chunks).toString('utf8'),
+    };
+  } catch (err) {
+    if (controller.signal.aborted) throw new FetchError(`${url} timed out after ${timeoutMs} ms`, { code: 'ETIMEOUT' });
+    if (err instanceof FetchError) throw err;
+    throw new FetchError(`${url} could not be fetched: ${err.code || err.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// JSON requests to URLs from our own configuration (alert webhooks, email relays, CRM APIs).
+// Resolves to { status, data } with the parsed response body (null when empty or not JSON).
+async function requestJSON(url, { method = 'GET', body, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: { Accept: 'application/json', ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}), ...headers },
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body),
+      signal: controller.signal,
+    });
+    const text = await response.text();
+    if (!response.ok) throw new FetchError(`${url} returned HTTP ${response.status}`, { code: 'EHTTP', status: response.status });
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      // Webhook receivers often answer with plain text
+    }
+    return { status: response.status, data };
+  } catch (err) {
+    if (err.name === 'AbortError') throw new FetchError(`${url} timed out after ${timeoutMs} ms`, { code: 'ETIMEOUT' });
+    if (err instanceof FetchError) throw err;
+    throw new FetchError(`${url} could not be reached: ${(err.cause && err.cause.code) || err.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+const postJSON = (url, body, options = {}) => requestJSON(url, { ...options, method: 'POST', body });
+
+// Timeouts, network errors, rate limits and server errors are worth another attempt; other 4xx are not
+const isRetryable = (err) => !(err instanceof FetchError) || err.status === null || err.status === 429 || err.status >= 500;
+
+module.exports = {
+  FetchError,
+  fetchText,
+  requestJSON,
+  postJSON,
+  isRetryable,
+  isPrivateAddress,
+};
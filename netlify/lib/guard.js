@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+const { resolveTenant, listTenants } = require('./tenants');
+
+// ===== CONFIG =====
+// Same-origin by default: Netlify sets URL (production) and DEPLOY_URL / DEPLOY_PRIME_URL (previews).
+// Tenant hosts are always allowed over HTTPS, since their pages call the API from their own hostname.
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS
+  || [process.env.URL, process.env.DEPLOY_URL, process.env.DEPLOY_PRIME_URL, 'http://localhost:8888'].filter(Boolean).join(','))
+  .split(',')
+  .map(o => o.trim().replace(/\/$/, ''))
+  .filter(Boolean);
+
+// Fixed windows per function; `session` limits only apply where a session ID is known
+const LIMITS = {
+  start: { ip: { max: 10, windowSec: 600 } },
+  chat: { ip: { max: 60, windowSec: 600 }, session: { max: 40, windowSec: 3600 } },
+  check: { ip: { max: 10, windowSec: 600 } },
+  headers: { ip: { max: 10, windowSec: 600 } },
+  lead: { ip: { max: 10, windowSec: 600 }, session: { max: 5, windowSec: 3600 } },
+  report: { ip: { max: 20, windowSec: 600 }, session: { max: 10, windowSec: 3600 } },
+  bulk: { ip: { max: 30, windowSec: 600 } },
+  monitor: { ip: { max: 60, windowSec: 600 } },
+  admin: { ip: { max: 120, windowSec: 600 } },
+  booking: { ip: { max: 10, windowSec: 600 }, session: { max: 5, windowSec: 3600 } },
+  tenant: { ip: { max: 60, windowSec: 600 } },
+};
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Challenge tokens are only enforced when a secret is configured
+const CHALLENGE_SECRET = process.env.CHALLENGE_SECRET;
+const TOKEN_TTL_SEC = 2 * 60 * 60;
+
+// ===== HELPERS =====
+const header = (event, name) => {
+  const headers = event.headers || {};
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+};
+
+const clientIP = (event) => header(event, 'x-nf-client-connection-ip')
+  || (header(event, 'x-forwarded-for') || '').split(',')[0].trim()
+  || 'unknown';
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 32);
+
+function isAllowedOrigin(origin) {
+  const normalized = origin.replace(/\/$/, '');
+  if (ALLOWED_ORIGINS.includes(normalized)) return true;
+  return listTenants().some(t => t.hosts.some(host => normalized.toLowerCase() === `https://${host}`));
+}
+
+function corsHeaders(event) {
+  const origin = header(event, 'origin');
+  return {
+    'Access-Control-Allow-Origin': origin && isAllowedOrigin(origin) ? origin : (ALLOWED_ORIGINS[0] || ''),
+    'Access-Control-Allow-Headers': 'Content-Type, Accept, X-Audit-Token, X-Audit-Tenant',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Vary': 'Origin',
+    'Content-Type': 'application/json',
+  };
+}
+
+const reject = (headers, statusCode, error, extra = {}) => ({
+  statusCode,
+  headers: extra.retryAfter ? { ...headers, 'Retry-After': String(extra.retryAfter) } : headers,
+  body: JSON.stringify({ error, ...extra }),
+});
+
+// ===== RATE LIMITING =====
+// Counters are shared through the store with a compare-and-set, so concurrent requests on other
+// instances cannot overwrite each other's increments. Each instance also counts in memory, and that
+// count decides when the store fails or stays contended, so the limit still holds per instance.
+const CAS_ATTEMPTS = 8;
+const CAS_BACKOFF_MS = 20;
+const MAX_LOCAL_KEYS = 5000;
+const localCounts = new Map();
+
+function countLocally(key, windowStart) {
+  const entry = localCounts.get(key);
+  const count = entry && entry.windowStart === windowStart ? entry.count + 1 : 1;
+  localCounts.delete(key);
+  localCounts.set(key, { windowStart, count });
+  if (localCounts.size > MAX_LOCAL_KEYS) localCounts.delete(localCounts.keys().next().value);
+  return count;
+}
+
+// The shared count after this request, or null when every attempt lost the race
+async function countShared(event, key, windowStart) {
+  const store = createStore('ratelimits', event);
+  for (let i = 0; i < CAS_ATTEMPTS; i++) {
+    // Jittered, so the requests that lost the race do not collide again
+    if (i > 0) await new Promise(resolve => setTimeout(resolve, CAS_BACKOFF_MS * (i + Math.random())));
+    const current = await store.getVersioned(key);
+    const entry = current && current.value;
+    const count = entry && entry.windowStart === windowStart ? entry.count + 1 : 1;
+    if (await store.setIf(key, { windowStart, count }, current ? current.version : null)) return count;
+  }
+  return null;
+}
+
+async function hit(event, key, { max, windowSec }) {
+  const now = Math.floor(Date.now() / 1000);
+  const windowStart = now - (now % windowSec);
+
+  let count = countLocally(key, windowStart);
+  try {
+    const shared = await countShared(event, key, windowStart);
+    if (shared === null) console.error(`Rate limit counter ${key} stayed contended; using the local count`);
+    else count = shared;
+  } catch (err) {
+    // Fall back to the local count — a storage hiccup should not take the audit down
+    console.error('Rate limit storage error:', err);
+  }
+
+  return count <= max ? null : windowStart + windowSec - now;
+}
+
+async function rateLimit(event, name, sessionId) {
+  const limits = LIMITS[name] || {};
+  const keys = [['ip', clientIP(event)], ['session', sessionId]].filter(([scope, id]) => limits[scope] && id);
+
+  for (const [scope, id] of keys) {
+    const retryAfter = await hit(event, `${name}-${scope}-${hash(id)}`, limits[scope]);
+    if (retryAfter !== null) return retryAfter;
+  }
+  return null;
+}
+
+// ===== CHALLENGE TOKEN =====
+const sign = (payload) => crypto.createHmac('sha256', CHALLENGE_SECRET).update(payload).digest('base64url');
+
+function issueToken(event) {
+  if (!CHALLENGE_SECRET) return null;
+  const payload = `${Math.floor(Date.now() / 1000)}.${crypto.randomBytes(9).toString('base64url')}.${hash(clientIP(event))}`;
+  return `${payload}.${sign(payload)}`;
+}
+
+function verifyToken(event, token) {
+  if (!CHALLENGE_SECRET) return true;
+  if (typeof token !== 'string') return false;
+
+  const [issuedAt, nonce, ipHash, signature] = token.split('.');
+  if (!signature) return false;
+  const expected = Buffer.from(sign(`${issuedAt}.${nonce}.${ipHash}`));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return false;
+
+  return ipHash === hash(clientIP(event)) && Math.floor(Date.now() / 1000) - Number(issuedAt) < TOKEN_TTL_SEC;
+}
+
+// ===== API KEYS =====
+// Team-only endpoints take a shared key as `Authorization: Bearer <key>`
+function hasApiKey(event, key) {
+  if (!key) return false;
+  const given = Buffer.from((header(event, 'authorization') || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(key);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// ===== ENTRY POINT =====
+// Returns a ready-to-send rejection response, or null when the request may proceed
+async function protect(event, name, headers, { sessionId, requireToken = true } = {}) {
+  const origin = header(event, 'origin');
+  if (origin && !isAllowedOrigin(origin)) {
+    return reject(headers, 403, 'Origin not allowed');
+  }
+
+  if (!resolveTenant(event)) {
+    return reject(headers, 404, 'Unknown audit');
+  }
+
+  if ((event.body || '').length > MAX_BODY_BYTES) {
+    return reject(headers, 413, 'Request is too large');
+  }
+
+  if (requireToken && !verifyToken(event, header(event, 'x-audit-token'))) {
+    return reject(headers, 403, 'Your audit session has expired — please reload the page to start again.', { code: 'token' });
+  }
+
+  const retryAfter = await rateLimit(event, name, sessionId);
+  if (retryAfter !== null) {
+    return reject(headers, 429, 'Too many requests — please wait a few minutes and try again.', { retryAfter });
+  }
+
+  return null;
+}
+
+module.exports = {
+  LIMITS,
+  corsHeaders,
+  protect,
+  issueToken,
+  verifyToken,
+  hasApiKey,
+  clientIP,
+};
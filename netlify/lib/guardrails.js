@@ -0,0 +1,109 @@
+// Checks on the chat model's reply before it is returned and stored. Leftover markers and
+// unbalanced emphasis are repaired; a reply that quotes the system prompt or wanders off-topic is
+// replaced with a message that steers back to the audit. Each issue is logged and kept on the turn.
+const MARKER = /===\s*[A-Z][A-Z_]*(?:\s*:[^=\n]{0,20})?\s*===/g;
+const SHINGLE_WORDS = 8;
+// Eleven consecutive words of the prompt, or a few shorter passages, count as leaking it
+const LEAK_SHINGLES = 4;
+const OFF_TOPIC_MIN_WORDS = 80;
+// Word stems a reply in an acquisition audit is all but certain to use, in English and Dutch
+const TOPIC_STEMS = /\b(client|klant|customer|lead|sales|verko|prospect|outbound|e-?mail|pipeline|deal|market|channel|kana|linkedin|campa|acqui|revenue|omzet|meeting|afspra|call|gesprek|audit|business|bedrij|compan|icp|conversi|referr|doorverwij|domain|domein|deliverab|spam|funnel|cac|cpl|budget|target|doel|netwerk|network)/i;
+const DUTCH_WORDS = /\b(de|het|een|je|jij|jouw|u|uw|wij|niet|voor|met|van|zijn|dat|wat|hoe|ik|bent|heeft)\b/gi;
+const ENGLISH_WORDS = /\b(the|and|you|your|is|are|for|with|of|that|what|how|i|have|has)\b/gi;
+
+const FALLBACKS = {
+  en: "Let's keep the focus on your client acquisition audit. Could you answer my last question, or tell me a bit more about how you win new clients today?",
+  nl: "Laten we de focus op uw client acquisition audit houden. Kunt u mijn laatste vraag beantwoorden, of iets meer vertellen over hoe u nu nieuwe klanten binnenhaalt?",
+};
+
+const words = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}\s]+/gu, " ").split(/\s+/).filter(Boolean);
+
+function shingles(text) {
+  const list = words(text);
+  const result = new Set();
+  for (let i = 0; i + SHINGLE_WORDS <= list.length; i++) result.add(list.slice(i, i + SHINGLE_WORDS).join(" "));
+  return result;
+}
+
+// Quoted example lines and topic bullet lists are meant to be said, so only the instructions count
+let cached = { prompt: null, check: null };
+function createLeakCheck(prompt) {
+  if (cached.prompt === prompt) return cached.check;
+  const instructions = String(prompt || "")
+    .replace(/["“][^"”\n]*["”]/g, " ")
+    .split("\n")
+    .filter(line => !/^\s*-\s/.test(line))
+    .join("\n");
+  const known = shingles(instructions);
+  const check = (text) => {
+    let hits = 0;
+    for (const shingle of shingles(text)) {
+      if (known.has(shingle) && ++hits >= LEAK_SHINGLES) return true;
+    }
+    return false;
+  };
+  cached = { prompt, check };
+  return check;
+}
+
+// Drop the last unmatched ** and * in each paragraph (the renderer never lets emphasis span paragraphs)
+function balanceMarkdown(text) {
+  return text.split(/(\n{2,})/).map((block) => {
+    if ((block.match(/\*\*/g) || []).length % 2 === 1) {
+      const at = block.lastIndexOf("**");
+      block = block.slice(0, at) + block.slice(at + 2);
+    }
+    // A lone * that starts a line and is followed by a space is a bullet, not emphasis
+    const lone = [...block.matchAll(/(?<!\*)\*(?!\*)/g)]
+      .map(m => m.index)
+      .filter(at => !(block[at + 1] === " " && /^[ \t]*$/.test(block.slice(block.lastIndexOf("\n", at) + 1, at))));
+    if (lone.length % 2 === 1) {
+      const at = lone[lone.length - 1];
+      block = block.slice(0, at) + block.slice(at + 1);
+    }
+    return block;
+  }).join("");
+}
+
+function isOffTopic(text) {
+  if (text.includes("```")) return true;
+  return words(text).length >= OFF_TOPIC_MIN_WORDS && !TOPIC_STEMS.test(text);
+}
+
+// The conversation language, from the assistant's earlier turns
+function languageOf(history) {
+  const recent = history.filter(turn => turn.role === "assistant").slice(-3).map(turn => turn.content || "").join(" ");
+  const count = (pattern) => (recent.match(pattern) || []).length;
+  return count(DUTCH_WORDS) > count(ENGLISH_WORDS) ? "nl" : "en";
+}
+
+// `reply` has had the markers chat.js acts on removed; `prompt` is the session's chat template
+// (without the check results appended to it) and `history` the conversation so far.
+// Returns the reply to show and the ids of the issues found.
+function guardReply(reply, { prompt, history = [] }) {
+  const issues = [];
+  let text = reply;
+
+  const unmarked = text.replace(MARKER, "");
+  if (unmarked !== text) {
+    issues.push("stray-marker");
+    text = unmarked.replace(/\n{3,}/g, "\n\n").trim();
+  }
+
+  const replaced = createLeakCheck(prompt)(text) ? "prompt-leak" : isOffTopic(text) ? "off-topic" : null;
+  if (replaced) return { reply: FALLBACKS[languageOf(history)], issues: [...issues, replaced] };
+
+  const balanced = balanceMarkdown(text);
+  if (balanced !== text) {
+    issues.push("unbalanced-markdown");
+    text = balanced;
+  }
+
+  return { reply: text, issues };
+}
+
+module.exports = {
+  createLeakCheck,
+  balanceMarkdown,
+  guardReply,
+};
@@ -0,0 +1,600 @@
+const net = require('net');
+const { evaluateSPF } = require('./spf');
+const { checkDMARC } = require('./deliverability');
+const { inspectDKIMRecord } = require('./dkim');
+const { checkRBLs } = require('./rbl');
+const { isPrivateAddress } = require('./fetch');
+const { normalizeDomain, organizationalDomain } = require('./domains');
+const { SCORING, scoreChecks } = require('./scoring');
+const dns = require('./resolver');
+const { traceQueries, describeResolver } = require('./resolver');
+
+// Analysis of the raw headers of a delivered message: what the receiver concluded about SPF, DKIM
+// and DMARC (Authentication-Results, ARC), whether the From, Return-Path and d= domains align, and
+// the route it took (Received hops). The verdicts are compared with what the domains publish now.
+const MAX_HEADER_BYTES = 60 * 1024;
+const SLOW_HOP_SEC = 5 * 60;
+const SPF_RESULTS = ['pass', 'fail', 'softfail', 'neutral', 'none', 'temperror', 'permerror'];
+const AUTH_METHODS = ['spf', 'dkim', 'dmarc', 'arc', 'compauth', 'bimi', 'dkim-atps', 'iprev', 'auth'];
+
+// Same weights and grades as the domain check, over the header checks
+const HEADER_SCORING = {
+  ...SCORING,
+  checks: {
+    spf: { points: 25 },
+    dkim: { points: 25 },
+    dmarc: { points: 25 },
+    alignment: { points: 10 },
+    route: { points: 10 },
+    arc: { points: 5 },
+  },
+};
+
+const withFinding = (result, id, severity) => ({
+  ...result,
+  findings: [{ id, severity, message: result.summary, fix: result.fix || null }],
+});
+
+// ===== PARSER =====
+// Unfolds continuation lines and stops at the body. Lines that are not headers (the preamble some
+// mail clients put above "Show original") are skipped.
+function parseHeaders(raw) {
+  const headers = [];
+  const lines = String(raw).replace(/\r\n?/g, '\n').replace(/^\s*\n/, '').split('\n');
+  for (const line of lines) {
+    if (line.trim() === '') {
+      if (headers.length > 0) break;
+      continue;
+    }
+    if (/^[ \t]/.test(line) && headers.length > 0) {
+      headers[headers.length - 1].value += ` ${line.trim()}`;
+      continue;
+    }
+    const match = /^([!-9;-~]+):\s*(.*)$/.exec(line);
+    if (match) headers.push({ name: match[1].toLowerCase(), value: match[2].trim() });
+  }
+  return headers;
+}
+
+const all = (headers, name) => headers.filter(h => h.name === name).map(h => h.value);
+const first = (headers, name) => all(headers, name)[0];
+
+// Returns a list of problems; an empty list means the headers can be analyzed
+function validateHeaders(raw) {
+  if (typeof raw !== 'string' || !raw.trim()) return ['Paste the headers of the message'];
+  if (Buffer.byteLength(raw) > MAX_HEADER_BYTES) return [`Headers are limited to ${MAX_HEADER_BYTES / 1024} KB`];
+  const headers = parseHeaders(raw);
+  if (headers.length === 0) return ['No email headers found'];
+  if (!first(headers, 'from')) return ['No From header found — paste the complete headers, not just a part'];
+  return [];
+}
+
+// RFC 5322 comments, kept separately: receivers put the sending IP in them
+function splitComments(value) {
+  let text = '';
+  const comments = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+  for (const ch of value) {
+    if (ch === '"' && depth === 0) quoted = !quoted;
+    if (!quoted && ch === '(') {
+      if (depth++ > 0) current += ch;
+      continue;
+    }
+    if (!quoted && ch === ')' && depth > 0) {
+      if (--depth === 0) {
+        comments.push(current);
+        current = '';
+        text += ' ';
+      } else {
+        current += ch;
+      }
+      continue;
+    }
+    if (depth > 0) current += ch;
+    else text += ch;
+  }
+  return { text, comments };
+}
+
+const IP_IN_COMMENT = /(?:designates|sender IP is|client-ip=)\s*\[?([0-9a-fA-F:.]+[0-9a-fA-F])\]?/i;
+
+// "mx.google.com; spf=pass (…) smtp.mailfrom=a@b.com; dkim=pass header.d=b.com header.s=s1"
+function parseAuthResults(value) {
+  const { text, comments } = splitComments(value);
+  const results = [];
+  let authservId = null;
+  text.split(';').map(s => s.trim()).filter(Boolean).forEach((segment, i) => {
+    const tokens = segment.split(/\s+/);
+    const [method, result] = tokens[0].toLowerCase().split('=');
+    if (result === undefined || !AUTH_METHODS.includes(method)) {
+      if (i === 0 && !/^i=\d+$/.test(segment)) authservId = tokens[0].toLowerCase();
+      return;
+    }
+    const props = {};
+    for (const token of tokens.slice(1)) {
+      const eq = token.indexOf('=');
+      if (eq > 0) props[token.slice(0, eq).toLowerCase()] = token.slice(eq + 1).replace(/^"|"$/g, '');
+    }
+    results.push({ method, result, props });
+  });
+  const ipComment = comments.map(c => IP_IN_COMMENT.exec(c)).find(Boolean);
+  return { authservId, results, ip: ipComment && net.isIP(ipComment[1]) ? ipComment[1] : null, comments };
+}
+
+// DKIM-Signature and ARC-Seal are tag=value lists
+function parseTagList(value) {
+  const tags = {};
+  for (const part of value.split(';')) {
+    const eq = part.indexOf('=');
+    if (eq > 0) tags[part.slice(0, eq).trim().toLowerCase()] = part.slice(eq + 1).replace(/\s+/g, '');
+  }
+  return tags;
+}
+
+function parseReceived(value) {
+  const semi = value.lastIndexOf(';');
+  const clauses = semi === -1 ? value : value.slice(0, semi);
+  const date = semi === -1 ? NaN : Date.parse(value.slice(semi + 1).replace(/\([^)]*\)/g, '').trim());
+  const fromPart = (/\bfrom\s+(.*?)(?=\s+by\s|$)/i.exec(clauses) || [])[1] || '';
+  const ipMatch = /\[(?:IPv6:)?([0-9a-fA-F:.]+)\]/.exec(fromPart) || /\(([0-9]{1,3}(?:\.[0-9]{1,3}){3})\)/.exec(fromPart);
+  return {
+    from: (/\bfrom\s+(\S+)/i.exec(clauses) || [])[1] || null,
+    by: (/\bby\s+(\S+)/i.exec(clauses) || [])[1] || null,
+    with: (/\bwith\s+(\S+)/i.exec(clauses) || [])[1] || null,
+    ip: ipMatch && net.isIP(ipMatch[1]) ? ipMatch[1] : null,
+    date: Number.isNaN(date) ? null : new Date(date).toISOString(),
+  };
+}
+
+// The address in "Name <a@b.com>", "<a@b.com>" or "a@b.com"; null for the null sender "<>"
+function addressOf(value) {
+  if (!value) return null;
+  const bracket = /<([^>]*)>/.exec(value);
+  const address = (bracket ? bracket[1] : value.split(/[\s,]/)[0]).trim().toLowerCase();
+  return address.includes('@') ? address : null;
+}
+
+function domainOf(value) {
+  if (!value) return null;
+  const host = (value.includes('@') ? value.slice(value.lastIndexOf('@') + 1) : value).toLowerCase().replace(/[>.\s]+$/, '');
+  const normalized = normalizeDomain(host);
+  return normalized ? normalized.domain : host;
+}
+
+const duration = (sec) => (sec < 120 ? `${sec} s` : `${Math.round(sec / 60)} min`);
+
+const orgOf = (domain) => (domain && organizationalDomain(domain)) || domain;
+
+const aligned = (domain, fromDomain, mode) => Boolean(domain && fromDomain)
+  && (mode === 'strict' ? domain === fromDomain : orgOf(domain) === orgOf(fromDomain));
+
+// ===== EXTRACTION =====
+function extract(headers) {
+  // The receiver adds its Authentication-Results on top; anything further down could be forged
+  const auth = first(headers, 'authentication-results');
+  const authResults = auth ? parseAuthResults(auth) : { authservId: null, results: [], ip: null };
+  const byMethod = (method) => authResults.results.filter(r => r.method === method);
+
+  const receivedSPF = first(headers, 'received-spf');
+  const spfEntry = byMethod('spf')[0];
+  let spfResult = spfEntry ? spfEntry.result : null;
+  if (!spfResult && receivedSPF) {
+    const word = receivedSPF.split(/\s+/)[0].toLowerCase();
+    if (SPF_RESULTS.includes(word)) spfResult = word;
+  }
+
+  const fromAddress = addressOf(first(headers, 'from'));
+  const fromDomain = domainOf(fromAddress || first(headers, 'from'));
+  const returnPathAddress = addressOf(first(headers, 'return-path'));
+  const mailFrom = spfEntry && (spfEntry.props['smtp.mailfrom'] || spfEntry.props['smtp.helo']);
+  const envelopeDomain = domainOf(mailFrom) || domainOf(returnPathAddress);
+
+  const signatures = all(headers, 'dkim-signature').map(parseTagList).map(tags => ({
+    domain: (tags.d || '').toLowerCase() || null,
+    selector: tags.s || null,
+    algorithm: tags.a || null,
+  }));
+  const dkimResults = byMethod('dkim').map(r => ({
+    result: r.result,
+    domain: (r.props['header.d'] || domainOf(r.props['header.i']) || '').toLowerCase() || null,
+    selector: r.props['header.s'] || null,
+  }));
+
+  const dmarcEntry = byMethod('dmarc')[0];
+  const hops = all(headers, 'received').map(parseReceived).reverse();
+  hops.forEach((hop, i) => {
+    const previous = hops[i - 1];
+    hop.delaySec = previous && previous.date && hop.date ? Math.round((Date.parse(hop.date) - Date.parse(previous.date)) / 1000) : null;
+  });
+  const dated = hops.filter(h => h.date);
+
+  // What the receiver saw connecting: its own note, or the newest hop that came from a public address
+  const clientIP = receivedSPF && (/client-ip=\s*([0-9a-fA-F:.]+)/i.exec(receivedSPF) || [])[1];
+  const publicHop = [...hops].reverse().find(h => h.ip && !isPrivateAddress(h.ip));
+  const sendingIP = (clientIP && net.isIP(clientIP) ? clientIP : null) || authResults.ip || (publicHop ? publicHop.ip : null);
+
+  const seals = all(headers, 'arc-seal').map(parseTagList).map(tags => ({ instance: Number(tags.i) || null, cv: (tags.cv || '').toLowerCase() || null, domain: (tags.d || '').toLowerCase() || null }));
+  const arc = seals.length === 0 ? null : {
+    instances: seals.length,
+    sealers: [...new Set(seals.map(s => s.domain).filter(Boolean))],
+    cv: (seals.sort((a, b) => (b.instance || 0) - (a.instance || 0))[0] || {}).cv,
+  };
+
+  return {
+    authservId: authResults.authservId,
+    from: { address: fromAddress, domain: fromDomain, organizationalDomain: orgOf(fromDomain) },
+    returnPath: { address: returnPathAddress, domain: envelopeDomain },
+    sendingIP,
+    verdicts: {
+      spf: spfResult,
+      dkim: dkimResults,
+      dmarc: dmarcEntry ? dmarcEntry.result : null,
+    },
+    signatures,
+    hops,
+    transitSec: dated.length > 1 ? Math.round((Date.parse(dated[dated.length - 1].date) - Date.parse(dated[0].date)) / 1000) : null,
+    arc,
+  };
+}
+
+// ===== CROSS-REFERENCES =====
+function ipAuthorized(ip, spf) {
+  if (!ip || !spf) return null;
+  const list = new net.BlockList();
+  for (const range of spf.ip4) {
+    const [address, bits] = range.split('/');
+    if (bits) list.addSubnet(address, Number(bits), 'ipv4');
+    else list.addAddress(address, 'ipv4');
+  }
+  for (const range of spf.ip6) {
+    const [address, bits] = range.split('/');
+    if (bits) list.addSubnet(address, Number(bits), 'ipv6');
+    else list.addAddress(address, 'ipv6');
+  }
+  return list.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+}
+
+async function lookupKey(signature) {
+  if (!signature.domain || !signature.selector) return { ...signature, published: false };
+  try {
+    const records = await dns.resolveTxt(`${signature.selector}._domainkey.${signature.domain}`);
+    const record = records.map(r => r.join('')).find(r => r.includes('v=DKIM1') || r.includes('p='));
+    return record ? { ...signature, published: true, key: inspectDKIMRecord(signature.selector, record) } : { ...signature, published: false };
+  } catch (err) {
+    if (err.code === 'ENOTFOUND' || err.code === 'ENODATA') return { ...signature, published: false };
+    return { ...signature, published: null, error: err.code || err.message };
+  }
+}
+
+// ===== CHECKS =====
+function checkSPFVerdict(msg, spf) {
+  const base = { id: 'spf', name: 'SPF Verdict' };
+  const domain = msg.returnPath.domain;
+  const covered = ipAuthorized(msg.sendingIP, spf);
+  const coverage = covered === null ? ''
+    : covered ? ` ${domain}'s SPF record currently lists ${msg.sendingIP}.`
+      : ` ${domain}'s SPF record does not list ${msg.sendingIP} by address${spf.record ? '' : ' (it has no SPF record)'}.`;
+  const fix = `Add the service that sent this message to ${domain || 'the envelope domain'}'s SPF record (its include: or ip4: mechanism).`;
+
+  if (!msg.verdicts.spf) {
+    return withFinding({
+      ...base,
+      status: 'warn',
+      summary: 'No SPF verdict in the headers',
+      detail: `The headers have no Authentication-Results or Received-SPF from the receiving server, so its SPF result is unknown.${coverage} Paste the full headers as shown by "Show original" or "View message source".`,
+      fix: null,
+      raw: { result: null, domain, ip: msg.sendingIP, authorized: covered },
+    }, 'no-verdict', 'medium');
+  }
+
+  const result = msg.verdicts.spf;
+  const raw = { result, domain, ip: msg.sendingIP, authorized: covered, record: spf ? spf.record : null };
+  if (result === 'pass') {
+    return {
+      ...base,
+      status: 'pass',
+      summary: `SPF passed for ${domain || 'the envelope domain'}`,
+      detail: `The receiver confirmed that ${msg.sendingIP || 'the sending server'} may send for ${domain}.${covered === false ? ` It is authorized through a mechanism other than a listed address (include:, a, mx or exists).` : coverage}`,
+      raw,
+      findings: [],
+    };
+  }
+  if (result === 'fail' || result === 'softfail') {
+    return withFinding({
+      ...base,
+      status: 'fail',
+      summary: `SPF ${result} for ${domain || 'the envelope domain'}`,
+      detail: `The receiver found that ${msg.sendingIP || 'the sending server'} is not authorized to send for ${domain}.${coverage}${covered ? ' The record may have been fixed after this message was sent.' : ''} Unauthorized mail is a common reason for spam placement.`,
+      fix,
+      raw,
+    }, 'spf-fail', 'critical');
+  }
+  if (result === 'permerror' || result === 'temperror') {
+    const limit = spf && spf.lookupLimitExceeded ? ' The record needs more than 10 DNS lookups, the limit receivers allow.' : '';
+    return withFinding({
+      ...base,
+      status: 'fail',
+      summary: `SPF ${result} for ${domain || 'the envelope domain'}`,
+      detail: `The receiver could not evaluate the SPF record${result === 'permerror' ? ' because it is invalid' : ' because of a DNS failure'}.${limit}${coverage}`,
+      fix: result === 'permerror' ? `Fix ${domain}'s SPF record so it is valid and stays within 10 DNS lookups.` : 'Check that your DNS provider answers reliably; a temporary error usually resolves itself.',
+      raw,
+    }, `spf-${result}`, 'high');
+  }
+  return withFinding({
+    ...base,
+    status: 'warn',
+    summary: `SPF ${result} for ${domain || 'the envelope domain'}`,
+    detail: `The receiver got no definite SPF answer (${result}).${coverage}`,
+    fix,
+    raw,
+  }, 'spf-inconclusive', 'high');
+}
+
+function checkDKIMVerdict(msg, keys) {
+  const base = { id: 'dkim', name: 'DKIM Verdict' };
+  const results = msg.verdicts.dkim;
+  const passed = results.filter(r => r.result === 'pass');
+  const keyNote = keys.map(k => (k.published === false ? `${k.selector}._domainkey.${k.domain} no longer publishes a key`
+    : k.published === null ? `the key at ${k.selector}._domainkey.${k.domain} could not be looked up`
+      : `${k.selector}._domainkey.${k.domain} publishes ${k.key.bits ? `a ${k.key.bits}-bit` : 'an'} ${k.key.keyType.toUpperCase()} key`)).join('; ');
+  const raw = { results, signatures: keys.map(({ key, ...k }) => ({ ...k, status: key ? key.status : null })) };
+
+  if (msg.signatures.length === 0 && results.length === 0) {
+    return withFinding({
+      ...base,
+      status: 'fail',
+      summary: 'The message was not DKIM-signed',
+      detail: 'There is no DKIM-Signature header, so receivers cannot verify that the message really comes from your domain and was not changed on the way.',
+      fix: `Turn on DKIM signing for ${msg.from.domain} in the service that sent this message and publish its key.`,
+      raw,
+    }, 'unsigned', 'critical');
+  }
+
+  if (passed.length > 0) {
+    const keyFindings = keys.filter(k => k.key && k.key.status !== 'pass').flatMap(k => k.key.findings);
+    return {
+      ...base,
+      status: keyFindings.length > 0 ? 'warn' : 'pass',
+      summary: `DKIM passed (${passed.map(r => r.domain).filter(Boolean).join(', ') || 'signature verified'})`,
+      detail: `The receiver verified ${passed.length} signature${passed.length > 1 ? 's' : ''}.${keyNote ? ` Now: ${keyNote}.` : ''}`,
+      fix: keyFindings.length > 0 ? [...new Set(keyFindings.map(f => f.fix))].join(' ') : undefined,
+      raw,
+      findings: keyFindings,
+    };
+  }
+
+  if (results.length === 0) {
+    return withFinding({
+      ...base,
+      status: 'warn',
+      summary: 'No DKIM verdict in the headers',
+      detail: `The message is signed by ${msg.signatures.map(s => s.domain).join(', ')}, but the headers carry no DKIM result from the receiver.${keyNote ? ` Now: ${keyNote}.` : ''}`,
+      fix: null,
+      raw,
+    }, 'no-verdict', 'medium');
+  }
+
+  const missing = keys.filter(k => k.published === false);
+  return withFinding({
+    ...base,
+    status: 'fail',
+    summary: `DKIM ${results[0].result} (${results.map(r => r.domain).filter(Boolean).join(', ') || 'signature not verified'})`,
+    detail: missing.length > 0
+      ? `No signature verified, and ${keyNote}. The selector was probably removed or renamed at the DNS provider.`
+      : `No signature verified.${keyNote ? ` Now: ${keyNote}.` : ''} The message was probably changed after signing (a footer, link tracking or a forwarding list), or the published key does not match the signing key.`,
+    fix: missing.length > 0
+      ? `Publish the DKIM key for ${missing.map(k => `${k.selector}._domainkey.${k.domain}`).join(', ')} from your email provider's settings.`
+      : 'Compare the DKIM key in your email provider\'s settings with the published record, and avoid changing messages after they are signed.',
+    raw,
+  }, 'dkim-fail', 'critical');
+}
+
+function checkDMARCVerdict(msg, published, alignment) {
+  const base = { id: 'dmarc', name: 'DMARC Verdict' };
+  const domain = msg.from.domain;
+  const policy = published.raw && published.raw.policy
+    ? (published.raw.inherited ? published.raw.subdomainPolicy : published.raw.policy)
+    : null;
+  // Without a receiver verdict, DMARC passes when an authenticated identifier is aligned
+  const computed = !msg.verdicts.dmarc;
+  const result = msg.verdicts.dmarc || (alignment.spfPass || alignment.dkimPass ? 'pass' : 'fail');
+  const raw = { result, computed, policy, record: published.raw ? published.raw.record || null : null };
+  const source = computed ? 'Worked out from the SPF and DKIM verdicts (the receiver reported no DMARC result)' : 'The receiver reported it';
+
+  if (!policy) {
+    return withFinding({
+      ...base,
+      status: 'fail',
+      summary: `${domain} publishes no DMARC policy`,
+      detail: `${published.status === 'error' ? `DMARC could not be looked up (${published.detail}).` : `There is no DMARC record for ${domain}.`} Google, Yahoo and Microsoft expect one from bulk senders, and unauthenticated mail without it is easy to spoof.`,
+      fix: `Add a TXT record at _dmarc.${msg.from.organizationalDomain || domain}: v=DMARC1; p=none; rua=mailto:dmarc@${msg.from.organizationalDomain || domain}, then tighten to quarantine.`,
+      raw,
+    }, 'missing', 'critical');
+  }
+
+  if (result === 'pass') {
+    return {
+      ...base,
+      status: 'pass',
+      summary: `DMARC passed for ${domain}`,
+      detail: `${source}: ${alignment.dkimPass ? 'DKIM' : 'SPF'} passed for a domain aligned with ${domain}. The published policy is p=${policy}.`,
+      raw,
+      findings: [],
+    };
+  }
+
+  const consequence = policy === 'reject' ? 'tells receivers to reject failing mail, so this message could have been bounced'
+    : policy === 'quarantine' ? 'tells receivers to put failing mail in spam — which explains spam placement'
+      : 'lets failing mail through, but receivers still treat unauthenticated mail with suspicion';
+  return withFinding({
+    ...base,
+    status: 'fail',
+    summary: `DMARC ${result} for ${domain} (policy ${policy})`,
+    detail: `${source}: neither SPF nor DKIM passed for a domain aligned with ${domain}. Its policy p=${policy} ${consequence}.`,
+    fix: 'Make the service that sent this message sign with DKIM for your domain (custom DKIM) or use a return-path on your domain, so one of them passes aligned.',
+    raw,
+  }, 'dmarc-fail', 'critical');
+}
+
+function checkAlignment(msg, alignment) {
+  const base = { id: 'alignment', name: 'Domain Alignment' };
+  const { fromDomain, envelopeDomain, dkimDomains, spfAligned, dkimAligned, modes } = alignment;
+  const raw = { from: fromDomain, returnPath: envelopeDomain, dkim: dkimDomains, spfAligned, dkimAligned, modes };
+  const describe = `From: ${fromDomain}; Return-Path: ${envelopeDomain || 'none'}; DKIM d=: ${dkimDomains.join(', ') || 'none'} (${modes.spf} SPF and ${modes.dkim} DKIM alignment).`;
+  const spfFix = `Set up a custom return-path (bounce domain) on ${fromDomain} with your email service.`;
+  const dkimFix = `Set up custom DKIM so the service signs with d=${fromDomain} instead of its own domain.`;
+
+  if (spfAligned && dkimAligned) {
+    return { ...base, status: 'pass', summary: 'From, Return-Path and DKIM domains align', detail: describe, raw, findings: [] };
+  }
+  if (!spfAligned && !dkimAligned) {
+    return {
+      ...base,
+      status: 'fail',
+      summary: `Neither the Return-Path nor the DKIM domain matches ${fromDomain}`,
+      detail: `${describe} DMARC can only pass through an aligned domain, so this message cannot pass DMARC even when SPF and DKIM do.`,
+      fix: `${dkimFix} ${spfFix}`,
+      raw,
+      findings: [
+        { id: 'dkim-unaligned', severity: 'high', message: 'DKIM domain does not align with From', fix: dkimFix },
+        { id: 'spf-unaligned', severity: 'medium', message: 'Return-Path does not align with From', fix: spfFix },
+      ],
+    };
+  }
+  return withFinding({
+    ...base,
+    status: 'warn',
+    summary: spfAligned ? `DKIM domain does not match ${fromDomain}` : `Return-Path does not match ${fromDomain}`,
+    detail: `${describe} One aligned domain is enough for DMARC, but ${spfAligned ? 'SPF alignment breaks when mail is forwarded' : 'mail relying on DKIM alone has no fallback if the signature breaks'}.`,
+    fix: spfAligned ? dkimFix : spfFix,
+    raw,
+  }, spfAligned ? 'dkim-unaligned' : 'spf-unaligned', 'medium');
+}
+
+function checkRoute(msg, listings) {
+  const base = { id: 'route', name: 'Delivery Path' };
+  const slow = msg.hops.filter(h => h.delaySec !== null && h.delaySec > SLOW_HOP_SEC);
+  const listed = listings.filter(l => l.status === 'listed');
+  const raw = { sendingIP: msg.sendingIP, hops: msg.hops, transitSec: msg.transitSec, listed };
+  const path = `${msg.hops.length} hop${msg.hops.length === 1 ? '' : 's'}${msg.transitSec !== null ? `, ${duration(msg.transitSec)} in transit` : ''}${msg.sendingIP ? `, sent from ${msg.sendingIP}` : ''}.`;
+  const findings = [];
+
+  if (listed.length > 0) {
+    const fix = 'Follow each blocklist\'s delisting procedure and find out why the address was listed (compromised account, bought list, complaint spike).';
+    findings.push(...listed.map(l => ({ id: `listed-${l.list.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`, severity: 'high', message: `${l.target} is listed on ${l.list}`, fix })));
+  }
+  if (slow.length > 0) {
+    findings.push({ id: 'slow-hop', severity: 'medium', message: `Took ${duration(Math.max(...slow.map(h => h.delaySec)))} to reach ${slow.map(h => h.by).filter(Boolean).join(', ') || 'the next hop'}`, fix: 'Long holds usually mean greylisting or throttling by the receiver; warm up new IPs and domains and keep sending volume steady.' });
+  }
+  if (!msg.sendingIP) {
+    findings.push({ id: 'no-sending-ip', severity: 'low', message: 'The sending IP could not be found in the headers', fix: null });
+  }
+
+  if (findings.length === 0) {
+    return { ...base, status: 'pass', summary: `Delivered without delays; ${msg.sendingIP} is not on the checked blocklists`, detail: path, raw, findings };
+  }
+  return {
+    ...base,
+    status: listed.length > 0 ? 'fail' : 'warn',
+    summary: findings.map(f => f.message).join('; '),
+    detail: `${path} ${listed.length > 0 ? 'Mail from listed addresses is routinely filtered to spam or refused.' : ''}`.trim(),
+    fix: [...new Set(findings.map(f => f.fix).filter(Boolean))].join(' ') || undefined,
+    raw,
+    findings,
+  };
+}
+
+function checkARC(msg) {
+  const base = { id: 'arc', name: 'ARC Chain' };
+  const { arc } = msg;
+  const raw = arc;
+  if (arc.cv === 'fail') {
+    return withFinding({
+      ...base,
+      status: 'warn',
+      summary: `ARC chain failed validation (${arc.instances} set${arc.instances > 1 ? 's' : ''})`,
+      detail: `The message passed through ${arc.sealers.join(', ') || 'intermediaries'} that sealed it with ARC, and the chain does not validate. Receivers cannot rely on the authentication results recorded before forwarding.`,
+      fix: 'Send directly to recipients rather than through forwarding lists, or make sure every intermediary signs correctly.',
+      raw,
+    }, 'arc-fail', 'medium');
+  }
+  return {
+    ...base,
+    status: 'pass',
+    summary: `${arc.cv === 'pass' ? 'ARC chain validates' : 'ARC seal present'} (${arc.instances} set${arc.instances > 1 ? 's' : ''})`,
+    detail: `The message was forwarded or relayed through ${arc.sealers.join(', ') || 'an intermediary'}, which preserved the original authentication results with ARC.`,
+    raw,
+    findings: [],
+  };
+}
+
+// ===== ANALYSIS =====
+async function analyzeHeaders(raw) {
+  const started = Date.now();
+  const msg = extract(parseHeaders(raw));
+
+  const { result, queries } = await traceQueries(async () => {
+    const [spf, published, keys, listings] = await Promise.all([
+      msg.returnPath.domain ? evaluateSPF(msg.returnPath.domain).catch(() => null) : null,
+      checkDMARC(msg.from.domain, msg.from.organizationalDomain),
+      Promise.all(msg.signatures.map(lookupKey)),
+      msg.sendingIP && !isPrivateAddress(msg.sendingIP) ? checkRBLs(msg.from.domain, [{ ip: msg.sendingIP }]) : [],
+    ]);
+
+    const modes = published.raw && published.raw.alignment ? published.raw.alignment : { spf: 'relaxed', dkim: 'relaxed' };
+    const dkimDomains = [...new Set([...msg.signatures.map(s => s.domain), ...msg.verdicts.dkim.map(r => r.domain)].filter(Boolean))];
+    const alignment = {
+      fromDomain: msg.from.domain,
+      envelopeDomain: msg.returnPath.domain,
+      dkimDomains,
+      modes,
+      spfAligned: aligned(msg.returnPath.domain, msg.from.domain, modes.spf),
+      dkimAligned: dkimDomains.some(d => aligned(d, msg.from.domain, modes.dkim)),
+      spfPass: msg.verdicts.spf === 'pass' && aligned(msg.returnPath.domain, msg.from.domain, modes.spf),
+      dkimPass: msg.verdicts.dkim.some(r => r.result === 'pass' && aligned(r.domain, msg.from.domain, modes.dkim)),
+    };
+
+    const checks = {
+      spf: checkSPFVerdict(msg, spf),
+      dkim: checkDKIMVerdict(msg, keys),
+      dmarc: checkDMARCVerdict(msg, published, alignment),
+      alignment: checkAlignment(msg, alignment),
+      route: checkRoute(msg, listings),
+    };
+    if (msg.arc) checks.arc = checkARC(msg);
+    return checks;
+  });
+
+  return {
+    domain: msg.from.domain,
+    from: msg.from,
+    returnPath: msg.returnPath,
+    sendingIP: msg.sendingIP,
+    authservId: msg.authservId,
+    verdicts: msg.verdicts,
+    signatures: msg.signatures,
+    hops: msg.hops,
+    transitSec: msg.transitSec,
+    arc: msg.arc,
+    ...scoreChecks(result, HEADER_SCORING),
+    checks: result,
+    dns: {
+      resolver: describeResolver(),
+      queries,
+      failed: queries.filter(q => q.error && q.error !== 'ENOTFOUND' && q.error !== 'ENODATA').length,
+      ms: Date.now() - started,
+    },
+  };
+}
+
+module.exports = {
+  HEADER_SCORING,
+  MAX_HEADER_BYTES,
+  parseHeaders,
+  parseAuthResults,
+  parseReceived,
+  validateHeaders,
+  analyzeHeaders,
+};
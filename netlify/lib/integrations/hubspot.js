@@ -0,0 +1,71 @@
+const { requestJSON } = require('../fetch');
+const { summaryText, splitName, dealTitle } = require('./payload');
+
+// HubSpot CRM v3 with a private app token (scopes: crm.objects.contacts.write, crm.objects.deals.write).
+// The contact is upserted by email; the deal is created once per session and moved to the booking
+// stage when the booking link is clicked. Stage IDs default to the first two of the default pipeline.
+const API_URL = (process.env.HUBSPOT_API_URL || 'https://api.hubapi.com').replace(/\/$/, '');
+const PIPELINE = process.env.HUBSPOT_PIPELINE || 'default';
+const DEAL_STAGE = process.env.HUBSPOT_DEAL_STAGE || 'appointmentscheduled';
+const BOOKING_STAGE = process.env.HUBSPOT_BOOKING_STAGE || 'qualifiedtobuy';
+const DEAL_TO_CONTACT = 3; // HubSpot-defined association type
+
+const isEnabled = () => Boolean(process.env.HUBSPOT_ACCESS_TOKEN);
+
+// ===== MAPPERS =====
+function toContact(payload) {
+  const { first, last } = splitName(payload.lead.name);
+  return {
+    email: payload.lead.email,
+    firstname: first,
+    lastname: last,
+    ...(payload.lead.company ? { company: payload.lead.company } : {}),
+    ...(payload.deliverability ? { website: payload.deliverability.domain } : {}),
+  };
+}
+
+function toDeal(payload) {
+  return {
+    dealname: dealTitle(payload),
+    pipeline: PIPELINE,
+    dealstage: payload.type === 'booking.clicked' ? BOOKING_STAGE : DEAL_STAGE,
+    description: summaryText(payload),
+  };
+}
+
+// ===== DELIVERY =====
+// `state` is what earlier deliveries for this session stored ({ contactId, dealId }); returns the new state
+async function deliver(payload, state = {}, { timeoutMs } = {}) {
+  const call = (method, path, body) => requestJSON(`${API_URL}${path}`, {
+    method,
+    body,
+    timeoutMs,
+    headers: { Authorization: `Bearer ${process.env.HUBSPOT_ACCESS_TOKEN}` },
+  });
+
+  let { contactId, dealId } = state;
+  try {
+    const { data: upserted } = await call('POST', '/crm/v3/objects/contacts/batch/upsert', {
+      inputs: [{ idProperty: 'email', id: payload.lead.email, properties: toContact(payload) }],
+    });
+    contactId = upserted.results[0].id;
+
+    if (!dealId) {
+      const { data: deal } = await call('POST', '/crm/v3/objects/deals', {
+        properties: toDeal(payload),
+        associations: [{ to: { id: contactId }, types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: DEAL_TO_CONTACT }] }],
+      });
+      dealId = deal.id;
+    } else {
+      const update = payload.type === 'booking.clicked' ? { dealstage: BOOKING_STAGE } : { description: summaryText(payload) };
+      await call('PATCH', `/crm/v3/objects/deals/${encodeURIComponent(dealId)}`, { properties: update });
+    }
+  } catch (err) {
+    // Keep what was created so the retry does not create a second deal
+    err.state = { contactId, dealId };
+    throw err;
+  }
+  return { contactId, dealId };
+}
+
+module.exports = { isEnabled, toContact, toDeal, deliver };
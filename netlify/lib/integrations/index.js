@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const { tenantStore, resolveTenant } = require('../tenants');
+const { loadAudit, saveAudit } = require('../audits');
+const { isRetryable } = require('../fetch');
+const { forEachKey } = require('../storage');
+const { buildPayload } = require('./payload');
+const webhook = require('./webhook');
+const hubspot = require('./hubspot');
+const pipedrive = require('./pipedrive');
+
+// Outbound events: every configured target gets one delivery job per event. Jobs are stored before
+// the first attempt and deleted once delivered; failed attempts are retried with backoff by the
+// scheduled integrations-retry function until MAX_ATTEMPTS, after which the job stays as "failed".
+// The queue is per tenant, like the audits it reads CRM state from. Jobs are keyed by status
+// ("pending/<id>", "failed/<id>"), so the retry scan never reads the failed ones.
+const STORE_NAME = 'deliveries';
+const EVENT_TYPES = ['assessment.delivered', 'booking.clicked'];
+const RETRY_MINUTES = [1, 5, 30, 120, 720];
+const MAX_ATTEMPTS = RETRY_MINUTES.length + 1;
+// The first attempt runs inside a user request, so it gets less time than the retries
+const INLINE_TIMEOUT_MS = 4000;
+const RETRY_TIMEOUT_MS = 10000;
+
+const CRMS = { hubspot, pipedrive };
+
+const deliveries = (event) => tenantStore(STORE_NAME, event);
+const jobKey = (job) => `${job.status}/${job.id}`;
+
+// ===== TARGETS =====
+// Webhooks need WEBHOOK_SECRET to sign with; CRMs need a lead email to match the contact on
+function targetsFor(payload) {
+  const urls = process.env.WEBHOOK_SECRET ? (process.env.WEBHOOK_URLS || '').split(',').map(u => u.trim()).filter(Boolean) : [];
+  const crms = payload.lead && payload.lead.email ? Object.keys(CRMS).filter(name => CRMS[name].isEnabled()) : [];
+  return [...urls.map(url => ({ target: 'webhook', url })), ...crms.map(target => ({ target }))];
+}
+
+// ===== DELIVERY =====
+// Resolves to { job, ok, state?, error? } and updates or removes the stored job; never throws
+async function attempt(event, job, state, timeoutMs) {
+  job.attempts += 1;
+  job.lastAttemptAt = new Date().toISOString();
+  try {
+    const next = job.target === 'webhook'
+      ? await webhook.deliver(job.url, job.payload, { secret: process.env.WEBHOOK_SECRET, timeoutMs })
+      : await CRMS[job.target].deliver(job.payload, state, { timeoutMs });
+    await deliveries(event).delete(jobKey(job));
+    return { job, ok: true, state: next };
+  } catch (err) {
+    const retry = isRetryable(err) && job.attempts < MAX_ATTEMPTS;
+    job.status = retry ? 'pending' : 'failed';
+    job.lastError = err.message;
+    job.nextAttemptAt = retry ? new Date(Date.now() + RETRY_MINUTES[job.attempts - 1] * 60 * 1000).toISOString() : null;
+    console.error(`Delivery of ${job.type} to ${job.url || job.target} failed (attempt ${job.attempts}, ${job.status}):`, err.message);
+    try {
+      await deliveries(event).set(jobKey(job), job);
+      if (!retry) await deliveries(event).delete(`pending/${job.id}`);
+    } catch (storeErr) {
+      console.error('Delivery queue storage error:', storeErr);
+    }
+    return { job, ok: false, state: err.state, error: err.message };
+  }
+}
+
+// CRM record IDs live on the audit so later events update the same contact and deal
+async function saveStates(event, sessionId, outcomes) {
+  const updates = outcomes.filter(o => o.state && o.job.target !== 'webhook');
+  if (updates.length === 0) return;
+  const audit = await loadAudit(event, sessionId);
+  audit.integrations = { ...(audit.integrations || {}) };
+  for (const { job, state } of updates) audit.integrations[job.target] = state;
+  await saveAudit(event, audit);
+}
+
+const outcomeSummary = ({ job, ok, error }) => ({
+  target: job.target,
+  ...(job.url ? { url: job.url } : {}),
+  ok,
+  ...(ok ? {} : { error, status: job.status }),
+});
+
+// ===== EVENTS =====
+// Fire `type` for a saved audit: queue a job per target and make the first attempt right away.
+// Problems are logged and returned, never thrown — integrations must not break the audit.
+async function emitEvent(event, type, audit) {
+  if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown integration event "${type}"`);
+
+  try {
+    const payload = buildPayload(type, audit, resolveTenant(event));
+    const targets = targetsFor(payload);
+    if (targets.length === 0) return [];
+
+    const now = new Date().toISOString();
+    const jobs = targets.map(t => ({
+      id: crypto.randomUUID(),
+      ...t,
+      type,
+      sessionId: audit.id,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      createdAt: now,
+      lastAttemptAt: null,
+      nextAttemptAt: now,
+      lastError: null,
+    }));
+    await Promise.all(jobs.map(job => deliveries(event).set(jobKey(job), job)));
+
+    const states = audit.integrations || {};
+    const outcomes = await Promise.all(jobs.map(job => attempt(event, job, states[job.target] || {}, INLINE_TIMEOUT_MS)));
+    await saveStates(event, audit.id, outcomes);
+    return outcomes.map(outcomeSummary);
+  } catch (err) {
+    console.error(`Integration event ${type} error:`, err);
+    return [];
+  }
+}
+
+// Oldest due job first; one at a time, so CRM state from one delivery is seen by the next
+async function retryDueDeliveries(event, { deadline = Infinity, minTimeMs = RETRY_TIMEOUT_MS } = {}) {
+  const store = deliveries(event);
+  const now = Date.now();
+  const due = [];
+  await forEachKey(store, 'pending/', async (key) => {
+    const job = await store.get(key);
+    if (job && Date.parse(job.nextAttemptAt) <= now) due.push(job);
+  });
+  due.sort((a, b) => Date.parse(a.nextAttemptAt) - Date.parse(b.nextAttemptAt));
+
+  const results = [];
+  for (const job of due) {
+    if (deadline - Date.now() < minTimeMs) break;
+    const state = job.target === 'webhook' ? {} : ((await loadAudit(event, job.sessionId)).integrations || {})[job.target] || {};
+    const outcome = await attempt(event, job, state, RETRY_TIMEOUT_MS);
+    try {
+      await saveStates(event, job.sessionId, [outcome]);
+    } catch (err) {
+      console.error('Integration state storage error:', err);
+    }
+    results.push({ id: job.id, type: job.type, attempts: job.attempts, ...outcomeSummary(outcome) });
+  }
+  return { due: due.length, results };
+}
+
+module.exports = { EVENT_TYPES, emitEvent, retryDueDeliveries };
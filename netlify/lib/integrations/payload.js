@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const { DEFAULT_TENANT } = require('../tenants');
+
+// The event body every target receives: who the lead is, what they told us, what we told them
+// and how their sending domain scored. CRM mappers read from this, never from the raw audit.
+function buildPayload(type, audit, tenant, occurredAt = new Date().toISOString()) {
+  const d = audit.deliverability;
+  return {
+    id: crypto.randomUUID(),
+    type,
+    occurredAt,
+    tenant: { id: tenant.id, name: tenant.name },
+    session: {
+      id: audit.id,
+      startedAt: audit.createdAt,
+      phase: audit.phase,
+      variant: audit.variant ? { experiment: audit.variant.experiment, id: audit.variant.id } : null,
+    },
+    lead: audit.lead ? { name: audit.lead.name, email: audit.lead.email, company: audit.lead.company } : null,
+    profile: audit.profile || null,
+    assessment: audit.assessment || null,
+    deliverability: d
+      ? {
+        domain: d.domain,
+        score: d.score,
+        grade: d.grade || null,
+        topFixes: d.topFixes || [],
+        checks: Object.fromEntries(Object.entries(d.checks).map(([id, c]) => [id, c.status])),
+      }
+      : null,
+  };
+}
+
+// Plain-text digest for CRM notes and deal descriptions
+function summaryText(payload) {
+  const { profile: p, assessment: a, deliverability: d } = payload;
+  const lines = [];
+  if (a) lines.push(`Assessment: ${a.rating} — ${a.summary}`);
+  if (p) {
+    if (p.industry) lines.push(`Industry: ${p.industry}`);
+    if (p.icp) lines.push(`ICP: ${p.icp}`);
+    if (p.companySize) lines.push(`Company size: ${p.companySize}`);
+    if (p.dealValue) lines.push(`Deal value: ${p.dealValue}`);
+    if (p.channels && p.channels.length) lines.push(`Channels: ${p.channels.map(c => c.name).join(', ')}`);
+    if (p.biggestFrustration) lines.push(`Biggest frustration: ${p.biggestFrustration}`);
+  }
+  if (d) lines.push(`Deliverability (${d.domain}): ${d.grade ? `${d.grade} · ` : ''}${d.score}/100`);
+  if (a) a.quickWins.forEach((w, i) => lines.push(`Quick win ${i + 1}: ${w.title}`));
+  return lines.join('\n');
+}
+
+const splitName = (name = '') => {
+  const [first, ...rest] = name.trim().split(/\s+/);
+  return { first: first || '', last: rest.join(' ') };
+};
+
+// Partner tenants share the CRM, so their deals say whose audit it was
+const dealTitle = (payload) => `Client Acquisition Audit${payload.tenant.id === DEFAULT_TENANT ? '' : ` (${payload.tenant.name})`} — ${payload.lead.company || payload.lead.name}`;
+
+module.exports = { buildPayload, summaryText, splitName, dealTitle };
@@ -0,0 +1,72 @@
+const { requestJSON } = require('../fetch');
+const { summaryText, dealTitle } = require('./payload');
+
+// Pipedrive API v1 with a personal API token. The person is matched by email (or created), the deal
+// is created once per session with the audit summary as a note, and moved to PIPEDRIVE_BOOKING_STAGE_ID
+// when the booking link is clicked. Without stage IDs Pipedrive uses the default pipeline's first stage.
+const API_URL = (process.env.PIPEDRIVE_API_URL || 'https://api.pipedrive.com/v1').replace(/\/$/, '');
+const stageId = (value) => (value ? Number(value) : undefined);
+const DEAL_STAGE_ID = stageId(process.env.PIPEDRIVE_STAGE_ID);
+const BOOKING_STAGE_ID = stageId(process.env.PIPEDRIVE_BOOKING_STAGE_ID);
+
+const isEnabled = () => Boolean(process.env.PIPEDRIVE_API_TOKEN);
+
+// ===== MAPPERS =====
+function toPerson(payload) {
+  return {
+    name: payload.lead.name,
+    email: [{ value: payload.lead.email, primary: true, label: 'work' }],
+  };
+}
+
+function toDeal(payload, personId) {
+  const stage = payload.type === 'booking.clicked' ? BOOKING_STAGE_ID || DEAL_STAGE_ID : DEAL_STAGE_ID;
+  return {
+    title: dealTitle(payload),
+    person_id: personId,
+    ...(stage ? { stage_id: stage } : {}),
+  };
+}
+
+const toNote = (payload, dealId) => ({
+  deal_id: dealId,
+  content: payload.type === 'booking.clicked'
+    ? `Booking link clicked at ${payload.occurredAt}`
+    : summaryText(payload).replace(/\n/g, '<br>'),
+});
+
+// ===== DELIVERY =====
+// `state` is what earlier deliveries for this session stored ({ personId, dealId }); returns the new state
+async function deliver(payload, state = {}, { timeoutMs } = {}) {
+  const call = (method, path, body) => requestJSON(`${API_URL}${path}`, {
+    method,
+    body,
+    timeoutMs,
+    headers: { 'x-api-token': process.env.PIPEDRIVE_API_TOKEN },
+  });
+
+  let { personId, dealId } = state;
+  try {
+    if (!personId) {
+      const query = new URLSearchParams({ term: payload.lead.email, fields: 'email', exact_match: 'true' });
+      const { data: found } = await call('GET', `/persons/search?${query}`);
+      const match = found.data && found.data.items && found.data.items[0];
+      personId = match ? match.item.id : (await call('POST', '/persons', toPerson(payload))).data.data.id;
+    }
+
+    if (!dealId) {
+      dealId = (await call('POST', '/deals', toDeal(payload, personId))).data.data.id;
+    } else if (payload.type === 'booking.clicked' && BOOKING_STAGE_ID) {
+      await call('PUT', `/deals/${dealId}`, { stage_id: BOOKING_STAGE_ID });
+    }
+
+    await call('POST', '/notes', toNote(payload, dealId));
+  } catch (err) {
+    // Keep what was created so the retry does not create a second person or deal
+    err.state = { personId, dealId };
+    throw err;
+  }
+  return { personId, dealId };
+}
+
+module.exports = { isEnabled, toPerson, toDeal, deliver };
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const { postJSON } = require('../fetch');
+
+// Signed like Stripe: X-Audit-Signature is "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"
+// keyed with WEBHOOK_SECRET, so receivers can check both origin and freshness.
+const SIGNATURE_TOLERANCE_SEC = 5 * 60;
+
+const sign = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+function signatureHeader(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${sign(secret, timestamp, body)}`;
+}
+
+// For receivers written in Node: true when `header` is a fresh signature of the raw `body`
+function verifySignature(secret, body, header, { toleranceSec = SIGNATURE_TOLERANCE_SEC, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(p => p.split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1 || Math.abs(now / 1000 - timestamp) > toleranceSec) return false;
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const given = Buffer.from(parts.v1);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+async function deliver(url, payload, { secret, timeoutMs }) {
+  const body = JSON.stringify(payload);
+  await postJSON(url, body, {
+    timeoutMs,
+    headers: {
+      'X-Audit-Event': payload.type,
+      'X-Audit-Delivery': payload.id,
+      'X-Audit-Signature': signatureHeader(secret, body),
+    },
+  });
+  return null;
+}
+
+module.exports = { signatureHeader, verifySignature, deliver };
@@ -0,0 +1,54 @@
+const { ensureOk, withRetry, readSSE } = require("./http");
+
+function createGeminiProvider({
+  apiKey = process.env.GEMINI_API_KEY,
+  model = process.env.GEMINI_MODEL || "gemini-2.5-flash",
+} = {}) {
+  const endpoint = (method) => `https://generativelanguage.googleapis.com/v1beta/models/${model}:${method}key=${apiKey}`;
+
+  const toBody = ({ system, messages, temperature, maxOutputTokens, schema }) => ({
+    system_instruction: {
+      parts: [{ text: system }],
+    },
+    contents: messages.map((msg) => ({
+      role: msg.role === "assistant" ? "model" : "user",
+      parts: [{ text: msg.content }],
+    })),
+    generationConfig: {
+      temperature,
+      maxOutputTokens,
+      ...(schema ? { responseMimeType: "application/json", responseSchema: schema } : {}),
+    },
+  });
+
+  const textOf = (data) => (data.candidates?.[0]?.content?.parts || []).map(p => p.text || "").join("");
+
+  const post = (method, request, signal) => fetch(endpoint(method), {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(toBody(request)),
+    signal,
+  }).then(response => ensureOk(response, "Gemini"));
+
+  return {
+    name: "gemini",
+    model,
+
+    generate: (request) => withRetry(async (signal) => {
+      const response = await post("generateContent?", request, signal);
+      return textOf(await response.json());
+    }, { deadline: request.deadline }),
+
+    async stream(request) {
+      const response = await withRetry(signal => post("streamGenerateContent?alt=sse&", request, signal), { deadline: request.deadline });
+      return (async function* () {
+        for await (const data of readSSE(response)) {
+          const text = textOf(JSON.parse(data));
+          if (text) yield text;
+        }
+      })();
+    },
+  };
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,106 @@
+// Shared transport for the HTTP providers: per-attempt timeouts, retries with backoff, SSE parsing
+const TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 25000;
+const RETRIES = process.env.LLM_RETRIES !== undefined ? Number(process.env.LLM_RETRIES) : 2;
+// Total time for the model calls of one request, attempts and backoff included. It has to stay
+// below the function's own time limit, so the function can still answer when the model does not.
+const DEADLINE_MS = Number(process.env.LLM_DEADLINE_MS) || 25000;
+// A retry that would get less than this before the deadline is not started
+const MIN_ATTEMPT_MS = 1000;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+
+class LLMError extends Error {
+  constructor(message, { status = null, details = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = "LLMError";
+    this.status = status;
+    this.details = details;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The deadline (ms since epoch) a request that chains several model calls passes to each of them
+const startDeadline = () => Date.now() + DEADLINE_MS;
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Throw an LLMError for non-2xx responses; 429 and 5xx are worth retrying
+async function ensureOk(response, provider) {
+  if (response.ok) return response;
+  const details = await response.text().catch(() => "");
+  throw new LLMError(`${provider} API error (${response.status})`, {
+    status: response.status,
+    details,
+    retryable: response.status === 429 || response.status >= 500,
+    retryAfterMs: parseRetryAfter(response.headers.get("retry-after")),
+  });
+}
+
+// Run attempt(signal) with a timeout per attempt, retrying retryable failures with exponential backoff.
+// No attempt or backoff runs past `deadline`, which defaults to DEADLINE_MS from the first attempt.
+// For streams the attempt should return once headers arrive — the timeout does not cover reading the body.
+async function withRetry(attempt, { timeoutMs = TIMEOUT_MS, retries = RETRIES, deadline = startDeadline() } = {}) {
+  for (let i = 0; ; i++) {
+    const budget = Math.min(timeoutMs, deadline - Date.now());
+    if (budget < MIN_ATTEMPT_MS) throw new LLMError("LLM request deadline exceeded", { status: 504 });
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), budget);
+    try {
+      return await attempt(controller.signal);
+    } catch (err) {
+      let error = err;
+      if (controller.signal.aborted) {
+        error = new LLMError(`LLM request timed out after ${budget}ms`, { status: 504, retryable: true });
+      } else if (!(err instanceof LLMError)) {
+        error = new LLMError(`LLM request failed: ${err.message}`, { retryable: true });
+      }
+      if (i >= retries || !error.retryable) throw error;
+      const backoff = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** i) * (0.5 + Math.random() / 2);
+      const delay = Math.min(MAX_DELAY_MS, error.retryAfterMs ?? backoff);
+      if (Date.now() + delay + MIN_ATTEMPT_MS > deadline) throw error;
+      await sleep(delay);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+// Yield the data payload of every Server-Sent Event in a fetch response
+async function* readSSE(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  const dataOf = (raw) => raw.split("\n").filter(l => l.startsWith("data:")).map(l => l.slice(5).trim()).join("");
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, "\n");
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const data = dataOf(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (data) yield data;
+    }
+  }
+  const rest = dataOf(buffer);
+  if (rest) yield rest;
+}
+
+module.exports = {
+  LLMError,
+  startDeadline,
+  ensureOk,
+  withRetry,
+  readSSE,
+};
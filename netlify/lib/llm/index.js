@@ -0,0 +1,23 @@
+const { createGeminiProvider } = require("./gemini");
+const { createOpenAIProvider } = require("./openai");
+const { createMockProvider } = require("./mock");
+const { LLMError, startDeadline } = require("./http");
+
+// Every provider implements the same two calls on a neutral request
+// { system, messages: [{ role: "user" | "assistant", content }], temperature, maxOutputTokens, schema?, deadline? }
+// (deadline: ms since epoch, shared by the calls of one request; see startDeadline):
+//   generate(request) → full reply text (JSON text when a schema is given)
+//   stream(request)   → async iterable of text chunks; resolves once the upstream connection is open
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+};
+
+function getProvider(name = process.env.LLM_PROVIDER || "gemini") {
+  const factory = PROVIDERS[name];
+  if (!factory) throw new Error(`Unknown LLM_PROVIDER "${name}" (expected ${Object.keys(PROVIDERS).join(", ")})`);
+  return factory();
+}
+
+module.exports = { getProvider, LLMError, startDeadline };
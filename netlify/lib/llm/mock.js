@@ -0,0 +1,89 @@
+const fs = require("fs");
+const { LLMError } = require("./http");
+
+// A scripted conversation that walks through every audit phase, so the full flow runs offline
+const DEFAULT_SCRIPT = {
+  replies: [
+    "===PHASE:0===\nWelcome! Before we dive in — would you prefer to continue in English or Dutch? / Welkom! Voordat we beginnen — wilt u doorgaan in het Engels of Nederlands?",
+    "===PHASE:1===\nGreat, let's continue in English. To start: what does your company sell, and to whom?",
+    "===PHASE:1===\nGot it. Roughly how big is the company, and what is a typical deal worth to you?",
+    "===PHASE:2===\nWhich channels bring in new clients today?",
+    "===PHASE:2===\nDo you send cold email? If so, which domain do you send from?\n\n===DOMAIN_CHECK===",
+    "===PHASE:3===\nThanks. What's the single biggest frustration you have with acquiring new clients right now?",
+    "===PHASE:4===\nDo you have a rough sense of what it costs you to acquire a new client, and how long your sales cycle runs?",
+    "===PHASE:4===\nThanks — your assessment is ready. Where should Ryan send a copy?\n\n===LEAD_CAPTURE===",
+    "===PHASE:5===\n===ASSESSMENT===",
+  ],
+  rules: [],
+  json: null,
+  delays: [],
+};
+
+// LLM_MOCK_SCRIPT may point at a JSON file: { replies: [...], rules: [{ when: "regex", reply }], json: {...},
+// delays: [{ when: "regex", ms }] }. A delay applies to the requests whose system prompt matches.
+function loadScript(path) {
+  if (!path) return DEFAULT_SCRIPT;
+  const script = JSON.parse(fs.readFileSync(path, "utf8"));
+  return { ...DEFAULT_SCRIPT, ...script };
+}
+
+// Deterministic value for a schema: first enum value, minItems (at least one) array items, "mock <field>" strings
+function sampleFromSchema(schema, field = "value") {
+  const type = (schema.type || "").toUpperCase();
+  if (schema.enum) return schema.enum[0];
+  if (type === "OBJECT") {
+    return Object.fromEntries(Object.entries(schema.properties || {}).map(([k, v]) => [k, sampleFromSchema(v, k)]));
+  }
+  if (type === "ARRAY") {
+    return Array.from({ length: Math.max(1, schema.minItems || 0) }, () => sampleFromSchema(schema.items || {}, field));
+  }
+  if (type === "BOOLEAN") return false;
+  if (type === "NUMBER" || type === "INTEGER") return 0;
+  return `mock ${field}`;
+}
+
+function createMockProvider({ script = loadScript(process.env.LLM_MOCK_SCRIPT), chunkSize = 24 } = {}) {
+  const replyFor = ({ messages, schema }) => {
+    if (schema) return JSON.stringify(script.json || sampleFromSchema(schema));
+
+    const lastUser = [...messages].reverse().find(m => m.role === "user");
+    const rule = script.rules.find(r => lastUser && new RegExp(r.when, "i").test(lastUser.content));
+    if (rule) return rule.reply;
+
+    // The Nth assistant turn gets the Nth scripted reply; the last one repeats
+    const turn = messages.filter(m => m.role === "assistant").length;
+    return script.replies[Math.min(turn, script.replies.length - 1)];
+  };
+
+  // Like the real providers, a reply that would arrive after the request's deadline is an error
+  const wait = async ({ system = "", deadline }) => {
+    const delay = (script.delays || []).find(d => new RegExp(d.when, "i").test(system));
+    if (!delay) return;
+    const late = deadline && Date.now() + delay.ms > deadline;
+    await new Promise(resolve => setTimeout(resolve, late ? Math.max(0, deadline - Date.now()) : delay.ms));
+    if (late) throw new LLMError("LLM request deadline exceeded", { status: 504 });
+  };
+
+  return {
+    name: "mock",
+    model: "mock",
+
+    async generate(request) {
+      await wait(request);
+      return replyFor(request);
+    },
+
+    async stream(request) {
+      await wait(request);
+      const text = replyFor(request);
+      return (async function* () {
+        for (let i = 0; i < text.length; i += chunkSize) {
+          await new Promise(resolve => setImmediate(resolve));
+          yield text.slice(i, i + chunkSize);
+        }
+      })();
+    },
+  };
+}
+
+module.exports = { createMockProvider, sampleFromSchema };
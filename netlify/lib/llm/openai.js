@@ -0,0 +1,70 @@
+const { ensureOk, withRetry, readSSE } = require("./http");
+
+// Schemas are written in Gemini's OpenAPI subset (uppercase types, nullable); convert to JSON Schema
+function toJSONSchema(schema) {
+  const out = {};
+  const type = schema.type && schema.type.toLowerCase();
+  if (type) out.type = schema.nullable ? [type, "null"] : type;
+  if (schema.enum) out.enum = schema.nullable ? [...schema.enum, null] : schema.enum;
+  if (schema.description) out.description = schema.description;
+  if (schema.properties) {
+    out.properties = Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, toJSONSchema(v)]));
+  }
+  if (schema.required) out.required = schema.required;
+  if (schema.items) out.items = toJSONSchema(schema.items);
+  if (schema.minItems !== undefined) out.minItems = schema.minItems;
+  if (schema.maxItems !== undefined) out.maxItems = schema.maxItems;
+  return out;
+}
+
+// Any /chat/completions-compatible API: OpenAI, Azure OpenAI, OpenRouter, Together, a local vLLM or Ollama...
+function createOpenAIProvider({
+  apiKey = process.env.OPENAI_API_KEY,
+  baseUrl = process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+  model = process.env.OPENAI_MODEL || "gpt-4o-mini",
+} = {}) {
+  const toBody = ({ system, messages, temperature, maxOutputTokens, schema }, stream) => ({
+    model,
+    messages: [
+      { role: "system", content: system },
+      ...messages.map(msg => ({ role: msg.role === "assistant" ? "assistant" : "user", content: msg.content })),
+    ],
+    temperature,
+    max_tokens: maxOutputTokens,
+    stream,
+    ...(schema ? { response_format: { type: "json_schema", json_schema: { name: "response", schema: toJSONSchema(schema) } } } : {}),
+  });
+
+  const post = (request, stream, signal) => fetch(`${baseUrl.replace(/\/$/, "")}/chat/completions`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+    },
+    body: JSON.stringify(toBody(request, stream)),
+    signal,
+  }).then(response => ensureOk(response, "OpenAI-compatible"));
+
+  return {
+    name: "openai",
+    model,
+
+    generate: (request) => withRetry(async (signal) => {
+      const data = await (await post(request, false, signal)).json();
+      return data.choices?.[0]?.message?.content || "";
+    }, { deadline: request.deadline }),
+
+    async stream(request) {
+      const response = await withRetry(signal => post(request, true, signal), { deadline: request.deadline });
+      return (async function* () {
+        for await (const data of readSSE(response)) {
+          if (data === "[DONE]") break;
+          const text = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (text) yield text;
+        }
+      })();
+    },
+  };
+}
+
+module.exports = { createOpenAIProvider, toJSONSchema };
@@ -0,0 +1,243 @@
+const { createStore, forEachKey } = require('./storage');
+const { runChecks } = require('./deliverability');
+const { postJSON } = require('./fetch');
+
+// Monitored domains: one record per domain with its snapshots (oldest first) and change log.
+// The scheduled function re-checks domains that are due, diffs against the last snapshot and
+// alerts on regressions.
+const STORE_NAME = 'monitors';
+const MAX_SNAPSHOTS = Number(process.env.MONITOR_MAX_SNAPSHOTS) || 180;
+const MAX_CHANGES = 200;
+const INTERVAL_HOURS = Number(process.env.MONITOR_INTERVAL_HOURS) || 24;
+// A score drop of at least this many points is a regression even when no check changed status
+const ALERT_SCORE_DROP = Number(process.env.MONITOR_ALERT_SCORE_DROP) || 5;
+
+const STATUS_RANK = { pass: 0, warn: 1, fail: 2 };
+const ALERT_SEVERITIES = ['critical', 'high'];
+
+// ===== RECORDS =====
+function emptyMonitor(domain) {
+  return {
+    domain,
+    createdAt: new Date().toISOString(),
+    selectors: [],
+    alerts: { webhook: null, email: null },
+    lastRunAt: null,
+    snapshots: [],
+    changes: [],
+  };
+}
+
+const loadMonitor = (event, domain) => createStore(STORE_NAME, event).get(domain);
+const saveMonitor = (event, monitor) => createStore(STORE_NAME, event).set(monitor.domain, monitor);
+const deleteMonitor = (event, domain) => createStore(STORE_NAME, event).delete(domain);
+
+// Calls fn(monitor) for every monitored domain, a page of keys at a time with a few reads in flight
+async function forEachMonitor(event, fn) {
+  const store = createStore(STORE_NAME, event);
+  await forEachKey(store, '', async (domain) => {
+    const monitor = await store.get(domain);
+    if (monitor) await fn(monitor);
+  });
+}
+
+async function registerMonitor(event, domain, { selectors = [], alerts = {} } = {}) {
+  const monitor = (await loadMonitor(event, domain)) || emptyMonitor(domain);
+  monitor.selectors = selectors;
+  monitor.alerts = { webhook: alerts.webhook || null, email: alerts.email || null };
+  await saveMonitor(event, monitor);
+  return monitor;
+}
+
+// ===== SNAPSHOTS =====
+// What a snapshot keeps of a run: enough to diff and to chart, not the raw DNS data
+function toSnapshot(result, at = new Date().toISOString()) {
+  return {
+    at,
+    score: result.score,
+    grade: result.grade,
+    checks: Object.fromEntries(Object.entries(result.checks).map(([id, check]) => [id, {
+      status: check.status,
+      summary: check.summary,
+      findings: (check.findings || []).map(f => ({ id: f.id, severity: f.severity, message: f.message })),
+    }])),
+  };
+}
+
+// Status changes per check plus findings that appeared or went away; `regression` decides alerting
+function diffSnapshots(previous, current) {
+  const checks = [];
+  const newFindings = [];
+  const resolvedFindings = [];
+
+  for (const [id, now] of Object.entries(current.checks)) {
+    const before = previous.checks[id];
+    if (!before) continue;
+
+    // "error" means the check could not run, which says nothing about the domain
+    if (before.status !== now.status && now.status !== 'error' && before.status !== 'error') {
+      const worse = STATUS_RANK[now.status] > STATUS_RANK[before.status];
+      checks.push({ check: id, from: before.status, to: now.status, direction: worse ? 'regression' : 'improvement', summary: now.summary });
+    }
+
+    if (now.status === 'error' || before.status === 'error') continue;
+    const beforeIds = new Set(before.findings.map(f => f.id));
+    const nowIds = new Set(now.findings.map(f => f.id));
+    now.findings.filter(f => !beforeIds.has(f.id)).forEach(f => newFindings.push({ check: id, ...f }));
+    before.findings.filter(f => !nowIds.has(f.id)).forEach(f => resolvedFindings.push({ check: id, ...f }));
+  }
+
+  const scoreDelta = current.score - previous.score;
+  const regression = scoreDelta <= -ALERT_SCORE_DROP
+    || checks.some(c => c.direction === 'regression')
+    || newFindings.some(f => ALERT_SEVERITIES.includes(f.severity));
+
+  return {
+    at: current.at,
+    from: { score: previous.score, grade: previous.grade, at: previous.at },
+    to: { score: current.score, grade: current.grade },
+    scoreDelta,
+    checks,
+    newFindings,
+    resolvedFindings,
+    regression,
+  };
+}
+
+const hasChanges = (diff) => diff.scoreDelta !== 0 || diff.checks.length > 0 || diff.newFindings.length > 0 || diff.resolvedFindings.length > 0;
+
+// ===== ALERTS =====
+function alertPayload(domain, diff) {
+  return {
+    type: 'deliverability.regression',
+    domain,
+    at: diff.at,
+    score: { from: diff.from.score, to: diff.to.score, delta: diff.scoreDelta },
+    grade: { from: diff.from.grade, to: diff.to.grade },
+    regressions: diff.checks.filter(c => c.direction === 'regression'),
+    newFindings: diff.newFindings,
+  };
+}
+
+function alertEmail(to, payload) {
+  const lines = [
+    `The deliverability score for ${payload.domain} went from ${payload.score.from} (${payload.grade.from}) to ${payload.score.to} (${payload.grade.to}).`,
+    '',
+    ...payload.regressions.map(c => `- ${c.check}: ${c.from} → ${c.to} — ${c.summary}`),
+    ...payload.newFindings.map(f => `- New ${f.severity} finding in ${f.check}: ${f.message}`),
+  ];
+  return {
+    to,
+    from: process.env.ALERT_EMAIL_FROM || null,
+    subject: `Deliverability regression for ${payload.domain}: ${payload.score.from} → ${payload.score.to}`,
+    text: lines.join('\n'),
+  };
+}
+
+// Webhook: the payload as JSON. Email: a { to, from, subject, text } message posted to the relay
+// at ALERT_EMAIL_URL; without a relay it is recorded as failed. Failures are returned, never thrown.
+async function sendAlerts(monitor, diff) {
+  const payload = alertPayload(monitor.domain, diff);
+  const sent = [];
+
+  if (monitor.alerts.webhook) {
+    try {
+      await postJSON(monitor.alerts.webhook, payload);
+      sent.push({ channel: 'webhook', ok: true });
+    } catch (err) {
+      sent.push({ channel: 'webhook', ok: false, error: err.message });
+    }
+  }
+
+  if (monitor.alerts.email) {
+    if (!process.env.ALERT_EMAIL_URL) {
+      // The domain and alert type only: the recipient and the alert text stay out of the logs
+      console.error(`Monitor alert email for ${payload.domain} (${payload.type}) not sent: ALERT_EMAIL_URL is not set`);
+      sent.push({ channel: 'email', ok: false, error: 'ALERT_EMAIL_URL is not set' });
+    } else {
+      try {
+        const email = alertEmail(monitor.alerts.email, payload);
+        const auth = process.env.ALERT_EMAIL_TOKEN ? { Authorization: `Bearer ${process.env.ALERT_EMAIL_TOKEN}` } : {};
+        await postJSON(process.env.ALERT_EMAIL_URL, email, { headers: auth });
+        sent.push({ channel: 'email', ok: true });
+      } catch (err) {
+        sent.push({ channel: 'email', ok: false, error: err.message });
+      }
+    }
+  }
+
+  return sent;
+}
+
+// ===== RUNS =====
+const isDue = (monitor, now = Date.now()) => !monitor.lastRunAt
+  || now - Date.parse(monitor.lastRunAt) >= INTERVAL_HOURS * 3600 * 1000;
+
+async function runMonitor(event, monitor) {
+  const result = await runChecks(monitor.domain, { selectors: monitor.selectors });
+  const snapshot = toSnapshot(result);
+  const previous = monitor.snapshots[monitor.snapshots.length - 1];
+
+  let change = null;
+  if (previous) {
+    const diff = diffSnapshots(previous, snapshot);
+    if (hasChanges(diff)) {
+      change = { ...diff, alerts: diff.regression ? await sendAlerts(monitor, diff) : [] };
+    }
+  }
+
+  // Re-read so a registration change made while the checks ran is kept
+  const latest = (await loadMonitor(event, monitor.domain)) || monitor;
+  latest.lastRunAt = snapshot.at;
+  latest.snapshots = [...latest.snapshots, snapshot].slice(-MAX_SNAPSHOTS);
+  if (change) latest.changes = [...latest.changes, change].slice(-MAX_CHANGES);
+  await saveMonitor(event, latest);
+
+  return { domain: monitor.domain, score: snapshot.score, grade: snapshot.grade, change };
+}
+
+// Oldest first, so domains left over when the time runs out go first next time
+async function runDueMonitors(event, { deadline = Infinity, minTimeMs = 10000 } = {}) {
+  const monitors = [];
+  await forEachMonitor(event, (monitor) => {
+    if (isDue(monitor)) monitors.push(monitor);
+  });
+  monitors.sort((a, b) => (Date.parse(a.lastRunAt) || 0) - (Date.parse(b.lastRunAt) || 0));
+
+  const results = [];
+  for (const monitor of monitors) {
+    if (deadline - Date.now() < minTimeMs) break;
+    try {
+      results.push(await runMonitor(event, monitor));
+    } catch (err) {
+      console.error(`Monitor run for ${monitor.domain} failed:`, err);
+      results.push({ domain: monitor.domain, error: err.message });
+    }
+  }
+  return { due: monitors.length, results };
+}
+
+// ===== HISTORY =====
+function monitorHistory(monitor) {
+  return {
+    domain: monitor.domain,
+    createdAt: monitor.createdAt,
+    lastRunAt: monitor.lastRunAt,
+    alerts: { webhook: Boolean(monitor.alerts.webhook), email: monitor.alerts.email },
+    history: monitor.snapshots.map(s => ({ at: s.at, score: s.score, grade: s.grade })),
+    latest: monitor.snapshots[monitor.snapshots.length - 1] || null,
+    changes: monitor.changes,
+  };
+}
+
+module.exports = {
+  loadMonitor,
+  deleteMonitor,
+  forEachMonitor,
+  registerMonitor,
+  toSnapshot,
+  diffSnapshots,
+  runMonitor,
+  runDueMonitors,
+  monitorHistory,
+};
@@ -0,0 +1,122 @@
+const dns = require('./resolver');
+const { fetchText } = require('./fetch');
+
+// SMTP transport security: MTA-STS (RFC 8461) and TLS reporting (RFC 8460)
+// The policy normally lives on https://mta-sts.<domain>; MTA_STS_POLICY_URL points it elsewhere (e.g. a local stand-in)
+const POLICY_URL = 'https://mta-sts.{domain}/.well-known/mta-sts.txt';
+const MIN_MAX_AGE = 86400; // RFC 8461 §3.2 suggests weeks; under a day gives senders almost no protection
+const MAX_MAX_AGE = 31557600;
+
+const parseTags = (record) => Object.fromEntries(record
+  .split(';')
+  .map(part => part.trim())
+  .filter(Boolean)
+  .map((part) => {
+    const eq = part.indexOf('=');
+    return eq === -1 ? [part.toLowerCase(), ''] : [part.slice(0, eq).trim().toLowerCase(), part.slice(eq + 1).trim()];
+  }));
+
+async function fetchTXT(name, prefix) {
+  try {
+    return (await dns.resolveTxt(name)).map(r => r.join('')).filter(r => prefix.test(r));
+  } catch (err) {
+    if (err.code === 'ENODATA' || err.code === 'ENOTFOUND') return [];
+    throw err;
+  }
+}
+
+// ===== MTA-STS =====
+function parseMTASTSRecord(record) {
+  const tags = parseTags(record);
+  const errors = [];
+  if (tags.v !== 'STSv1') errors.push('v= must be STSv1');
+  if (!tags.id) errors.push('id= is missing');
+  else if (!/^[a-zA-Z0-9]{1,32}$/.test(tags.id)) errors.push(`id=${tags.id} must be 1-32 letters and digits`);
+  return { id: tags.id || null, errors };
+}
+
+function parsePolicy(text) {
+  const policy = { version: null, mode: null, mx: [], maxAge: null };
+  const errors = [];
+
+  for (const line of text.split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (!line.trim() || colon === -1) continue;
+    const key = line.slice(0, colon).trim().toLowerCase();
+    const value = line.slice(colon + 1).trim();
+    if (key === 'version') policy.version = value;
+    else if (key === 'mode') policy.mode = value.toLowerCase();
+    else if (key === 'mx') policy.mx.push(value.toLowerCase());
+    else if (key === 'max_age') policy.maxAge = /^\d{1,10}$/.test(value) ? Number(value) : NaN;
+  }
+
+  if (policy.version !== 'STSv1') errors.push('version: must be STSv1');
+  if (!['enforce', 'testing', 'none'].includes(policy.mode)) errors.push(`mode: must be enforce, testing or none${policy.mode ? ` (got "${policy.mode}")` : ''}`);
+  if (policy.maxAge === null || Number.isNaN(policy.maxAge)) errors.push('max_age: must be a number of seconds');
+  else if (policy.maxAge > MAX_MAX_AGE) errors.push(`max_age: may not exceed ${MAX_MAX_AGE}`);
+  if (policy.mode !== 'none' && policy.mx.length === 0) errors.push('mx: at least one mx line is required');
+
+  return { ...policy, errors };
+}
+
+// "*.example.com" covers exactly one extra label (RFC 8461 §4.1)
+function matchesPolicy(host, patterns) {
+  const name = host.toLowerCase().replace(/\.$/, '');
+  return patterns.some((pattern) => {
+    if (!pattern.startsWith('*.')) return name === pattern;
+    const rest = pattern.slice(2);
+    return name.endsWith(`.${rest}`) && !name.slice(0, -rest.length - 1).includes('.');
+  });
+}
+
+async function fetchPolicy(domain) {
+  const template = process.env.MTA_STS_POLICY_URL;
+  const url = (template || POLICY_URL).replace('{domain}', encodeURIComponent(domain));
+  const response = await fetchText(url, { trusted: Boolean(template) });
+  return { url, contentType: response.contentType, ...parsePolicy(response.text) };
+}
+
+async function analyzeMTASTS(domain) {
+  const records = await fetchTXT(`_mta-sts.${domain}`, /^v=STSv1/i);
+  if (records.length === 0) return { record: null, records };
+
+  const record = parseMTASTSRecord(records[0]);
+  const [policy, mxHosts] = await Promise.all([
+    fetchPolicy(domain).catch(err => ({ error: err.message })),
+    dns.resolveMx(domain).then(mx => mx.map(r => r.exchange.toLowerCase()), () => []),
+  ]);
+  const policyError = policy.error || null;
+  const uncovered = !policyError ? mxHosts.filter(host => !matchesPolicy(host, policy.mx)) : [];
+
+  return { record: records[0], records, ...record, policy: policyError ? null : policy, policyError, mxHosts, uncovered };
+}
+
+// ===== TLS-RPT =====
+function parseTLSRPT(record) {
+  const tags = parseTags(record);
+  const errors = [];
+  const rua = (tags.rua || '').split(',').map(s => s.trim()).filter(Boolean);
+
+  if (tags.v !== 'TLSRPTv1') errors.push('v= must be TLSRPTv1');
+  if (rua.length === 0) errors.push('rua= is missing');
+  rua.filter(uri => !/^mailto:[^@\s]+@[^@\s]+$/i.test(uri) && !/^https:\/\/\S+$/i.test(uri))
+    .forEach(uri => errors.push(`rua= destination ${uri} must be a mailto: or https: URI`));
+
+  return { rua, errors };
+}
+
+async function analyzeTLSRPT(domain) {
+  const records = await fetchTXT(`_smtp._tls.${domain}`, /^v=TLSRPTv1/i);
+  if (records.length === 0) return { record: null, records };
+  return { record: records[0], records, ...parseTLSRPT(records[0]) };
+}
+
+module.exports = {
+  MIN_MAX_AGE,
+  parseMTASTSRecord,
+  parsePolicy,
+  matchesPolicy,
+  analyzeMTASTS,
+  parseTLSRPT,
+  analyzeTLSRPT,
+};
@@ -0,0 +1,312 @@
+const zlib = require('zlib');
+
+// Minimal PDF writer: flowing text in the built-in Helvetica fonts, filled rectangles and PNG images.
+// Enough for a branded report without a headless browser or an external rendering service.
+const A4 = { width: 595.28, height: 841.89 };
+
+// ===== FONT METRICS =====
+// Advance widths (1/1000 em) for ASCII 32–126, from the standard Helvetica AFM files
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+// WinAnsiEncoding matches Latin-1 above 0xA0; these are the punctuation marks it places in 0x80–0x9F
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99,
+};
+
+function encodeChar(char) {
+  const code = char.codePointAt(0);
+  if ((code >= 32 && code < 127) || (code >= 0xa0 && code <= 0xff)) return code;
+  return WIN_ANSI[char] || null; // Anything else (emoji, non-Latin scripts) is dropped
+}
+
+function textWidth(text, font, size) {
+  let width = 0;
+  for (const char of text) {
+    const code = encodeChar(char);
+    if (code === null) continue;
+    width += (code >= 32 && code < 127) ? WIDTHS[font][code - 32] : 556;
+  }
+  return (width * size) / 1000;
+}
+
+function pdfString(text) {
+  let out = '';
+  for (const char of text) {
+    const code = encodeChar(char);
+    if (code === null) continue;
+    if (char === '(' || char === ')' || char === '\\') out += `\\${char}`;
+    else if (code > 126) out += `\\${code.toString(8).padStart(3, '0')}`;
+    else out += char;
+  }
+  return `(${out})`;
+}
+
+// "Some **bold** text" → [{ text, bold }]
+function parseRuns(text) {
+  return text.split(/(\*\*[^*]+\*\*)/).filter(Boolean).map(chunk => (
+    /^\*\*[^*]+\*\*$/.test(chunk)
+      ? { text: chunk.slice(2, -2), bold: true }
+      : { text: chunk.replace(/\*/g, ''), bold: false }
+  ));
+}
+
+// ===== PNG =====
+// Decodes 8-bit, non-interlaced RGB/RGBA PNGs into separate colour and alpha planes
+function decodePNG(buffer) {
+  if (buffer.readUInt32BE(0) !== 0x89504e47) throw new Error('Not a PNG file');
+
+  let offset = 8;
+  let header;
+  const data = [];
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12],
+      };
+    } else if (type === 'IDAT') {
+      data.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  if (!header || header.bitDepth !== 8 || header.interlace !== 0 || ![2, 6].includes(header.colorType)) {
+    throw new Error('Only 8-bit non-interlaced RGB/RGBA PNGs are supported');
+  }
+
+  const { width, height } = header;
+  const channels = header.colorType === 6 ? 4 : 3;
+  const stride = width * channels;
+  const raw = zlib.inflateSync(Buffer.concat(data));
+  const pixels = Buffer.alloc(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? pixels[out + x - channels] : 0;
+      const up = y > 0 ? pixels[out - stride + x] : 0;
+      const upLeft = y > 0 && x >= channels ? pixels[out - stride + x - channels] : 0;
+      let value = line[x];
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        value += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      }
+      pixels[out + x] = value & 0xff;
+    }
+  }
+
+  if (channels === 3) return { width, height, rgb: pixels, alpha: null };
+
+  const rgb = Buffer.alloc(width * height * 3);
+  const alpha = Buffer.alloc(width * height);
+  for (let i = 0; i < width * height; i++) {
+    pixels.copy(rgb, i * 3, i * 4, i * 4 + 3);
+    alpha[i] = pixels[i * 4 + 3];
+  }
+  return { width, height, rgb, alpha };
+}
+
+// ===== DOCUMENT =====
+function createDocument({ margin = 56 } = {}) {
+  const pages = [];
+  const images = [];
+  let ops;
+  let links;
+  const doc = { width: A4.width, height: A4.height, margin, y: 0 };
+
+  const color = ([r, g, b]) => `${(r / 255).toFixed(3)} ${(g / 255).toFixed(3)} ${(b / 255).toFixed(3)}`;
+  const bottom = () => A4.height - margin;
+
+  doc.addPage = () => {
+    ops = [];
+    links = [];
+    pages.push({ ops, links });
+    doc.y = margin;
+    return doc;
+  };
+
+  doc.ensureSpace = (height) => {
+    if (doc.y + height > bottom()) doc.addPage();
+    return doc;
+  };
+
+  doc.space = (height) => {
+    doc.y += height;
+    return doc;
+  };
+
+  // Coordinates are top-left based; PDF user space starts at the bottom left
+  doc.rect = (x, y, width, height, fill) => {
+    ops.push(`${color(fill)} rg ${x.toFixed(2)} ${(A4.height - y - height).toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re f`);
+    return doc;
+  };
+
+  doc.image = (png, x, y, width, height) => {
+    const name = `Im${images.length + 1}`;
+    images.push({ name, ...decodePNG(png) });
+    ops.push(`q ${width.toFixed(2)} 0 0 ${height.toFixed(2)} ${x.toFixed(2)} ${(A4.height - y - height).toFixed(2)} cm /${name} Do Q`);
+    return doc;
+  };
+
+  // Clickable area over content already drawn, e.g. a line of text
+  doc.link = (x, y, width, height, url) => {
+    links.push({ rect: [x, A4.height - y - height, x + width, A4.height - y].map(n => n.toFixed(2)).join(' '), url });
+    return doc;
+  };
+
+  doc.textAt = (text, x, y, { size = 10, bold = false, fill = [0, 0, 0] } = {}) => {
+    ops.push(`BT /${FONTS[bold ? 'bold' : 'regular']} ${size} Tf ${color(fill)} rg 1 0 0 1 ${x.toFixed(2)} ${(A4.height - y - size).toFixed(2)} Tm ${pdfString(text)} Tj ET`);
+    return doc;
+  };
+
+  // Word-wrapped paragraph at the cursor; **bold** runs are honoured, `bullet` hangs in the indent
+  doc.paragraph = (text, { size = 10.5, bold = false, fill = [0, 0, 0], indent = 0, bullet = null, lineHeight = 1.45, after = 6 } = {}) => {
+    const left = margin + indent;
+    const maxWidth = A4.width - margin - left;
+    const leading = size * lineHeight;
+
+    const words = [];
+    for (const run of parseRuns(text)) {
+      for (const word of run.text.split(/\s+/).filter(Boolean)) {
+        words.push({ text: word, bold: bold || run.bold });
+      }
+    }
+
+    const lines = [[]];
+    let width = 0;
+    for (const word of words) {
+      const font = word.bold ? 'bold' : 'regular';
+      const wordWidth = textWidth(word.text, font, size);
+      const gap = lines[lines.length - 1].length > 0 ? textWidth(' ', font, size) : 0;
+      if (width + gap + wordWidth > maxWidth && lines[lines.length - 1].length > 0) {
+        lines.push([]);
+        width = 0;
+      }
+      const line = lines[lines.length - 1];
+      line.push({ ...word, x: width + (line.length > 0 ? gap : 0) });
+      width += (line.length > 1 ? gap : 0) + wordWidth;
+    }
+
+    lines.forEach((line, i) => {
+      doc.ensureSpace(leading);
+      if (i === 0 && bullet) doc.textAt(bullet, left - 12, doc.y, { size, fill });
+      for (const word of line) {
+        doc.textAt(word.text, left + word.x, doc.y, { size, bold: word.bold, fill });
+      }
+      doc.y += leading;
+    });
+
+    doc.y += after;
+    return doc;
+  };
+
+  doc.toBuffer = () => {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+    const stream = (dict, data) => Buffer.concat([
+      Buffer.from(`<< ${dict} /Length ${data.length} >>\nstream\n`, 'latin1'),
+      data,
+      Buffer.from('\nendstream', 'latin1'),
+    ]);
+
+    const catalog = add(null);
+    const pageTree = add(null);
+    const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const boldFont = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+    const xObjects = images.map(img => {
+      const common = `/Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} /BitsPerComponent 8 /Filter /FlateDecode`;
+      const mask = img.alpha ? add(stream(`${common} /ColorSpace /DeviceGray`, zlib.deflateSync(img.alpha))) : null;
+      const ref = add(stream(`${common} /ColorSpace /DeviceRGB${mask ? ` /SMask ${mask} 0 R` : ''}`, zlib.deflateSync(img.rgb)));
+      return `/${img.name} ${ref} 0 R`;
+    });
+
+    const resources = `<< /Font << /F1 ${regular} 0 R /F2 ${boldFont} 0 R >> /XObject << ${xObjects.join(' ')} >> >>`;
+    const kids = pages.map(page => {
+      const content = add(stream('/Filter /FlateDecode', zlib.deflateSync(Buffer.from(page.ops.join('\n'), 'latin1'))));
+      const annots = page.links.map(link => add(`<< /Type /Annot /Subtype /Link /Rect [${link.rect}] /Border [0 0 0] /A << /S /URI /URI ${pdfString(link.url)} >> >>`));
+      const annotRefs = annots.length > 0 ? ` /Annots [${annots.map(a => `${a} 0 R`).join(' ')}]` : '';
+      return add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${A4.width} ${A4.height}] /Resources ${resources} /Contents ${content} 0 R${annotRefs} >>`);
+    });
+
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+    objects[pageTree - 1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let length = chunks[0].length;
+    const offsets = objects.map((body, i) => {
+      const offset = length;
+      const buf = Buffer.concat([
+        Buffer.from(`${i + 1} 0 obj\n`, 'latin1'),
+        Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+        Buffer.from('\nendobj\n', 'latin1'),
+      ]);
+      chunks.push(buf);
+      length += buf.length;
+      return offset;
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF',
+    ].join('\n');
+    chunks.push(Buffer.from(xref, 'latin1'));
+
+    return Buffer.concat(chunks);
+  };
+
+  return doc.addPage();
+}
+
+module.exports = {
+  A4,
+  createDocument,
+  decodePNG,
+  textWidth,
+};
@@ -0,0 +1,67 @@
+const { getProvider } = require("./llm");
+
+const text = { type: "STRING", nullable: true };
+
+// Structured summary of the Phase 1–4 answers, for the strategy call prep
+const PROFILE_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    language: { type: "STRING", enum: ["en", "nl"] },
+    industry: text,
+    offer: text,
+    icp: text,
+    companySize: text,
+    dealValue: text,
+    channels: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          name: { type: "STRING" },
+          performance: text,
+          ownership: { type: "STRING", enum: ["in-house", "outsourced", "mixed", "unknown"] },
+          investment: text,
+        },
+        required: ["name"],
+      },
+    },
+    biggestFrustration: text,
+    painPoints: { type: "ARRAY", items: { type: "STRING" } },
+    metrics: {
+      type: "OBJECT",
+      properties: {
+        tracksMetrics: { type: "BOOLEAN" },
+        costPerLead: text,
+        customerAcquisitionCost: text,
+        salesCycle: text,
+        leadToMeetingRate: text,
+        meetingToClientRate: text,
+        targetsVsActuals: text,
+      },
+    },
+  },
+  required: ["language", "channels", "painPoints", "metrics"],
+};
+
+const EXTRACTION_PROMPT = `You extract a structured prospect profile from a client acquisition audit transcript between a consultant and a prospect.
+Only use facts the prospect actually stated. Use null for anything they did not say. Keep values short (a phrase, not a paragraph) and in English, even if the conversation was in Dutch. Set language to the language the conversation was held in.`;
+
+function formatTranscript(transcript) {
+  return transcript
+    .map(turn => `${turn.role === "assistant" ? "Consultant" : "Prospect"}: ${turn.content}`)
+    .join("\n\n");
+}
+
+async function extractProfile(transcript, { deadline } = {}) {
+  const text = await getProvider().generate({
+    system: EXTRACTION_PROMPT,
+    messages: [{ role: "user", content: formatTranscript(transcript) }],
+    temperature: 0,
+    maxOutputTokens: 1500,
+    schema: PROFILE_SCHEMA,
+    deadline,
+  });
+  return JSON.parse(text || "{}");
+}
+
+module.exports = { PROFILE_SCHEMA, extractProfile, formatTranscript };
@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { tenantStore, resolveTenant } = require('./tenants');
+
+// Prompt templates are versioned and referenced as "<name>@<version>". Versions ship as
+// prompts/<name>/<version>.md; more can be added at runtime through /api/admin (store "prompts",
+// key "template:<name>@<version>") and are never overwritten. The experiment — prompts/experiment.json,
+// or the copy saved through /api/admin — lists the variants, their weights and the template each uses.
+// Stored templates and experiments belong to the tenant; variables come from the tenant config.
+const STORE_NAME = 'prompts';
+const EXPERIMENT_KEY = 'experiment';
+const ROLES = ['chat', 'assessment'];
+// chat.js acts on these markers, so every chat template has to keep them. ===BOOKING=== is
+// optional (chat@2 on); any other ===NAME=== in a template is a marker nothing acts on.
+const REQUIRED_MARKERS = {
+  chat: ['===PHASE:', '===DOMAIN_CHECK===', '===LEAD_CAPTURE===', '===ASSESSMENT==='],
+  assessment: [],
+};
+const OPTIONAL_MARKERS = {
+  chat: ['===BOOKING==='],
+  assessment: [],
+};
+const MARKER_PATTERN = /===\s*([A-Za-z_]+)[^=\n]*===/g;
+const VARIABLES = ['company', 'bookingName', 'languages'];
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const REF_PATTERN = /^([a-z0-9][a-z0-9-]{0,39})@([1-9]\d{0,3})$/;
+const ID_PATTERN = /^[\w.-]{1,60}$/;
+const MAX_TEMPLATE_CHARS = 50000;
+
+// netlify.toml ships prompts/ with the functions (included_files); locally it is next to the source
+const PROMPT_DIRS = [
+  process.env.PROMPTS_DIR,
+  path.join(__dirname, '../../prompts'),
+  path.join(process.cwd(), 'prompts'),
+].filter(Boolean);
+
+let promptsDir;
+function bundledDir() {
+  if (promptsDir === undefined) {
+    promptsDir = PROMPT_DIRS.find(dir => fs.existsSync(path.join(dir, 'experiment.json'))) || null;
+    if (!promptsDir) console.error('Prompt templates not found in', PROMPT_DIRS.join(', '));
+  }
+  return promptsDir;
+}
+
+const store = (event) => tenantStore(STORE_NAME, event);
+
+// ===== TEMPLATES =====
+function bundledTemplates() {
+  const dir = bundledDir();
+  if (!dir) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && NAME_PATTERN.test(entry.name))
+    .flatMap(entry => fs.readdirSync(path.join(dir, entry.name))
+      .map(file => /^(\d+)\.md$/.exec(file))
+      .filter(Boolean)
+      .map(match => `${entry.name}@${Number(match[1])}`));
+}
+
+async function listTemplates(event) {
+  const stored = (await store(event).list('template:')).map(key => key.slice('template:'.length));
+  return [
+    ...bundledTemplates().map(ref => ({ ref, source: 'bundled' })),
+    ...stored.map(ref => ({ ref, source: 'stored' })),
+  ].sort((a, b) => a.ref.localeCompare(b.ref, 'en', { numeric: true }));
+}
+
+// Versions never change once they exist, so they are cached for the life of the function instance
+// (stored ones per tenant, since each tenant numbers its own)
+const templateCache = new Map();
+
+async function loadTemplate(event, ref) {
+  const match = REF_PATTERN.exec(ref || '');
+  if (!match) return null;
+
+  const dir = bundledDir();
+  const file = dir && path.join(dir, match[1], `${match[2]}.md`);
+  const bundled = Boolean(file && fs.existsSync(file));
+  const key = bundled ? ref : `${resolveTenant(event).id}:${ref}`;
+  if (templateCache.has(key)) return templateCache.get(key);
+
+  let content = null;
+  if (bundled) {
+    content = fs.readFileSync(file, 'utf8');
+  } else {
+    const stored = await store(event).get(`template:${ref}`);
+    content = stored ? stored.content : null;
+  }
+  if (content !== null) templateCache.set(key, content);
+  return content;
+}
+
+const unknownVariables = (content) => [...new Set([...content.matchAll(VARIABLE_PATTERN)].map(m => m[1]))]
+  .filter(name => !VARIABLES.includes(name));
+
+// Stores `content` as the next version of `name`; resolves to { ref } or { errors }
+async function addTemplate(event, name, content) {
+  const errors = [];
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) errors.push('name must be lowercase letters, digits and dashes');
+  if (typeof content !== 'string' || !content.trim()) errors.push('content must be a non-empty string');
+  else if (content.length > MAX_TEMPLATE_CHARS) errors.push(`content is limited to ${MAX_TEMPLATE_CHARS} characters`);
+  else if (unknownVariables(content).length) errors.push(`unknown variables: ${unknownVariables(content).join(', ')} (known: ${VARIABLES.join(', ')})`);
+  if (errors.length) return { errors };
+
+  const versions = (await listTemplates(event))
+    .map(t => REF_PATTERN.exec(t.ref))
+    .filter(m => m[1] === name)
+    .map(m => Number(m[2]));
+  const ref = `${name}@${Math.max(0, ...versions) + 1}`;
+  await store(event).set(`template:${ref}`, { content, createdAt: new Date().toISOString() });
+  return { ref };
+}
+
+// ===== RENDERING =====
+const formatList = (items) => (items.length > 1 ? `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}` : items.join(''));
+
+function renderTemplate(content, variables) {
+  return content.replace(VARIABLE_PATTERN, (marker, name) => {
+    const value = variables[name];
+    if (value === undefined || value === null) throw new Error(`Prompt variable "${name}" has no value`);
+    return Array.isArray(value) ? formatList(value) : String(value);
+  });
+}
+
+// The system prompts for a session's variant, keyed by role
+async function renderPrompts(event, variant) {
+  const entries = await Promise.all(ROLES.map(async (role) => {
+    const content = await loadTemplate(event, variant.prompts[role]);
+    if (content === null) throw new Error(`Prompt template ${variant.prompts[role]} not found`);
+    return [role, renderTemplate(content, variant.variables)];
+  }));
+  return Object.fromEntries(entries);
+}
+
+// ===== EXPERIMENT =====
+function bundledExperiment() {
+  const dir = bundledDir();
+  if (!dir) throw new Error('prompts/experiment.json not found');
+  return JSON.parse(fs.readFileSync(path.join(dir, 'experiment.json'), 'utf8'));
+}
+
+// The stored experiment wins; a storage problem falls back to the bundled one rather than failing the chat
+async function loadExperiment(event) {
+  try {
+    const stored = await store(event).get(EXPERIMENT_KEY);
+    if (stored) return stored;
+  } catch (err) {
+    console.error('Prompt experiment storage error:', err);
+  }
+  return bundledExperiment();
+}
+
+// Returns a list of problems; an empty list means the experiment can be saved
+async function validateExperiment(event, experiment) {
+  if (!experiment || typeof experiment !== 'object') return ['experiment must be an object'];
+  const errors = [];
+  if (typeof experiment.id !== 'string' || !ID_PATTERN.test(experiment.id)) errors.push('id must be 1-60 letters, digits, dots, dashes or underscores');
+
+  const variants = Array.isArray(experiment.variants) ? experiment.variants : [];
+  if (variants.length === 0) errors.push('variants must be a non-empty array');
+  if (new Set(variants.map(v => v && v.id)).size !== variants.length) errors.push('variant ids must be unique');
+  if (!variants.some(v => v && v.weight > 0)) errors.push('at least one variant needs a weight above 0');
+
+  for (const [i, variant] of variants.entries()) {
+    const where = `variants[${i}]: `;
+    if (!variant || typeof variant !== 'object') {
+      errors.push(`${where}must be an object`);
+      continue;
+    }
+    if (typeof variant.id !== 'string' || !ID_PATTERN.test(variant.id)) errors.push(`${where}id must be 1-60 letters, digits, dots, dashes or underscores`);
+    if (typeof variant.weight !== 'number' || !(variant.weight >= 0)) errors.push(`${where}weight must be a number of 0 or more`);
+    if (variant.variables !== undefined) {
+      if (!variant.variables || typeof variant.variables !== 'object' || Array.isArray(variant.variables)) {
+        errors.push(`${where}variables must be an object`);
+      } else {
+        const unknown = Object.keys(variant.variables).filter(name => !VARIABLES.includes(name));
+        if (unknown.length) errors.push(`${where}unknown variables: ${unknown.join(', ')}`);
+      }
+    }
+
+    for (const role of ROLES) {
+      const ref = variant.prompts && variant.prompts[role];
+      const content = await loadTemplate(event, ref);
+      if (content === null) {
+        errors.push(`${where}prompts.${role} "${ref}" is not a known template`);
+        continue;
+      }
+      const absent = REQUIRED_MARKERS[role].filter(marker => !content.includes(marker));
+      if (absent.length) errors.push(`${where}${ref} is missing ${absent.join(', ')} (required for the ${role} prompt)`);
+      const known = [...REQUIRED_MARKERS[role], ...OPTIONAL_MARKERS[role]].map(marker => marker.replace(/[=:]/g, ''));
+      const strays = [...new Set([...content.matchAll(MARKER_PATTERN)].filter(m => !known.includes(m[1])).map(m => m[0]))];
+      if (strays.length) errors.push(`${where}${ref} uses ${strays.join(', ')}, which nothing acts on in the ${role} prompt`);
+    }
+  }
+  return errors;
+}
+
+// Resolves to the list of problems; the experiment is only saved when there are none
+async function saveExperiment(event, experiment) {
+  const errors = await validateExperiment(event, experiment);
+  if (errors.length === 0) await store(event).set(EXPERIMENT_KEY, { ...experiment, updatedAt: new Date().toISOString() });
+  return errors;
+}
+
+// ===== BUCKETING =====
+// A stable position in [0, 1) per experiment and session, so a session keeps its variant on every request
+function bucket(experimentId, sessionId) {
+  return crypto.createHash('sha256').update(`${experimentId}:${sessionId}`).digest().readUInt32BE(0) / 2 ** 32;
+}
+
+// What the audit records: enough to render the same prompts later and to group outcomes by variant.
+// `variables` are the tenant's; a variant's own `variables` override them.
+function assignVariant(experiment, sessionId, variables) {
+  const weighted = experiment.variants.filter(v => v.weight > 0);
+  const total = weighted.reduce((sum, v) => sum + v.weight, 0);
+  let point = bucket(experiment.id, sessionId) * total;
+  const variant = weighted.find((v) => {
+    point -= v.weight;
+    return point < 0;
+  }) || weighted[weighted.length - 1];
+
+  return {
+    experiment: experiment.id,
+    id: variant.id,
+    prompts: variant.prompts,
+    variables: { ...variables, ...variant.variables },
+    assignedAt: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  VARIABLES,
+  listTemplates,
+  loadTemplate,
+  addTemplate,
+  renderTemplate,
+  renderPrompts,
+  loadExperiment,
+  validateExperiment,
+  saveExperiment,
+  assignVariant,
+};
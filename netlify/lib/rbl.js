@@ -0,0 +1,184 @@
+const net = require('net');
+// Blocklists are slow or rate-limited far more often than regular DNS; the shared resolver's
+// per-query timeout keeps one stalled list from holding up the check
+const resolver = require('./resolver');
+
+const MAX_IPS = 10;
+
+// Codes every Spamhaus zone uses to say "we refused to answer", not "listed"
+const SPAMHAUS_ERRORS = {
+  '127.255.255.252': 'Typing error in DNSBL name',
+  '127.255.255.254': 'Query via public/open resolver refused',
+  '127.255.255.255': 'Excessive number of queries',
+};
+
+const bitmask = (bits) => (ip) => {
+  const last = Number(ip.split('.')[3]);
+  const reasons = Object.entries(bits).filter(([bit]) => last & Number(bit)).map(([, label]) => label);
+  return reasons.length > 0 ? reasons.join(', ') : null;
+};
+
+const ZONES = [
+  {
+    name: 'Spamhaus DBL',
+    zone: 'dbl.spamhaus.org',
+    type: 'domain',
+    errors: SPAMHAUS_ERRORS,
+    codes: {
+      '127.0.1.2': 'Spam domain',
+      '127.0.1.4': 'Phishing domain',
+      '127.0.1.5': 'Malware domain',
+      '127.0.1.6': 'Botnet C&C domain',
+      '127.0.1.102': 'Abused legitimate spam',
+      '127.0.1.103': 'Abused spammed redirector',
+      '127.0.1.104': 'Abused legitimate phish',
+      '127.0.1.105': 'Abused legitimate malware',
+      '127.0.1.106': 'Abused legitimate botnet C&C',
+    },
+  },
+  {
+    name: 'SURBL',
+    zone: 'multi.surbl.org',
+    type: 'domain',
+    errors: { '127.0.0.1': 'Query refused (public resolver or over quota)' },
+    decode: bitmask({ 8: 'Phishing', 16: 'Malware', 64: 'Abuse / spam', 128: 'Cracked site' }),
+  },
+  {
+    name: 'URIBL',
+    zone: 'multi.uribl.com',
+    type: 'domain',
+    errors: { '127.0.0.1': 'Query refused (public resolver or over quota)' },
+    decode: bitmask({ 2: 'Black list', 4: 'Grey list', 8: 'Red list' }),
+  },
+  {
+    name: 'Spamhaus ZEN',
+    zone: 'zen.spamhaus.org',
+    type: 'ip',
+    ipv6: true,
+    errors: SPAMHAUS_ERRORS,
+    codes: {
+      '127.0.0.2': 'SBL — known spam source',
+      '127.0.0.3': 'SBL CSS — snowshoe spam',
+      '127.0.0.4': 'XBL — exploited / infected host',
+      '127.0.0.5': 'XBL — exploited / infected host',
+      '127.0.0.6': 'XBL — exploited / infected host',
+      '127.0.0.7': 'XBL — exploited / infected host',
+      '127.0.0.9': 'DROP — hijacked netblock',
+      '127.0.0.10': 'PBL — end-user IP (ISP policy)',
+      '127.0.0.11': 'PBL — end-user IP (Spamhaus policy)',
+    },
+  },
+  {
+    name: 'Spamcop',
+    zone: 'bl.spamcop.net',
+    type: 'ip',
+    codes: { '127.0.0.2': 'Reported as spam source by SpamCop users' },
+  },
+  {
+    name: 'Barracuda',
+    zone: 'b.barracudacentral.org',
+    type: 'ip',
+    codes: { '127.0.0.2': 'Poor sending reputation (Barracuda BRBL)' },
+  },
+];
+
+// ===== QUERY NAMES =====
+function expandIPv6(ip) {
+  const [head, tail = ''] = ip.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = tail ? tail.split(':') : [];
+  const fill = ip.includes('::') ? Array(8 - headParts.length - tailParts.length).fill('0') : [];
+  return [...headParts, ...fill, ...tailParts].map(p => p.padStart(4, '0')).join('');
+}
+
+function reverseIP(ip) {
+  if (net.isIPv4(ip)) return ip.split('.').reverse().join('.');
+  return expandIPv6(ip).split('').reverse().join('.');
+}
+
+// ===== LOOKUP =====
+function decodeResponse(zone, addresses) {
+  const errors = addresses.map(a => zone.errors && zone.errors[a]).filter(Boolean);
+  if (errors.length > 0) return { status: 'unknown', reason: errors[0], codes: addresses };
+
+  const reasons = addresses
+    .map(a => (zone.codes && zone.codes[a]) || (zone.decode && zone.decode(a)) || `Listed (${a})`);
+  return { status: 'listed', reason: [...new Set(reasons)].join('; '), codes: addresses };
+}
+
+async function queryZone(zone, target) {
+  const query = `${zone.type === 'ip' ? reverseIP(target) : target}.${zone.zone}`;
+  try {
+    const addresses = await resolver.resolve4(query);
+    return { list: zone.name, zone: zone.zone, target, ...decodeResponse(zone, addresses) };
+  } catch (err) {
+    if (err.code === 'ENOTFOUND' || err.code === 'ENODATA') {
+      return { list: zone.name, zone: zone.zone, target, status: 'clean' };
+    }
+    return { list: zone.name, zone: zone.zone, target, status: 'unknown', reason: err.code || err.message };
+  }
+}
+
+// Sending IPs: the MX hosts' addresses plus the host addresses (/32, /128) the domain's own SPF
+// record names. SPF ranges are returned separately and not queried: list entries are single
+// addresses, and the network address of a range is rarely a sending host.
+async function collectSendingIPs(domain, spfTree) {
+  const sources = new Map();
+  const ranges = new Set();
+  const add = (ip, source) => {
+    if (!sources.has(ip)) sources.set(ip, new Set());
+    sources.get(ip).add(source);
+  };
+
+  try {
+    const mx = await resolver.resolveMx(domain);
+    await Promise.all(mx.map(async ({ exchange }) => {
+      const [v4, v6] = await Promise.all([
+        resolver.resolve4(exchange).catch(() => []),
+        resolver.resolve6(exchange).catch(() => []),
+      ]);
+      [...v4, ...v6].forEach(ip => add(ip, `MX ${exchange}`));
+    }));
+  } catch {
+    // No MX — the MX check reports that
+  }
+
+  if (spfTree) {
+    const single = (entries, bits, isIP) => entries.forEach((entry) => {
+      const [addr, prefix = String(bits)] = entry.split('/');
+      if (isIP(addr) && Number(prefix) === bits) add(addr, 'SPF');
+      else ranges.add(entry);
+    });
+    single(spfTree.ip4, 32, net.isIPv4);
+    single(spfTree.ip6, 128, net.isIPv6);
+  }
+
+  return {
+    ips: [...sources.entries()].slice(0, MAX_IPS).map(([ip, from]) => ({ ip, sources: [...from] })),
+    ranges: [...ranges],
+  };
+}
+
+async function checkRBLs(domain, ips) {
+  const queries = [];
+  for (const zone of ZONES) {
+    if (zone.type === 'domain') {
+      queries.push(queryZone(zone, domain));
+      continue;
+    }
+    for (const { ip } of ips) {
+      if (net.isIPv6(ip) && !zone.ipv6) continue;
+      queries.push(queryZone(zone, ip));
+    }
+  }
+  return Promise.all(queries);
+}
+
+module.exports = {
+  ZONES,
+  MAX_IPS,
+  reverseIP,
+  decodeResponse,
+  collectSendingIPs,
+  checkRBLs,
+};
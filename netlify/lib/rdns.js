@@ -0,0 +1,42 @@
+const dns = require('./resolver');
+
+// Forward-confirmed reverse DNS (FCrDNS) for the MX hosts: every address should have a PTR
+// name that resolves back to the same address. Receivers apply the same test to sending IPs,
+// and a mail host that fails it usually points at an unmanaged or misconfigured server.
+const MAX_HOSTS = 5;
+const MAX_ADDRESSES = 3;
+
+async function confirmAddress(ip) {
+  let names;
+  try {
+    names = await dns.reverse(ip);
+  } catch (err) {
+    if (err.code === 'ENOTFOUND' || err.code === 'ENODATA') return { ip, ptr: [], confirmed: false };
+    return { ip, ptr: [], confirmed: null, error: err.code || err.message };
+  }
+
+  const family = ip.includes(':') ? 'resolve6' : 'resolve4';
+  for (const name of names) {
+    const addresses = await dns[family](name).catch(() => []);
+    if (addresses.includes(ip)) return { ip, ptr: names, confirmed: true, name };
+  }
+  return { ip, ptr: names, confirmed: false };
+}
+
+async function analyzeMXReverseDNS(domain) {
+  const mx = await dns.resolveMx(domain);
+  const hosts = mx.sort((a, b) => a.priority - b.priority).slice(0, MAX_HOSTS).map(r => r.exchange.toLowerCase());
+
+  return Promise.all(hosts.map(async (host) => {
+    const [v4, v6] = await Promise.all([
+      dns.resolve4(host).catch(() => []),
+      dns.resolve6(host).catch(() => []),
+    ]);
+    const addresses = [...v4, ...v6].slice(0, MAX_ADDRESSES);
+    return { host, addresses: await Promise.all(addresses.map(confirmAddress)) };
+  }));
+}
+
+module.exports = {
+  analyzeMXReverseDNS,
+};
@@ -0,0 +1,267 @@
+const fs = require('fs');
+const path = require('path');
+const { createDocument, textWidth } = require('./pdf');
+const { labelsFor } = require('./assessment');
+
+// Branded audit report built from a stored audit: the Phase 5 assessment plus the deliverability check.
+// Name, colors, logo and booking link come from the tenant (tenants/<id>.json).
+const TEXT = [17, 24, 39];
+const MUTED = [75, 85, 99];
+
+const STATUS_LABELS = { pass: 'Pass', warn: 'Warning', fail: 'Fail', error: 'Error' };
+const STATUS_COLORS = { pass: [16, 185, 129], warn: [217, 119, 6], fail: [220, 38, 38], error: [107, 114, 128] };
+
+const hexToRGB = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+function brandFor(tenant) {
+  return {
+    name: tenant.name,
+    site: new URL(tenant.site).hostname.replace(/^www\./, ''),
+    consultant: tenant.consultant,
+    bookingUrl: tenant.bookingUrl,
+    logo: tenant.logo,
+    dark: hexToRGB(tenant.colors.dark),
+    primary: hexToRGB(tenant.colors.primary),
+    bright: hexToRGB(tenant.colors.bright),
+    text: TEXT,
+    muted: MUTED,
+  };
+}
+
+// netlify.toml ships the logos with the function (included_files); locally they are next to the source
+const PUBLIC_DIRS = [
+  path.join(__dirname, '../../public'),
+  path.join(process.cwd(), 'public'),
+];
+
+const logos = new Map();
+function loadLogo(file) {
+  if (logos.has(file)) return logos.get(file);
+  let logo = null;
+  for (const dir of PUBLIC_DIRS) {
+    try {
+      logo = fs.readFileSync(path.join(dir, file));
+      break;
+    } catch {
+      // Try the next location; the report still renders without a logo
+    }
+  }
+  logos.set(file, logo);
+  return logo;
+}
+
+// ===== CONTENT =====
+// Sections of plain-text blocks, shared by the HTML and PDF renderers
+function assessmentSections(a) {
+  const l = labelsFor(a);
+  return [
+    { title: `${l.overall}: ${l.ratings[a.rating]}`, blocks: [{ type: 'paragraph', text: a.summary }] },
+    { title: l.strengths, blocks: a.strengths.map(text => ({ type: 'bullet', text })) },
+    { title: l.gaps, blocks: a.gaps.map(gap => ({ type: 'bullet', lead: gap.title, text: gap.explanation })) },
+    ...a.quickWins.map((win, i) => ({
+      title: `${l.quickWin} ${i + 1}: ${win.title}`,
+      blocks: [{ type: 'paragraph', text: win.action }, { type: 'paragraph', text: win.rationale, muted: true }],
+    })),
+    { title: l.recommendation, blocks: [{ type: 'paragraph', text: a.recommendation }] },
+    { title: null, blocks: [{ type: 'paragraph', text: a.cta }] },
+  ];
+}
+
+function buildReport(audit) {
+  const lead = audit.lead || {};
+  return {
+    preparedFor: [lead.name, lead.company].filter(Boolean).join(', ') || null,
+    date: new Date(audit.updatedAt || Date.now()).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' }),
+    sections: audit.assessment ? assessmentSections(audit.assessment) : [],
+    deliverability: audit.deliverability,
+  };
+}
+
+function reportFilename(audit, extension) {
+  const subject = (audit.lead && audit.lead.company) || (audit.deliverability && audit.deliverability.domain) || 'client-acquisition';
+  const slug = subject.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'client-acquisition';
+  return `audit-report-${slug}.${extension}`;
+}
+
+// ===== HTML =====
+const escapeHTML = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const rgb = ([r, g, b]) => `rgb(${r}, ${g}, ${b})`;
+
+function blocksHTML(blocks) {
+  const text = (block) => `${block.lead ? `<strong>${escapeHTML(block.lead)}:</strong> ` : ''}${escapeHTML(block.text)}`;
+  const bullets = blocks.filter(b => b.type === 'bullet');
+  if (bullets.length > 0) return `<ul>${bullets.map(b => `<li>${text(b)}</li>`).join('')}</ul>`;
+  return blocks.map(b => `<p${b.muted ? ' class="muted"' : ''}>${text(b)}</p>`).join('');
+}
+
+function topFixesHTML(fixes) {
+  if (!Array.isArray(fixes) || fixes.length === 0) return '';
+  return `
+      <p><strong>Top fixes</strong></p>
+      <ol>${fixes.map(item => `<li><strong>+${Number(item.points) || 0} pts:</strong> ${escapeHTML(item.fix)}</li>`).join('')}</ol>`;
+}
+
+function deliverabilityHTML(result) {
+  if (!result || !result.checks) return '';
+  const rows = Object.values(result.checks).map(check => `
+        <tr>
+          <td><span class="status" style="background:${rgb(STATUS_COLORS[check.status] || STATUS_COLORS.error)}">${escapeHTML(STATUS_LABELS[check.status] || check.status)}</span></td>
+          <td><strong>${escapeHTML(check.name)}</strong><div>${escapeHTML(check.summary)}</div>${check.fix && check.status !== 'pass' ? `<div class="fix">Fix: ${escapeHTML(check.fix)}</div>` : ''}</td>
+        </tr>`).join('');
+
+  return `
+    <section>
+      <h2>Email Deliverability — ${escapeHTML(result.domain)}</h2>
+      <p class="score">Score: <strong>${Number(result.score) || 0}/100</strong>${result.grade ? ` · Grade <strong>${escapeHTML(result.grade)}</strong>` : ''}</p>${topFixesHTML(result.topFixes)}
+      <table>${rows}
+      </table>
+    </section>`;
+}
+
+function renderReportHTML(audit, tenant) {
+  const report = buildReport(audit);
+  const brand = brandFor(tenant);
+  const logoData = loadLogo(brand.logo);
+
+  const sections = report.sections.map(section => `
+    <section>
+      ${section.title ? `<h2>${escapeHTML(section.title)}</h2>` : ''}
+      ${blocksHTML(section.blocks)}
+    </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Client Acquisition Audit — ${escapeHTML(brand.name)}</title>
+  <style>
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; color: ${rgb(brand.text)}; background: #f3f4f6; line-height: 1.55; }
+    .page { max-width: 800px; margin: 0 auto; background: #fff; }
+    header { display: flex; align-items: center; gap: 18px; padding: 32px 48px; background: ${rgb(brand.dark)}; color: #fff; }
+    header img { width: 56px; height: 56px; }
+    header h1 { margin: 0; font-size: 1.5rem; }
+    header .meta { color: ${rgb(brand.bright)}; font-size: 0.9rem; }
+    main { padding: 16px 48px 40px; }
+    section { padding: 18px 0; border-bottom: 1px solid #e5e7eb; page-break-inside: avoid; }
+    h2 { margin: 0 0 8px; font-size: 1.15rem; color: ${rgb(brand.primary)}; }
+    p { margin: 0 0 8px; }
+    p.muted { color: ${rgb(brand.muted)}; }
+    ul, ol { margin: 0 0 8px; padding-left: 22px; }
+    table { width: 100%; border-collapse: collapse; }
+    td { padding: 8px 6px; border-top: 1px solid #f3f4f6; vertical-align: top; font-size: 0.92rem; }
+    .status { display: inline-block; min-width: 64px; padding: 2px 8px; border-radius: 10px; color: #fff; font-size: 0.75rem; text-align: center; }
+    .fix { color: ${rgb(brand.muted)}; margin-top: 2px; }
+    .score { font-size: 1.05rem; }
+    .cta { margin-top: 24px; padding: 20px; border-radius: 12px; background: #ecfdf5; }
+    .cta a { color: ${rgb(brand.primary)}; font-weight: 700; }
+    footer { padding: 16px 48px 32px; color: ${rgb(brand.muted)}; font-size: 0.8rem; }
+    @media print {
+      body { background: #fff; }
+      header { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+      .status { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    }
+  </style>
+</head>
+<body>
+  <div class="page">
+    <header>
+      ${logoData ? `<img src="data:image/png;base64,${logoData.toString('base64')}" alt="${escapeHTML(brand.name)}">` : ''}
+      <div>
+        <h1>Client Acquisition Audit</h1>
+        <div class="meta">${report.preparedFor ? `Prepared for ${escapeHTML(report.preparedFor)} · ` : ''}${escapeHTML(report.date)}</div>
+      </div>
+    </header>
+    <main>${sections}${deliverabilityHTML(report.deliverability)}
+      <div class="cta">Want to go deeper? <a href="${escapeHTML(brand.bookingUrl)}">Book a free 30-minute strategy call with ${escapeHTML(brand.consultant)}</a>.</div>
+    </main>
+    <footer>${escapeHTML(brand.name)} · ${escapeHTML(brand.site)}</footer>
+  </div>
+</body>
+</html>
+`;
+}
+
+// ===== PDF =====
+function renderReportPDF(audit, tenant) {
+  const report = buildReport(audit);
+  const brand = brandFor(tenant);
+  const doc = createDocument();
+  const { margin, width } = doc;
+  const logoData = loadLogo(brand.logo);
+
+  // Header band
+  doc.rect(0, 0, width, 110, brand.dark);
+  let titleX = margin;
+  if (logoData) {
+    try {
+      doc.image(logoData, margin, 27, 56, 56);
+      titleX = margin + 72;
+    } catch (error) {
+      console.error('Report logo error:', error.message);
+    }
+  }
+  doc.textAt('Client Acquisition Audit', titleX, 36, { size: 20, bold: true, fill: [255, 255, 255] });
+  doc.textAt(`${report.preparedFor ? `Prepared for ${report.preparedFor} · ` : ''}${report.date}`, titleX, 64, { size: 10, fill: brand.bright });
+  doc.y = 140;
+
+  // Model text is plain; strip asterisks so the PDF writer's **bold** syntax only comes from here
+  const plain = (text) => String(text).replace(/\*/g, '');
+  const blocks = (items) => items.forEach(block => {
+    const text = block.lead ? `**${plain(block.lead)}:** ${plain(block.text)}` : plain(block.text);
+    if (block.type === 'bullet') doc.paragraph(text, { indent: 14, bullet: '•', after: 2 });
+    else doc.paragraph(text, { fill: block.muted ? brand.muted : [0, 0, 0] });
+  });
+
+  for (const section of report.sections) {
+    doc.ensureSpace(60);
+    if (section.title) doc.paragraph(plain(section.title), { size: 14, bold: true, fill: brand.primary, after: 4 });
+    blocks(section.blocks);
+    doc.space(10);
+  }
+
+  const result = report.deliverability;
+  if (result && result.checks) {
+    doc.ensureSpace(80);
+    doc.paragraph(`Email Deliverability — ${result.domain}`, { size: 14, bold: true, fill: brand.primary, after: 2 });
+    doc.paragraph(`Score: **${Number(result.score) || 0}/100**${result.grade ? ` · Grade **${plain(result.grade)}**` : ''}`, { after: 8 });
+    if (Array.isArray(result.topFixes) && result.topFixes.length > 0) {
+      doc.paragraph('**Top fixes**', { after: 2 });
+      result.topFixes.forEach((item, i) => doc.paragraph(`**+${Number(item.points) || 0} pts:** ${plain(item.fix)}`, { indent: 14, bullet: `${i + 1}.`, after: 2 }));
+      doc.space(8);
+    }
+    for (const check of Object.values(result.checks)) {
+      doc.ensureSpace(40);
+      doc.rect(margin, doc.y + 2, 52, 13, STATUS_COLORS[check.status] || STATUS_COLORS.error);
+      doc.textAt(STATUS_LABELS[check.status] || String(check.status), margin + 5, doc.y + 4.5, { size: 8, bold: true, fill: [255, 255, 255] });
+      doc.paragraph(`**${check.name}** — ${check.summary}`, { indent: 62, after: 2 });
+      if (check.fix && check.status !== 'pass') doc.paragraph(`Fix: ${check.fix}`, { indent: 62, size: 9.5, fill: brand.muted, after: 6 });
+      else doc.space(4);
+    }
+    doc.space(10);
+  }
+
+  doc.ensureSpace(70);
+  doc.paragraph('Want to go deeper?', { size: 12, bold: true, fill: brand.primary, after: 2 });
+  doc.paragraph(`Book a free 30-minute strategy call with ${brand.consultant} to walk through these results.`, { after: 4 });
+  doc.ensureSpace(20);
+  doc.textAt('Book your strategy call »', margin, doc.y, { size: 11, bold: true, fill: brand.primary });
+  doc.link(margin, doc.y - 2, textWidth('Book your strategy call »', 'bold', 11), 15, brand.bookingUrl);
+  doc.space(32);
+  doc.paragraph(`${brand.name} · ${brand.site}`, { size: 9, fill: brand.muted });
+
+  return doc.toBuffer();
+}
+
+module.exports = {
+  buildReport,
+  reportFilename,
+  renderReportHTML,
+  renderReportPDF,
+};
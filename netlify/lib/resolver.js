@@ -0,0 +1,304 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Resolver } = require('dns').promises;
+const { fetchText } = require('./fetch');
+
+// Every DNS query the checks make goes through here. It has the same methods (and error codes) as
+// require('dns').promises, adds a per-query timeout, a TTL cache and configurable upstreams, and
+// logs each query for the check's diagnostics. With DNS_FIXTURES set, answers come from a recorded
+// zone file instead of the network (see scripts/record-dns.js).
+const TIMEOUT_MS = Number(process.env.DNS_TIMEOUT_MS) || 3000;
+const TRIES = Number(process.env.DNS_TRIES) || 2;
+// Answers are cached for their TTL, capped at DNS_CACHE_TTL seconds (0 turns the cache off)
+const MAX_TTL = process.env.DNS_CACHE_TTL === undefined ? 300 : Number(process.env.DNS_CACHE_TTL);
+// Node reports TTLs for A/AAAA only; other plain DNS answers and NXDOMAIN/NODATA use these
+const DEFAULT_TTL = 60;
+const NEGATIVE_TTL = 30;
+const MAX_CACHE_ENTRIES = 5000;
+
+const TYPE_CODES = { A: 1, CNAME: 5, SOA: 6, PTR: 12, MX: 15, TXT: 16, AAAA: 28, DS: 43 };
+const RCODES = { 2: 'ESERVFAIL', 3: 'ENOTFOUND', 5: 'EREFUSED' };
+// The answer is that the name or record does not exist, so another upstream would say the same
+const isNegative = (err) => err.code === 'ENOTFOUND' || err.code === 'ENODATA';
+
+const dnsError = (type, code, name) => Object.assign(new Error(`query${type} ${code} ${name}`), { code, hostname: name });
+
+// ===== UPSTREAMS =====
+// DNS_SERVERS is a comma-separated list tried in order: "1.1.1.1", "8.8.8.8:53", "[2606:4700::1111]:53"
+// or a DNS-over-HTTPS JSON endpoint such as "https://dns.google/resolve". Unset, the host's resolver is used.
+let upstreams;
+function getUpstreams() {
+  if (upstreams) return upstreams;
+  const servers = (process.env.DNS_SERVERS || '').split(',').map(s => s.trim()).filter(Boolean);
+  const plain = (list) => {
+    const resolver = new Resolver({ timeout: TIMEOUT_MS, tries: TRIES });
+    if (list) resolver.setServers(list);
+    return resolver;
+  };
+  upstreams = servers.length === 0
+    ? [{ name: 'system', resolver: plain() }]
+    : servers.map(server => (/^https:\/\//i.test(server) ? { name: server, doh: server } : { name: server, resolver: plain([server]) }));
+  return upstreams;
+}
+
+function describeResolver() {
+  if (process.env.DNS_FIXTURES) return ['fixture'];
+  return getUpstreams().map(u => u.name);
+}
+
+// ===== ANSWERS =====
+// Node's resolver takes the reverse name too, so PTR lookups share the fixture and DoH paths
+function ptrName(ip) {
+  if (net.isIPv4(ip)) return `${ip.split('.').reverse().join('.')}.in-addr.arpa`;
+  const [head, tail = ''] = ip.toLowerCase().split('::');
+  const groups = (s) => (s ? s.split(':') : []);
+  const missing = 8 - groups(head).length - groups(tail).length;
+  const full = [...groups(head), ...Array(missing).fill('0'), ...groups(tail)].map(g => g.padStart(4, '0')).join('');
+  return `${full.split('').reverse().join('.')}.ip6.arpa`;
+}
+
+const trimDot = (name) => name.replace(/\.$/, '');
+
+// DoH JSON quotes TXT strings ("\"v=spf1 ...\" \"more\""); Google leaves single strings unquoted
+function parseTXT(data) {
+  if (!data.startsWith('"')) return [data];
+  return [...data.matchAll(/"((?:[^"\\]|\\.)*)"/g)]
+    .map(m => m[1].replace(/\\(\d{3}|.)/g, (s, c) => (c.length === 3 ? String.fromCharCode(Number(c)) : c)));
+}
+
+function parseDoHAnswer(type, record) {
+  if (type === 'TXT') return parseTXT(record.data);
+  if (type === 'MX') {
+    const [priority, exchange] = record.data.split(/\s+/);
+    return { exchange: trimDot(exchange), priority: Number(priority) };
+  }
+  if (type === 'PTR') return trimDot(record.data);
+  return record.data;
+}
+
+async function fetchDoH(url, name, type, { checkingDisabled = false } = {}) {
+  const query = `${url}?name=${encodeURIComponent(name)}&type=${type}${checkingDisabled ? '&cd=1' : ''}`;
+  let lastError;
+  for (let attempt = 0; attempt < TRIES; attempt++) {
+    try {
+      const { text } = await fetchText(query, { trusted: true, accept: 'application/dns-json', timeoutMs: TIMEOUT_MS });
+      return JSON.parse(text);
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  throw lastError;
+}
+
+async function queryDoHUpstream(url, name, type) {
+  const response = await fetchDoH(url, name, type);
+  if (response.Status !== 0) {
+    const error = dnsError(type, RCODES[response.Status] || 'EBADRESP', name);
+    const soa = (response.Authority || []).find(r => r.type === TYPE_CODES.SOA);
+    return { error, ttl: soa ? soa.TTL : NEGATIVE_TTL };
+  }
+  const records = (response.Answer || []).filter(r => r.type === TYPE_CODES[type]);
+  if (records.length === 0) {
+    const soa = (response.Authority || []).find(r => r.type === TYPE_CODES.SOA);
+    return { error: dnsError(type, 'ENODATA', name), ttl: soa ? soa.TTL : NEGATIVE_TTL };
+  }
+  return { answers: records.map(r => parseDoHAnswer(type, r)), ttl: Math.min(...records.map(r => r.TTL)) };
+}
+
+// c-ares applies the timeout per try; the deadline covers a server that never answers at all
+function withDeadline(promise, type, name) {
+  let timer;
+  const deadline = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(dnsError(type, 'ETIMEOUT', name)), TIMEOUT_MS * TRIES + 500);
+  });
+  return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+async function queryPlainUpstream(resolver, name, type) {
+  try {
+    if (type === 'A' || type === 'AAAA') {
+      const records = await withDeadline(type === 'A' ? resolver.resolve4(name, { ttl: true }) : resolver.resolve6(name, { ttl: true }), type, name);
+      return { answers: records.map(r => r.address), ttl: Math.min(...records.map(r => r.ttl)) };
+    }
+    const method = { TXT: 'resolveTxt', MX: 'resolveMx', PTR: 'resolvePtr' }[type];
+    return { answers: await withDeadline(resolver[method](name), type, name), ttl: DEFAULT_TTL };
+  } catch (err) {
+    if (isNegative(err)) return { error: err, ttl: NEGATIVE_TTL };
+    throw err;
+  }
+}
+
+// Upstreams are tried in order until one gives an answer, including "does not exist"
+async function queryNetwork(name, type) {
+  let lastError;
+  for (const upstream of getUpstreams()) {
+    try {
+      const outcome = upstream.doh ? await queryDoHUpstream(upstream.doh, name, type) : await queryPlainUpstream(upstream.resolver, name, type);
+      return { ...outcome, upstream: upstream.name };
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  throw lastError;
+}
+
+// ===== FIXTURES =====
+// { "<name>": { "<type>": [answers] | { "error": "<code>" } } }. A name that is not listed does
+// not exist (ENOTFOUND); a listed name without the type has no such records (ENODATA).
+let fixtures;
+function loadFixtures() {
+  if (!fixtures) fixtures = JSON.parse(fs.readFileSync(path.resolve(process.env.DNS_FIXTURES), 'utf8'));
+  return fixtures;
+}
+
+function queryFixture(name, type) {
+  const zone = loadFixtures()[name.toLowerCase()];
+  if (!zone) return { error: dnsError(type, 'ENOTFOUND', name) };
+  const entry = zone[type];
+  if (entry === undefined) return { error: dnsError(type, 'ENODATA', name) };
+  if (entry && entry.error) return { error: dnsError(type, entry.error, name) };
+  return { answers: entry };
+}
+
+// What a recording run saw, in the same shape
+function record(fixture, name, type, outcome) {
+  const code = outcome.error && outcome.error.code;
+  if (code === 'ENOTFOUND') return;
+  fixture[name] = fixture[name] || {};
+  if (code === 'ENODATA') return;
+  fixture[name][type] = code ? { error: code } : outcome.answers;
+}
+
+// ===== DIAGNOSTICS =====
+// traceQueries(fn) collects the queries fn makes; { record: true } also builds a fixture from them.
+// Once { signal } is aborted, fn's remaining queries fail at once with ECANCELLED.
+// A nested trace (runChecks inside a recording) keeps recording into the outer fixture.
+const tracer = new AsyncLocalStorage();
+
+async function traceQueries(fn, { record: recording = false, signal = null } = {}) {
+  const parent = tracer.getStore();
+  const trace = {
+    queries: [],
+    fixture: recording ? {} : (parent ? parent.fixture : null),
+    signal: signal || (parent ? parent.signal : null),
+  };
+  const result = await tracer.run(trace, fn);
+  return { result, queries: trace.queries, fixture: trace.fixture };
+}
+
+function log(entry) {
+  const trace = tracer.getStore();
+  if (trace) trace.queries.push(entry);
+}
+
+function throwIfCancelled(type, name) {
+  const trace = tracer.getStore();
+  if (trace && trace.signal && trace.signal.aborted) throw dnsError(type, 'ECANCELLED', name);
+}
+
+// ===== QUERIES =====
+const cache = new Map();
+const inflight = new Map();
+
+function remember(key, outcome) {
+  const ttl = Math.min(MAX_TTL, Math.max(0, outcome.ttl));
+  if (!(ttl > 0)) return;
+  cache.delete(key);
+  cache.set(key, { answers: outcome.answers, error: outcome.error, expires: Date.now() + ttl * 1000 });
+  if (cache.size > MAX_CACHE_ENTRIES) cache.delete(cache.keys().next().value);
+}
+
+async function lookup(name, type) {
+  throwIfCancelled(type, name);
+  const key = `${type} ${name.toLowerCase()}`;
+  const started = Date.now();
+  const entry = { name, type, source: 'network', upstream: null, ms: 0, answers: 0, error: null };
+  let outcome;
+
+  try {
+    if (process.env.DNS_FIXTURES) {
+      entry.source = 'fixture';
+      outcome = queryFixture(name, type);
+    } else if (cache.has(key) && cache.get(key).expires > Date.now()) {
+      entry.source = 'cache';
+      outcome = cache.get(key);
+    } else if (inflight.has(key)) {
+      entry.source = 'cache';
+      outcome = await inflight.get(key);
+    } else {
+      const pending = queryNetwork(name, type);
+      inflight.set(key, pending);
+      try {
+        outcome = await pending;
+      } finally {
+        inflight.delete(key);
+      }
+      entry.upstream = outcome.upstream;
+      if (MAX_TTL > 0) remember(key, outcome);
+    }
+  } catch (err) {
+    outcome = { error: err.code ? err : Object.assign(err, { code: 'EFAIL' }) };
+  }
+
+  const trace = tracer.getStore();
+  if (entry.source === 'network' && trace && trace.fixture) record(trace.fixture, name.toLowerCase(), type, outcome);
+
+  entry.ms = Date.now() - started;
+  entry.answers = outcome.answers ? outcome.answers.length : 0;
+  entry.error = outcome.error ? outcome.error.code : null;
+  log(entry);
+
+  if (outcome.error) throw outcome.error;
+  // Callers sort and map the answers; the cached copy stays untouched
+  return structuredClone(outcome.answers);
+}
+
+function recordDoH(name, fixtureType, outcome) {
+  const trace = tracer.getStore();
+  if (trace && trace.fixture) record(trace.fixture, name.toLowerCase(), fixtureType, outcome);
+}
+
+// Raw DoH JSON for the DNSSEC check, which needs the AD bit; never cached. In fixture mode the
+// answer is stored as "doh:<type>" ("doh:<type>+cd" with checking disabled); a listed name
+// without one is an unsigned zone.
+async function queryDoH(url, name, type, { checkingDisabled = false } = {}) {
+  throwIfCancelled(type, name);
+  const fixtureType = `doh:${type}${checkingDisabled ? '+cd' : ''}`;
+  const started = Date.now();
+  const entry = { name, type: fixtureType, source: 'network', upstream: url, ms: 0, answers: 0, error: null };
+  try {
+    let response;
+    if (process.env.DNS_FIXTURES) {
+      Object.assign(entry, { source: 'fixture', upstream: null });
+      const zone = loadFixtures()[name.toLowerCase()];
+      response = !zone ? { Status: 3 } : zone[fixtureType] || { Status: 0, AD: false };
+      if (response.error) throw dnsError(type, response.error, name);
+    } else {
+      response = await fetchDoH(url, name, type, { checkingDisabled });
+      if (response.Status !== 3) recordDoH(name, fixtureType, { answers: response });
+    }
+    entry.answers = (response.Answer || []).length;
+    if (response.Status !== 0) entry.error = RCODES[response.Status] || 'EBADRESP';
+    return response;
+  } catch (err) {
+    entry.error = err.code || 'EFAIL';
+    if (entry.source === 'network') recordDoH(name, fixtureType, { error: { code: entry.error } });
+    throw err;
+  } finally {
+    entry.ms = Date.now() - started;
+    log(entry);
+  }
+}
+
+module.exports = {
+  resolveTxt: (name) => lookup(name, 'TXT'),
+  resolveMx: (name) => lookup(name, 'MX'),
+  resolve4: (name) => lookup(name, 'A'),
+  resolve6: (name) => lookup(name, 'AAAA'),
+  reverse: (ip) => lookup(ptrName(ip), 'PTR'),
+  queryDoH,
+  traceQueries,
+  describeResolver,
+};
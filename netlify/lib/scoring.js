@@ -0,0 +1,147 @@
+// Deliverability scoring, driven entirely by SCORING below. Every check result carries a stable `id`
+// and a list of findings ({ id, severity, message, fix }); a finding costs its severity's share of
+// the check's points, and a check never drops below zero.
+const SCORING = {
+  checks: {
+    spf: { points: 20 },
+    dmarc: { points: 25 },
+    dkim: { points: 17 },
+    mx: { points: 8 },
+    blacklists: { points: 13 },
+    mtasts: { points: 5 },
+    tlsrpt: { points: 2 },
+    bimi: { points: 2 },
+    dnssec: { points: 3 },
+    rdns: { points: 5 },
+  },
+  // Share of the check's points a single finding of this severity deducts
+  severities: {
+    critical: 1,
+    high: 0.5,
+    medium: 0.25,
+    low: 0.1,
+    info: 0,
+  },
+  // A check that could not run (status "error") is scored as one finding of this severity
+  unchecked: 'critical',
+  // Lowest score for each grade, best first
+  grades: [
+    { grade: 'A', min: 90 },
+    { grade: 'B', min: 80 },
+    { grade: 'C', min: 65 },
+    { grade: 'D', min: 50 },
+    { grade: 'F', min: 0 },
+  ],
+  topFixes: 3,
+};
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// Returns a list of problems; an empty list means the config can score
+function validateScoring(config) {
+  if (!config || typeof config !== 'object') return ['must be an object'];
+  const errors = [];
+  const isShare = (n) => typeof n === 'number' && n >= 0 && n <= 1;
+
+  if (!config.checks || typeof config.checks !== 'object' || Object.keys(config.checks).length === 0) {
+    errors.push('checks must map check ids to { points }');
+  } else {
+    for (const [id, rule] of Object.entries(config.checks)) {
+      if (!rule || typeof rule.points !== 'number' || !(rule.points >= 0)) errors.push(`checks.${id}.points must be a number of 0 or more`);
+    }
+  }
+  if (!config.severities || typeof config.severities !== 'object') {
+    errors.push('severities must map severities to a share between 0 and 1');
+  } else {
+    for (const [severity, share] of Object.entries(config.severities)) {
+      if (!isShare(share)) errors.push(`severities.${severity} must be between 0 and 1`);
+    }
+    if (!(config.unchecked in config.severities)) errors.push('unchecked must be one of the severities');
+  }
+  const grades = Array.isArray(config.grades) ? config.grades : [];
+  if (grades.length === 0 || grades.some(g => !g || typeof g.grade !== 'string' || typeof g.min !== 'number')) {
+    errors.push('grades must be a non-empty list of { grade, min }');
+  } else {
+    if (grades.some((g, i) => i > 0 && g.min >= grades[i - 1].min)) errors.push('grades must be ordered from the highest min to the lowest');
+    if (grades[grades.length - 1].min !== 0) errors.push('the last grade must have min 0');
+  }
+  if (!Number.isInteger(config.topFixes) || config.topFixes < 0) errors.push('topFixes must be a whole number of 0 or more');
+  return errors;
+}
+
+function findingsFor(check, config) {
+  if (check.status === 'error') {
+    return [{ id: 'unchecked', severity: config.unchecked, message: check.summary, fix: null }];
+  }
+  return Array.isArray(check.findings) ? check.findings : [];
+}
+
+function deduction(findings, points, config) {
+  const total = findings.reduce((sum, f) => {
+    if (!(f.severity in config.severities)) throw new Error(`Unknown finding severity "${f.severity}"`);
+    return sum + config.severities[f.severity] * points;
+  }, 0);
+  return Math.min(points, total);
+}
+
+function gradeFor(score, config = SCORING) {
+  return (config.grades.find(band => score >= band.min) || config.grades[config.grades.length - 1]).grade;
+}
+
+// `checks` is keyed by check id. An invalid config, or a check without an entry in it, is an error
+// rather than silently getting a default weight.
+function scoreChecks(checks, config = SCORING) {
+  const problems = validateScoring(config);
+  if (problems.length > 0) throw new Error(`Invalid scoring config: ${problems.join('; ')}`);
+
+  const breakdown = [];
+  const fixes = [];
+
+  for (const [id, check] of Object.entries(checks)) {
+    const rule = config.checks[id];
+    if (!rule) throw new Error(`No scoring rule for check "${id}"`);
+
+    const findings = findingsFor(check, config);
+    const lost = deduction(findings, rule.points, config);
+    breakdown.push({
+      id,
+      name: check.name,
+      status: check.status,
+      max: rule.points,
+      earned: round1(rule.points - lost),
+      findings: findings.map(f => ({ id: f.id, severity: f.severity, message: f.message })),
+    });
+
+    // Findings that share a fix are recovered together; measure what removing them gives back
+    const byFix = new Map();
+    for (const f of findings.filter(f => f.fix)) {
+      byFix.set(f.fix, [...(byFix.get(f.fix) || []), f]);
+    }
+    for (const [fix, group] of byFix) {
+      const recovered = lost - deduction(findings.filter(f => !group.includes(f)), rule.points, config);
+      if (recovered > 0) fixes.push({ check: id, fix, recovered, findings: group.map(f => f.id) });
+    }
+  }
+
+  const max = breakdown.reduce((sum, b) => sum + b.max, 0);
+  const earned = breakdown.reduce((sum, b) => sum + b.earned, 0);
+  const score = max > 0 ? Math.round((earned / max) * 100) : 0;
+
+  // Points recovered are reported on the same 0-100 scale as the score
+  return {
+    score,
+    grade: gradeFor(score, config),
+    breakdown,
+    topFixes: fixes
+      .sort((a, b) => b.recovered - a.recovered)
+      .slice(0, config.topFixes)
+      .map(({ recovered, ...fix }) => ({ ...fix, points: round1((recovered / max) * 100) })),
+  };
+}
+
+module.exports = {
+  SCORING,
+  validateScoring,
+  gradeFor,
+  scoreChecks,
+};
@@ -0,0 +1,285 @@
+const dns = require('./resolver');
+
+// RFC 7208 §4.6.4 processing limits
+const MAX_LOOKUPS = 10;
+const MAX_VOID_LOOKUPS = 2;
+const MAX_MX_HOSTS = 10;
+
+const LOOKUP_MECHANISMS = ['include', 'a', 'mx', 'ptr', 'exists'];
+const KNOWN_MECHANISMS = ['all', 'include', 'a', 'mx', 'ptr', 'ip4', 'ip6', 'exists'];
+const QUALIFIERS = { '+': 'pass', '-': 'fail', '~': 'softfail', '?': 'neutral' };
+
+const isVoidError = (err) => err && (err.code === 'ENODATA' || err.code === 'ENOTFOUND');
+const hasMacro = (value) => /%\{/.test(value || '');
+
+// ===== PARSER =====
+function parseSPF(record) {
+  const terms = record.trim().split(/\s+/).slice(1);
+  const mechanisms = [];
+  const modifiers = {};
+  const errors = [];
+
+  for (const term of terms) {
+    const modifier = term.match(/^([a-zA-Z][a-zA-Z0-9_.-]*)=(.*)$/);
+    if (modifier) {
+      const name = modifier[1].toLowerCase();
+      if ((name === 'redirect' || name === 'exp') && modifiers[name] !== undefined) {
+        errors.push(`Duplicate ${name}= modifier`);
+      }
+      modifiers[name] = modifier[2];
+      continue;
+    }
+
+    const match = term.match(/^([+\-~?]?)([a-zA-Z0-9]+)(?::([^/]*))?((?:\/\d+)?(?:\/\/\d+)?)$/);
+    const name = match && match[2].toLowerCase();
+    if (!match || !KNOWN_MECHANISMS.includes(name)) {
+      errors.push(`Unknown or malformed term "${term}"`);
+      continue;
+    }
+
+    // a: and mx: take "/N//M" (IPv4 and IPv6 prefix); on ip6: a single "/N" is the IPv6 prefix
+    const cidr = match[4].match(/^(?:\/(\d+))?(?:\/\/(\d+))?$/) || [];
+    const single = cidr[1] ? Number(cidr[1]) : null;
+    const dual = cidr[2] ? Number(cidr[2]) : null;
+    mechanisms.push({
+      term,
+      qualifier: QUALIFIERS[match[1] || '+'],
+      name,
+      value: match[3] || null,
+      cidr4: name === 'ip6' ? null : single,
+      cidr6: name === 'ip6' ? single : dual,
+    });
+  }
+
+  return { mechanisms, modifiers, errors };
+}
+
+// ===== RECURSIVE EVALUATION =====
+async function fetchSPFRecords(domain) {
+  const records = await dns.resolveTxt(domain);
+  return records.map(r => r.join('')).filter(r => /^v=spf1(\s|$)/i.test(r));
+}
+
+async function resolveAddresses(host, state) {
+  const [v4, v6] = await Promise.all([
+    dns.resolve4(host).catch(err => (isVoidError(err) ? [] : Promise.reject(err))),
+    dns.resolve6(host).catch(err => (isVoidError(err) ? [] : Promise.reject(err))),
+  ]);
+  if (v4.length === 0 && v6.length === 0) state.voidLookups++;
+  return { v4, v6 };
+}
+
+function addRanges(state, node, { v4 = [], v6 = [] }, cidr4, cidr6) {
+  for (const ip of v4) {
+    const range = cidr4 !== null && cidr4 !== 32 ? `${ip}/${cidr4}` : ip;
+    state.ip4.add(range);
+    node.ip4.push(range);
+  }
+  for (const ip of v6) {
+    const range = cidr6 !== null && cidr6 !== 128 ? `${ip}/${cidr6}` : ip;
+    state.ip6.add(range);
+    node.ip6.push(range);
+  }
+}
+
+function countLookup(state, node, term) {
+  state.lookups++;
+  node.lookups++;
+  if (state.lookups > MAX_LOOKUPS && !state.limitExceededAt) {
+    state.limitExceededAt = { domain: node.domain, term };
+  }
+}
+
+// Past either limit the result is a permerror, so receivers stop evaluating and so do we
+const limitReached = (state) => state.lookups > MAX_LOOKUPS || state.voidLookups > MAX_VOID_LOOKUPS;
+
+// An include that was already evaluated on another branch is not fetched again: its lookups
+// count again (a receiver evaluates it again), its ranges are already collected.
+function reuseInclude(state, node, mech, target) {
+  const seen = state.evaluated.get(target);
+  countLookup(state, node, mech.term);
+  state.lookups += seen.lookups;
+  state.voidLookups += seen.voidLookups;
+  if (state.lookups > MAX_LOOKUPS && !state.limitExceededAt) state.limitExceededAt = { domain: target, term: mech.term };
+  node.children.push({ domain: target, record: seen.node.record, all: seen.node.all, lookups: seen.lookups, ip4: [], ip6: [], children: [], errors: [], repeated: true });
+}
+
+async function evaluateNode(domain, state, path) {
+  const node = { domain, record: null, all: null, lookups: 0, ip4: [], ip6: [], children: [], errors: [] };
+
+  let records;
+  try {
+    records = await fetchSPFRecords(domain);
+  } catch (err) {
+    if (!isVoidError(err)) throw err;
+    records = [];
+  }
+
+  if (records.length === 0) {
+    node.errors.push('No SPF record');
+    if (path.length > 0) {
+      state.voidLookups++;
+      state.permerrors.push(`${domain} (referenced from ${path[path.length - 1]}) has no SPF record`);
+    }
+    return node;
+  }
+  if (records.length > 1) {
+    node.errors.push(`${records.length} SPF records published`);
+    if (path.length > 0) state.permerrors.push(`${domain} publishes ${records.length} SPF records`);
+  }
+
+  node.record = records[0];
+  const parsed = parseSPF(node.record);
+  node.errors.push(...parsed.errors);
+  if (parsed.errors.length > 0) state.permerrors.push(...parsed.errors.map(e => `${domain}: ${e}`));
+
+  const nextPath = [...path, domain];
+
+  for (const mech of parsed.mechanisms) {
+    if (limitReached(state)) break;
+    const target = (mech.value || domain).toLowerCase();
+
+    if (mech.name === 'all') {
+      node.all = mech.qualifier;
+      continue;
+    }
+    if (mech.name === 'ip4' || mech.name === 'ip6') {
+      const range = mech.name === 'ip4'
+        ? (mech.cidr4 !== null ? `${mech.value}/${mech.cidr4}` : mech.value)
+        : (mech.cidr6 !== null ? `${mech.value}/${mech.cidr6}` : mech.value);
+      state[mech.name].add(range);
+      node[mech.name].push(range);
+      continue;
+    }
+    if (!LOOKUP_MECHANISMS.includes(mech.name)) continue;
+
+    if (mech.name === 'include' && state.evaluated.has(target) && !nextPath.includes(target)) {
+      reuseInclude(state, node, mech, target);
+      continue;
+    }
+    countLookup(state, node, mech.term);
+    if (limitReached(state)) break;
+
+    if (hasMacro(mech.value)) {
+      node.errors.push(`${mech.term} uses macros and cannot be resolved without a sender`);
+      continue;
+    }
+
+    try {
+      if (mech.name === 'include') {
+        if (nextPath.includes(target)) {
+          state.loops.push([...nextPath, target].join(' → '));
+          node.children.push({ domain: target, record: null, all: null, lookups: 0, ip4: [], ip6: [], children: [], errors: ['Include loop'] });
+          continue;
+        }
+        node.children.push(await evaluateInclude(target, state, nextPath));
+      } else if (mech.name === 'a') {
+        addRanges(state, node, await resolveAddresses(target, state), mech.cidr4, mech.cidr6);
+      } else if (mech.name === 'mx') {
+        let hosts;
+        try {
+          hosts = await dns.resolveMx(target);
+        } catch (err) {
+          if (!isVoidError(err)) throw err;
+          hosts = [];
+        }
+        if (hosts.length === 0) state.voidLookups++;
+        if (hosts.length > MAX_MX_HOSTS) {
+          state.permerrors.push(`${target} has ${hosts.length} MX hosts (max ${MAX_MX_HOSTS} per mx mechanism)`);
+        }
+        for (const mx of hosts.slice(0, MAX_MX_HOSTS)) {
+          addRanges(state, node, await resolveAddresses(mx.exchange, state), mech.cidr4, mech.cidr6);
+        }
+      } else if (mech.name === 'exists') {
+        try {
+          await dns.resolve4(target);
+        } catch (err) {
+          if (!isVoidError(err)) throw err;
+          state.voidLookups++;
+        }
+      } else if (mech.name === 'ptr') {
+        node.errors.push('ptr mechanism is deprecated (RFC 7208 §5.5) and ignored by many receivers');
+      }
+    } catch (err) {
+      node.errors.push(`${mech.term}: ${err.code || err.message}`);
+      state.temperrors.push(`${mech.term} in ${domain}: ${err.code || err.message}`);
+    }
+  }
+
+  const redirect = parsed.modifiers.redirect;
+  const hasAll = parsed.mechanisms.some(m => m.name === 'all');
+  if (redirect && !hasAll && !limitReached(state)) {
+    countLookup(state, node, `redirect=${redirect}`);
+    const target = redirect.toLowerCase();
+    if (hasMacro(redirect)) {
+      node.errors.push(`redirect=${redirect} uses macros and cannot be resolved without a sender`);
+    } else if (nextPath.includes(target)) {
+      state.loops.push([...nextPath, target].join(' → '));
+    } else if (!limitReached(state)) {
+      const child = await evaluateInclude(target, state, nextPath);
+      child.redirect = true;
+      node.children.push(child);
+      node.all = child.all;
+    }
+  }
+
+  return node;
+}
+
+// Evaluates an include or redirect target once and remembers what its subtree cost
+async function evaluateInclude(domain, state, path) {
+  const before = { lookups: state.lookups, voidLookups: state.voidLookups };
+  const node = await evaluateNode(domain, state, path);
+  state.evaluated.set(domain, {
+    node,
+    lookups: state.lookups - before.lookups,
+    voidLookups: state.voidLookups - before.voidLookups,
+  });
+  return node;
+}
+
+async function evaluateSPF(domain) {
+  const state = {
+    lookups: 0,
+    voidLookups: 0,
+    limitExceededAt: null,
+    evaluated: new Map(),
+    ip4: new Set(),
+    ip6: new Set(),
+    loops: [],
+    permerrors: [],
+    temperrors: [],
+  };
+
+  const tree = await evaluateNode(domain.toLowerCase(), state, []);
+
+  return {
+    record: tree.record,
+    lookups: state.lookups,
+    voidLookups: state.voidLookups,
+    lookupLimitExceeded: state.lookups > MAX_LOOKUPS,
+    voidLimitExceeded: state.voidLookups > MAX_VOID_LOOKUPS,
+    limitExceededAt: state.limitExceededAt,
+    all: tree.all,
+    loops: state.loops,
+    permerrors: state.permerrors,
+    temperrors: state.temperrors,
+    tree,
+    ip4: [...state.ip4],
+    ip6: [...state.ip6],
+  };
+}
+
+// Compact text rendering of the include tree, e.g. for the fix text or the chat context
+function formatTree(node, depth = 0) {
+  const label = `${'  '.repeat(depth)}${node.redirect ? 'redirect → ' : ''}${node.domain} (${node.lookups} lookup${node.lookups === 1 ? '' : 's'}${node.repeated ? ', repeated' : ''})`;
+  return [label, ...node.children.map(child => formatTree(child, depth + 1))].join('\n');
+}
+
+module.exports = {
+  MAX_LOOKUPS,
+  MAX_VOID_LOOKUPS,
+  parseSPF,
+  evaluateSPF,
+  formatTree,
+};
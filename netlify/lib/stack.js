@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIRS } = require('./domains');
+
+// Sending-stack fingerprints: the mailbox provider, security gateway, ESPs/marketing tools and CRM
+// senders behind a domain, matched from its MX hosts, SPF includes and DKIM selectors against the
+// catalog in data/sending-stack.json.
+const CATALOG_FILE = 'sending-stack.json';
+const CATEGORIES = ['mailbox', 'gateway', 'esp', 'crm'];
+const CONFIDENCE = ['low', 'medium', 'high'];
+
+let catalog;
+function loadCatalog() {
+  if (catalog) return catalog;
+  const dir = DATA_DIRS.find(d => fs.existsSync(path.join(d, CATALOG_FILE)));
+  if (!dir) throw new Error(`data/${CATALOG_FILE} not found in ${DATA_DIRS.join(', ')}`);
+
+  const { providers } = JSON.parse(fs.readFileSync(path.join(dir, CATALOG_FILE), 'utf8'));
+  catalog = providers.map((p) => {
+    if (!p.id || !p.name || !CATEGORIES.includes(p.category)) throw new Error(`Invalid provider in data/${CATALOG_FILE}: ${JSON.stringify(p.id || p.name)}`);
+    return { mx: [], spf: [], dkim: [], dkimShared: [], fix: {}, note: '', ...p };
+  });
+  return catalog;
+}
+
+// Patterns are host suffixes on label boundaries: "google.com" matches aspmx.l.google.com
+const matchesHost = (host, pattern) => host === pattern || host.endsWith(`.${pattern}`);
+
+// Every selector in the catalog, so checkDKIM probes for them along with the common ones
+function stackSelectors() {
+  return [...new Set(loadCatalog().flatMap(p => [...p.dkim, ...p.dkimShared]))];
+}
+
+// The mailbox provider or gateway an MX host belongs to, or null
+function mxProvider(host) {
+  const name = String(host).toLowerCase().replace(/\.$/, '');
+  return loadCatalog().find(p => p.mx.some(pattern => matchesHost(name, pattern))) || null;
+}
+
+// Include and redirect targets in an SPF tree that match, without descending into a match, so a
+// provider's own nested includes do not count again
+function findIncludes(node, patterns, found = []) {
+  for (const child of (node && node.children) || []) {
+    if (patterns.some(pattern => matchesHost(child.domain, pattern))) found.push(child.domain);
+    else findIncludes(child, patterns, found);
+  }
+  return found;
+}
+
+// Two kinds of evidence, or an MX that points at the provider, are conclusive. A single SPF
+// include or a provider-specific selector is likely (includes outlive the tools they were added
+// for); a generic selector like s1 or selector1 on its own is only a hint.
+function confidenceOf(provider, evidence) {
+  const strong = new Set(evidence.filter(e => !e.shared).map(e => e.type));
+  if (strong.size >= 2 || (strong.size === 1 && evidence.some(e => e.shared))) return 'high';
+  if (strong.has('mx') && (provider.category === 'mailbox' || provider.category === 'gateway')) return 'high';
+  return strong.size === 1 ? 'medium' : 'low';
+}
+
+// Takes the SPF, DKIM and MX check results (null when a check did not run) and returns the
+// identified providers, most confident first within each category: at most one mailbox provider
+// and one gateway, any number of ESPs and CRMs. Each carries the evidence it was matched on and
+// the provider's fixes for whatever of its SPF include or DKIM selector is missing.
+function identifyStack({ spf = null, dkim = null, mx = null } = {}) {
+  const tree = spf && spf.raw && spf.raw.tree;
+  const selectors = dkim && dkim.raw && Array.isArray(dkim.raw.selectors) ? dkim.raw.selectors.map(s => s.selector) : [];
+  const hosts = mx && Array.isArray(mx.raw) ? mx.raw.map(r => String(r).split(' ').pop().toLowerCase()) : [];
+
+  const matches = loadCatalog().map((provider) => {
+    const evidence = [
+      ...hosts.filter(host => provider.mx.some(pattern => matchesHost(host, pattern))).map(value => ({ type: 'mx', value })),
+      ...findIncludes(tree, provider.spf).map(value => ({ type: 'spf', value })),
+      ...selectors.filter(s => provider.dkim.includes(s)).map(value => ({ type: 'dkim', value })),
+      ...selectors.filter(s => provider.dkimShared.includes(s)).map(value => ({ type: 'dkim', value, shared: true })),
+    ];
+    if (evidence.length === 0) return null;
+
+    const confidence = confidenceOf(provider, evidence);
+    const has = (type) => evidence.some(e => e.type === type);
+    const fixes = [];
+    // Only for providers we are reasonably sure of, and only for checks that ran without error
+    if (confidence !== 'low') {
+      if (provider.fix.spf && !has('spf') && spf && spf.status !== 'error') fixes.push({ check: 'spf', fix: provider.fix.spf });
+      if (provider.fix.dkim && !has('dkim') && dkim && dkim.status !== 'error') fixes.push({ check: 'dkim', fix: provider.fix.dkim });
+    }
+
+    return {
+      id: provider.id,
+      name: provider.name,
+      category: provider.category,
+      confidence,
+      evidence,
+      note: provider.note,
+      fixes,
+    };
+  }).filter(Boolean);
+
+  const rank = (match) => CONFIDENCE.indexOf(match.confidence) * 100 + match.evidence.length;
+  matches.sort((a, b) => CATEGORIES.indexOf(a.category) - CATEGORIES.indexOf(b.category) || rank(b) - rank(a));
+
+  // The best mailbox and gateway match win; a second one is usually a leftover SPF include
+  return matches.filter((match, i) => !['mailbox', 'gateway'].includes(match.category)
+    || matches.findIndex(m => m.category === match.category) === i);
+}
+
+module.exports = {
+  CATEGORIES,
+  stackSelectors,
+  mxProvider,
+  identifyStack,
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// Key-value JSON storage with swappable backends:
+//   blobs — Netlify Blobs (deployed site; needs the @netlify/blobs package)
+//   file  — one JSON file per key under STORAGE_DIR (local development and tests)
+// Besides get/set/delete/list, getVersioned(key) → { value, version } | null and
+// setIf(key, value, version) → true when written give a compare-and-set: the write only happens
+// while the entry still has that version (null: while it does not exist). listPages(prefix) yields
+// the keys a page at a time, for scans over stores that can grow without bound.
+const BACKEND = process.env.STORAGE_BACKEND || 'blobs';
+const PAGE_SIZE = 1000;
+const SCAN_CONCURRENCY = 8;
+
+// ===== NETLIFY BLOBS =====
+function blobsStore(name, event) {
+  const blobs = require('@netlify/blobs');
+  // Lambda-compatible functions must hand the request context to the Blobs client
+  if (event && event.blobs) blobs.connectLambda(event);
+  const store = blobs.getStore(name);
+
+  return {
+    get: (key) => store.get(key, { type: 'json' }),
+    set: (key, value) => store.setJSON(key, value),
+    getVersioned: async (key) => {
+      const entry = await store.getWithMetadata(key, { type: 'json' });
+      return entry ? { value: entry.data, version: entry.etag } : null;
+    },
+    setIf: async (key, value, version) => {
+      const { modified } = await store.setJSON(key, value, version ? { onlyIfMatch: version } : { onlyIfNew: true });
+      return modified;
+    },
+    delete: (key) => store.delete(key),
+    list: async (prefix = '') => {
+      const { blobs: items } = await store.list({ prefix });
+      return items.map(b => b.key);
+    },
+    listPages: async function* (prefix = '') {
+      for await (const { blobs: items } of store.list({ prefix, paginate: true })) yield items.map(b => b.key);
+    },
+  };
+}
+
+// ===== LOCAL FILES =====
+// Conditional writes are serialized per file within the process, which is all the file backend serves
+const locks = new Map();
+function serialized(lock, fn) {
+  const run = (locks.get(lock) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  locks.set(lock, tail);
+  tail.then(() => { if (locks.get(lock) === tail) locks.delete(lock); });
+  return run;
+}
+
+function fileStore(name) {
+  const dir = path.join(process.env.STORAGE_DIR || path.join(os.tmpdir(), 'b2b-audit-store'), name);
+  const file = (key) => path.join(dir, `${encodeURIComponent(key)}.json`);
+  const digest = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+  const read = async (key) => {
+    try {
+      return await fs.readFile(file(key), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  };
+  const write = async (key, value) => {
+    await fs.mkdir(dir, { recursive: true });
+    const tmp = `${file(key)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(value, null, 2));
+    await fs.rename(tmp, file(key));
+  };
+
+  const list = async (prefix = '') => {
+    try {
+      const files = await fs.readdir(dir);
+      return files
+        .filter(f => f.endsWith('.json'))
+        .map(f => decodeURIComponent(f.slice(0, -5)))
+        .filter(key => key.startsWith(prefix))
+        .sort();
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  };
+
+  return {
+    get: async (key) => {
+      const text = await read(key);
+      return text === null ? null : JSON.parse(text);
+    },
+    set: write,
+    getVersioned: async (key) => {
+      const text = await read(key);
+      return text === null ? null : { value: JSON.parse(text), version: digest(text) };
+    },
+    setIf: (key, value, version) => serialized(file(key), async () => {
+      const text = await read(key);
+      if ((text === null ? null : digest(text)) !== (version || null)) return false;
+      await write(key, value);
+      return true;
+    }),
+    delete: async (key) => {
+      await fs.rm(file(key), { force: true });
+    },
+    list,
+    listPages: async function* (prefix = '') {
+      const keys = await list(prefix);
+      for (let i = 0; i < keys.length; i += PAGE_SIZE) yield keys.slice(i, i + PAGE_SIZE);
+    },
+  };
+}
+
+const BACKENDS = { blobs: blobsStore, file: fileStore };
+
+function createStore(name, event) {
+  const factory = BACKENDS[BACKEND];
+  if (!factory) throw new Error(`Unknown STORAGE_BACKEND "${BACKEND}" (expected ${Object.keys(BACKENDS).join(' or ')})`);
+  return factory(name, event);
+}
+
+// Calls fn(key) for every key under `prefix`, one page of keys at a time with at most
+// `concurrency` calls in flight
+async function forEachKey(store, prefix, fn, { concurrency = SCAN_CONCURRENCY } = {}) {
+  for await (const keys of store.listPages(prefix)) {
+    let next = 0;
+    const worker = async () => {
+      while (next < keys.length) await fn(keys[next++]);
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, keys.length) }, worker));
+  }
+}
+
+module.exports = { createStore, forEachKey };
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const { createStore } = require('./storage');
+const { CHECK_IDS } = require('./deliverability');
+
+// White-label tenants: one tenants/<id>.json per brand. A request belongs to the tenant whose `hosts`
+// include its hostname; on shared hosts the page at /t/<id>/ names it with X-Audit-Tenant. Everything
+// else is the "default" tenant, whose data keeps the original store names.
+const DEFAULT_TENANT = 'default';
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,29}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const COLORS = ['dark', 'primary', 'bright', 'glow'];
+
+// netlify.toml ships tenants/ with the functions (included_files); locally it is next to the source
+const TENANT_DIRS = [
+  process.env.TENANTS_DIR,
+  path.join(__dirname, '../../tenants'),
+  path.join(process.cwd(), 'tenants'),
+].filter(Boolean);
+
+const header = (event, name) => {
+  const headers = (event && event.headers) || {};
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+};
+
+const isURL = (value) => {
+  try {
+    return ['https:', 'http:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// ===== CONFIG =====
+// Returns a list of problems; an empty list means the tenant can be served
+function validateTenant(t) {
+  if (!t || typeof t !== 'object') return ['must be an object'];
+  const errors = [];
+  if (typeof t.id !== 'string' || !ID_PATTERN.test(t.id)) errors.push('id must be lowercase letters, digits and dashes');
+  if (!Array.isArray(t.hosts) || t.hosts.some(h => typeof h !== 'string')) errors.push('hosts must be an array of hostnames');
+  for (const key of ['name', 'shortName', 'consultant']) {
+    if (typeof t[key] !== 'string' || !t[key].trim()) errors.push(`${key} is required`);
+  }
+  if (!isURL(t.site)) errors.push('site must be an http(s) URL');
+  if (!isURL(t.bookingUrl)) errors.push('bookingUrl must be an http(s) URL');
+  if (!Array.isArray(t.languages) || t.languages.length === 0 || t.languages.some(l => typeof l !== 'string')) errors.push('languages must be a non-empty array of language names');
+  if (!t.colors || COLORS.some(c => !COLOR_PATTERN.test(t.colors[c] || ''))) errors.push(`colors needs ${COLORS.join(', ')} as #rrggbb`);
+  if (typeof t.logo !== 'string' || !/^[\w/-]+\.png$/.test(t.logo) || t.logo.includes('..')) errors.push('logo must be a .png path under public/');
+  if (!Array.isArray(t.checks) || t.checks.length === 0 || t.checks.some(c => !CHECK_IDS.includes(c))) errors.push(`checks must be a non-empty subset of ${CHECK_IDS.join(', ')}`);
+  return errors;
+}
+
+let tenants;
+// Read once per function instance. An invalid partner config is logged and left out; an invalid
+// default tenant is a deploy error.
+function loadTenants() {
+  if (tenants) return tenants;
+  const dir = TENANT_DIRS.find(d => fs.existsSync(path.join(d, `${DEFAULT_TENANT}.json`)));
+  if (!dir) throw new Error(`tenants/${DEFAULT_TENANT}.json not found in ${TENANT_DIRS.join(', ')}`);
+
+  // The default tenant first, so lists (and the admin switcher) start with it
+  const files = fs.readdirSync(dir).filter(f => f.endsWith('.json') && f !== `${DEFAULT_TENANT}.json`).sort();
+  const loaded = new Map();
+  for (const file of [`${DEFAULT_TENANT}.json`, ...files]) {
+    const tenant = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    const errors = validateTenant(tenant);
+    if (tenant && tenant.id !== file.slice(0, -5)) errors.push(`id must match the file name (${file})`);
+    if (errors.length) {
+      if (file === `${DEFAULT_TENANT}.json`) throw new Error(`Invalid tenant ${file}: ${errors.join('; ')}`);
+      console.error(`Skipping tenant ${file}: ${errors.join('; ')}`);
+      continue;
+    }
+    loaded.set(tenant.id, { ...tenant, hosts: tenant.hosts.map(h => h.toLowerCase()) });
+  }
+  tenants = loaded;
+  return tenants;
+}
+
+const listTenants = () => [...loadTenants().values()];
+
+// ===== RESOLUTION =====
+// The tenant for a request, or null when it names a tenant that does not exist
+function resolveTenant(event = {}) {
+  const all = loadTenants();
+  if (event.tenantId) return all.get(event.tenantId) || null;
+
+  const host = (header(event, 'x-forwarded-host') || header(event, 'host') || '').split(',')[0].trim().split(':')[0].toLowerCase();
+  const byHost = host && listTenants().find(t => t.hosts.includes(host));
+  if (byHost) return byHost;
+
+  const requested = header(event, 'x-audit-tenant') || (event.queryStringParameters || {}).tenant;
+  if (requested) return all.get(String(requested).toLowerCase()) || null;
+  return all.get(DEFAULT_TENANT);
+}
+
+// For scheduled functions, which have no request to resolve from
+const forTenant = (event, tenantId) => ({ ...event, tenantId });
+
+// Tenant-owned data (audits, delivery queue, prompt experiments) lives in per-tenant stores
+function tenantStore(name, event) {
+  const tenant = resolveTenant(event);
+  if (!tenant) throw new Error('Unknown tenant');
+  return createStore(tenant.id === DEFAULT_TENANT ? name : `tenant-${tenant.id}-${name}`, event);
+}
+
+// ===== VIEWS =====
+// What the landing page needs to brand itself
+function publicTenant(t) {
+  return {
+    id: t.id,
+    name: t.name,
+    shortName: t.shortName,
+    site: t.site,
+    consultant: t.consultant,
+    bookingUrl: t.bookingUrl,
+    languages: t.languages,
+    colors: t.colors,
+    logo: `/${t.logo}`,
+    checks: t.checks,
+  };
+}
+
+// Values for the {{…}} variables in prompt templates
+const promptVariables = (t) => ({ company: t.name, bookingName: t.consultant, languages: t.languages });
+
+module.exports = {
+  DEFAULT_TENANT,
+  validateTenant,
+  listTenants,
+  resolveTenant,
+  forTenant,
+  tenantStore,
+  publicTenant,
+  promptVariables,
+};
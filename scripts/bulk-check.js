@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+// Bulk deliverability audit from the command line, using the same checks as /api/check.
+//
+//   node scripts/bulk-check.js leads.csv > results.csv
+//   node scripts/bulk-check.js leads.csv --format json --concurrency 10 --timeout 20000
+//   cat domains.txt | node scripts/bulk-check.js - --selector mailjet
+//
+// The input is a CSV with a domain/website/url/email column (or one domain per line).
+const fs = require('fs');
+const { normalizeSelectors } = require('../netlify/lib/dkim');
+const { parseDomainList, runBulk, toCSV, bulkSummary, DEFAULT_CONCURRENCY, DEFAULT_TIMEOUT_MS } = require('../netlify/lib/bulk');
+
+const USAGE = 'Usage: node scripts/bulk-check.js <file.csv | -> [--format csv|json] [--concurrency N] [--timeout MS] [--selector NAME]...';
+
+function parseArgs(argv) {
+  const options = { file: null, format: 'csv', concurrency: DEFAULT_CONCURRENCY, timeoutMs: DEFAULT_TIMEOUT_MS, selectors: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--format') options.format = argv[++i];
+    else if (arg === '--concurrency') options.concurrency = Number(argv[++i]);
+    else if (arg === '--timeout') options.timeoutMs = Number(argv[++i]);
+    else if (arg === '--selector') options.selectors.push(argv[++i]);
+    else if (arg === '--help' || arg === '-h') return null;
+    else if (!options.file) options.file = arg;
+    else throw new Error(`Unexpected argument: ${arg}`);
+  }
+
+  if (!options.file) throw new Error('No input file given');
+  if (!['csv', 'json'].includes(options.format)) throw new Error('--format must be csv or json');
+  if (!(options.concurrency >= 1)) throw new Error('--concurrency must be at least 1');
+  if (!(options.timeoutMs >= 1000)) throw new Error('--timeout must be at least 1000 ms');
+  return options;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n${USAGE}`);
+    process.exit(2);
+  }
+  if (!options) {
+    console.log(USAGE);
+    return;
+  }
+
+  const input = fs.readFileSync(options.file === '-' ? 0 : options.file, 'utf8');
+  const entries = parseDomainList(input);
+  if (entries.length === 0) {
+    console.error('No domains found in the input');
+    process.exit(1);
+  }
+
+  // Progress goes to stderr so stdout can be redirected to a file
+  let done = 0;
+  const results = await runBulk(entries, {
+    concurrency: options.concurrency,
+    timeoutMs: options.timeoutMs,
+    selectors: normalizeSelectors(options.selectors),
+    onResult: (result) => {
+      done++;
+      console.error(`[${done}/${entries.length}] ${result.domain}: ${result.status === 'ok' ? `${result.score}/100 (${result.grade})` : `${result.status} (${result.error})`}`);
+    },
+  });
+
+  process.stdout.write(options.format === 'csv'
+    ? toCSV(results)
+    : `${JSON.stringify({ summary: bulkSummary(results), results }, null, 2)}\n`);
+  console.error(`Done: ${JSON.stringify(bulkSummary(results))}`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// Records the DNS answers the checks see for a domain as a fixture, so the same run can be replayed
+// offline with DNS_FIXTURES:
+//
+//   node scripts/record-dns.js acme.com > fixtures/acme.com.json
+//   node scripts/record-dns.js acme.com --selector mailjet > fixtures/acme.com.json
+//   DNS_FIXTURES=fixtures/acme.com.json node scripts/bulk-check.js - <<< acme.com
+const { normalizeSelectors } = require('../netlify/lib/dkim');
+const { runChecks } = require('../netlify/lib/deliverability');
+const { traceQueries } = require('../netlify/lib/resolver');
+
+const USAGE = 'Usage: node scripts/record-dns.js <domain> [--selector NAME]...';
+
+function parseArgs(argv) {
+  const options = { domain: null, selectors: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--selector') options.selectors.push(argv[++i]);
+    else if (arg === '--help' || arg === '-h') return null;
+    else if (!options.domain) options.domain = arg;
+    else throw new Error(`Unexpected argument: ${arg}`);
+  }
+  if (!options.domain) throw new Error('No domain given');
+  return options;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n${USAGE}`);
+    process.exit(2);
+  }
+  if (!options) {
+    console.log(USAGE);
+    return;
+  }
+  if (process.env.DNS_FIXTURES) {
+    console.error('DNS_FIXTURES is set, so there is nothing to record');
+    process.exit(2);
+  }
+
+  const { result, fixture } = await traceQueries(
+    () => runChecks(options.domain, { selectors: normalizeSelectors(options.selectors) }),
+    { record: true },
+  );
+
+  const sorted = Object.fromEntries(Object.keys(fixture).sort().map(name => [name, fixture[name]]));
+  process.stdout.write(`${JSON.stringify(sorted, null, 2)}\n`);
+  console.error(`${result.domain}: ${result.score}/100 (${result.grade}), ${result.dns.queries.length} queries, ${result.dns.failed} failed`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
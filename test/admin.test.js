@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv, request } = require('./helpers');
+
+setupEnv();
+const { queryAudits, parseFilters } = require('../netlify/lib/admin');
+const { loadAudit, saveAudit } = require('../netlify/lib/audits');
+
+const seed = async (id, createdAt, changes) => {
+  const audit = await loadAudit(request('GET'), id);
+  Object.assign(audit, { createdAt, phase: 1, phases: { 1: createdAt }, transcript: [{ role: 'user', content: 'Hi' }] }, changes);
+  await saveAudit(request('GET'), audit);
+};
+
+test.before(async () => {
+  await seed('00000000-0000-4000-8000-000000000001', '2026-01-01T00:00:00.000Z', { profile: { language: 'en' } });
+  await seed('00000000-0000-4000-8000-000000000002', '2026-02-01T00:00:00.000Z', { profile: { language: 'nl' }, bookingClickedAt: '2026-02-01T01:00:00.000Z' });
+  await seed('00000000-0000-4000-8000-000000000003', '2026-03-01T00:00:00.000Z', { profile: { language: 'nl' } });
+  // Never got past the first request
+  await seed('00000000-0000-4000-8000-000000000004', '2026-03-02T00:00:00.000Z', { transcript: [] });
+});
+
+test('lists started audits newest first', async () => {
+  const { rows, funnel } = await queryAudits(request('GET'), {});
+  assert.deepEqual(rows.map(r => r.sessionId.slice(-1)), ['3', '2', '1']);
+  assert.equal(funnel.started, 3);
+  assert.equal(funnel.booked, 1);
+});
+
+test('keeps only the audits that match the filters', async () => {
+  const { rows, funnel, variants } = await queryAudits(request('GET'), parseFilters({ language: 'nl', booked: 'false' }));
+  assert.deepEqual(rows.map(r => r.sessionId.slice(-1)), ['3']);
+  assert.equal(funnel.started, 1);
+  assert.deepEqual(variants.map(v => v.sessions), [1]);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { fixturePath } = require('./helpers');
+const { generateAssessment, validateAssessment, assessmentToMarkdown } = require('../netlify/lib/assessment');
+
+const valid = JSON.parse(fs.readFileSync(fixturePath('assessment.json'), 'utf8'));
+
+// A provider that answers with the given replies in turn and keeps the requests it got
+function scripted(replies) {
+  const requests = [];
+  return {
+    requests,
+    generate: async (request) => {
+      requests.push({ ...request, messages: [...request.messages] });
+      return replies[requests.length - 1];
+    },
+  };
+}
+
+const transcript = [{ role: 'assistant', content: 'What do you sell?' }, { role: 'user', content: 'Consulting.' }];
+const options = { transcript, prompt: 'Write the assessment.', context: '\nDeliverability: B', deadline: Date.now() + 5000 };
+
+test('asks again with the problems when the first answer is not valid JSON', async (t) => {
+  const logged = t.mock.method(console, 'error', () => {});
+  const llm = scripted(['{"language": "en", "rating":', JSON.stringify(valid)]);
+
+  const assessment = await generateAssessment(llm, options);
+  assert.equal(assessment.summary, 'Referrals carry the pipeline, but nothing outbound is in place.');
+  assert.deepEqual(validateAssessment(assessment), []);
+
+  assert.equal(llm.requests.length, 2);
+  assert.equal(llm.requests[0].system, 'Write the assessment.\nDeliverability: B');
+  assert.equal(llm.requests[0].deadline, options.deadline);
+  assert.ok(llm.requests[0].schema);
+  assert.deepEqual(llm.requests[1].messages.slice(1), [
+    { role: 'assistant', content: '{"language": "en", "rating":' },
+    { role: 'user', content: 'That JSON does not match the schema: the response is not valid JSON. Return the complete corrected JSON only.' },
+  ]);
+  assert.deepEqual(logged.mock.calls.map(c => c.arguments), [['Assessment attempt 1 failed validation:', 'the response is not valid JSON']]);
+});
+
+test('passes the validation errors back to the model', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const llm = scripted([JSON.stringify({ ...valid, rating: 'great', quickWins: valid.quickWins.slice(0, 1) }), JSON.stringify(valid)]);
+
+  await generateAssessment(llm, options);
+  assert.match(llm.requests[1].messages[2].content, /rating must be one of strong, solid, needs-work, critical; quickWins must have 3 items\./);
+});
+
+test('gives up with an LLMError after three invalid answers', async (t) => {
+  const logged = t.mock.method(console, 'error', () => {});
+  const llm = scripted(['not json', '[]', JSON.stringify({ ...valid, summary: ' ' })]);
+
+  await assert.rejects(generateAssessment(llm, options), {
+    name: 'LLMError',
+    message: 'Assessment did not match the schema',
+    details: 'summary must be a non-empty string',
+  });
+  assert.equal(llm.requests.length, 3);
+  assert.equal(logged.mock.callCount(), 3);
+});
+
+test('stops at the first provider error', async () => {
+  const llm = { generate: async () => { throw new Error('LLM request deadline exceeded'); } };
+  await assert.rejects(generateAssessment(llm, options), /deadline exceeded/);
+});
+
+test('renders the assessment as markdown in its language', () => {
+  const markdown = assessmentToMarkdown({ ...valid, language: 'nl' });
+  assert.match(markdown, /Algemene beoordeling/);
+  assert.match(markdown, /Solide, met hiaten/);
+});
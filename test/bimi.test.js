@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv } = require('./helpers');
+
+setupEnv({ fixtures: 'bimi.json' });
+const { checkDMARC, checkBIMI } = require('../netlify/lib/deliverability');
+
+const bimiFor = async (domain, orgDomain) => checkBIMI(domain, await checkDMARC(domain, orgDomain));
+const findingIds = (result) => (result.findings || []).map(f => f.id);
+
+test('uses p= for a domain with its own DMARC record', async () => {
+  const result = await bimiFor('acme.com', 'acme.com');
+  assert.equal(findingIds(result).includes('dmarc-not-enforced'), false);
+});
+
+test('uses the inherited sp= for a subdomain without a DMARC record', async () => {
+  const relaxed = await bimiFor('news.acme.com', 'acme.com');
+  const finding = relaxed.findings.find(f => f.id === 'dmarc-not-enforced');
+  assert.match(finding.message, /sp=quarantine or sp=reject/);
+
+  const enforced = await bimiFor('mail.brand.com', 'brand.com');
+  assert.equal(findingIds(enforced).includes('dmarc-not-enforced'), false);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv, request } = require('./helpers');
+
+setupEnv({ fixtures: 'check.json', BULK_API_KEY: 'bulk-key' });
+const bulk = require('../netlify/functions/bulk');
+const { parseDomainList, runBulk, toCSV, CHECK_KEYS } = require('../netlify/lib/bulk');
+const { runChecks } = require('../netlify/lib/deliverability');
+
+test('reads the domain column of a lead list', () => {
+  const list = parseDomainList('name,website\nAcme,https://www.acme.com/about\nDup,acme.com\nBad,=HYPERLINK(1)\n');
+  assert.deepEqual(list, [
+    { input: 'https://www.acme.com/about', domain: 'acme.com' },
+    { input: '=HYPERLINK(1)', domain: '=hyperlink(1)' },
+  ]);
+});
+
+test('keeps formulas in the CSV from running', async () => {
+  const results = await runBulk(parseDomainList('domain\n=cmd|"/c calc"!A1\n@SUM(1)\nacme.com\n'));
+  const lines = toCSV(results).trim().split('\n');
+  assert.equal(lines[1], `'=cmd|/c calc!a1,'=cmd|/c calc!A1,invalid,,,${CHECK_KEYS.map(() => '').join(',')},Invalid domain format`);
+  assert.match(lines[2], /^'@sum\(1\),'@SUM\(1\),invalid,/);
+  assert.match(lines[3], /^acme\.com,acme\.com,ok,\d+,[A-F],pass,/);
+});
+
+test('cancels the DNS queries of a check that is aborted', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(runChecks('acme.com', { signal: controller.signal }), { code: 'ECANCELLED' });
+});
+
+
+test('rejects more domains than fit the time budget and says so', async () => {
+  const post = async (domains) => {
+    const response = await bulk.handler(request('POST', { domains }, {
+      headers: { 'content-type': 'application/json', authorization: 'Bearer bulk-key' },
+    }));
+    return { statusCode: response.statusCode, data: JSON.parse(response.body) };
+  };
+  const limits = { maxDomains: 20, timeBudgetMs: 8000 };
+
+  const tooMany = await post(Array.from({ length: 21 }, (_, i) => `d${i}.acme.com`));
+  assert.equal(tooMany.statusCode, 400);
+  assert.match(tooMany.data.error, /^At most 20 domains per request, which is what fits the 8-second time budget/);
+  assert.deepEqual(tooMany.data.limits, limits);
+
+  const ok = await post(['acme.com']);
+  assert.equal(ok.statusCode, 200);
+  assert.deepEqual(ok.data.limits, limits);
+  assert.equal(ok.data.summary.total, 1);
+});
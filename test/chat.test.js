@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setupEnv, fixturePath, readBody, parseEvents, request } = require('./helpers');
+
+// The scripted assessment and profile take 1.2s and 1s, so one after the other they would not fit the deadline
+setupEnv({ LLM_MOCK_SCRIPT: fixturePath('chat-script.json'), LLM_DEADLINE_MS: '2000' });
+const chat = require('../netlify/functions/chat');
+const { loadAudit } = require('../netlify/lib/audits');
+
+const send = async (message, sessionId) => JSON.parse(await readBody((await chat.handler(request('POST', { message, sessionId }))).body));
+
+test('the handler can be required and answers without the Lambda runtime', async () => {
+  const response = await chat.handler(request('POST', { message: 'Hi' }));
+  assert.strictEqual(response.statusCode, 200);
+  const data = JSON.parse(await readBody(response.body));
+  assert.match(data.reply, /Welcome/);
+  assert.strictEqual(data.phase, 0);
+});
+
+test('streams the reply as meta, delta and done events', async () => {
+  const first = JSON.parse(await readBody((await chat.handler(request('POST', { message: 'Hi' }))).body));
+  const response = await chat.handler(request('POST', { message: 'English please', sessionId: first.sessionId }, {
+    headers: { accept: 'text/event-stream' },
+  }));
+  assert.strictEqual(response.headers['Content-Type'], 'text/event-stream');
+
+  const events = parseEvents(await readBody(response.body));
+  assert.deepStrictEqual(events[0], { event: 'meta', data: { sessionId: first.sessionId } });
+  assert.ok(events.some(e => e.event === 'delta'));
+  const done = events[events.length - 1];
+  assert.strictEqual(done.event, 'done');
+  assert.match(done.data.reply, /continue in English/);
+  assert.ok(!done.data.reply.includes('===PHASE'));
+});
+
+test('offers the booking button for a well-formed booking marker', async () => {
+  const { sessionId } = await send('Hi');
+  for (const message of ['Can I book a call?', 'Can I talk to someone?']) {
+    const data = await send(message, sessionId);
+    assert.strictEqual(data.offerBooking, true);
+    assert.match(data.reply, /pick a time below\.$/);
+  }
+  const audit = await loadAudit(request('GET'), sessionId);
+  assert.deepStrictEqual(audit.transcript.filter(t => t.forms).map(t => t.forms), [{ offerBooking: true }, { offerBooking: true }]);
+});
+
+test('strips a malformed booking marker without offering the button', async (t) => {
+  const logged = t.mock.method(console, 'error', () => {});
+  const { sessionId } = await send('Hi');
+  const data = await send('Can I speak to a person?', sessionId);
+  // Only the issue ids are logged, never the session or the reply
+  assert.deepStrictEqual(logged.mock.calls.map(c => c.arguments), [['Reply guardrails:', ['stray-marker']]]);
+  assert.strictEqual(data.offerBooking, undefined);
+  assert.strictEqual(data.reply, 'Sure, pick a time below.');
+  const audit = await loadAudit(request('GET'), sessionId);
+  assert.deepStrictEqual(audit.transcript[audit.transcript.length - 1].guardrails, ['stray-marker']);
+});
+
+test('extracts the profile even when the assessment takes most of the deadline', async (t) => {
+  const logged = t.mock.method(console, 'error', () => {});
+  const { sessionId } = await send('Hi');
+  assert.strictEqual((await send('That is all I can tell you', sessionId)).phase, 4);
+  const data = await send('Jane, jane@acme.com, Acme', sessionId);
+  assert.strictEqual(data.phase, 5);
+  assert.ok(data.assessment);
+  assert.strictEqual(logged.mock.callCount(), 0);
+  const audit = await loadAudit(request('GET'), sessionId);
+  assert.ok(audit.assessment);
+  assert.strictEqual(audit.profile.language, 'en');
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv, readBody, request } = require('./helpers');
+
+setupEnv({ fixtures: 'check.json' });
+const check = require('../netlify/functions/check');
+const chat = require('../netlify/functions/chat');
+const { loadAudit, saveAudit } = require('../netlify/lib/audits');
+const { createStore } = require('../netlify/lib/storage');
+
+const run = async (body) => {
+  const response = await check.handler(request('POST', body));
+  return { statusCode: response.statusCode, data: JSON.parse(await readBody(response.body)) };
+};
+
+const startAudit = async () => JSON.parse(await readBody((await chat.handler(request('POST', { message: 'Hi' }))).body)).sessionId;
+
+test('runs the checks without a session', async () => {
+  const { statusCode, data } = await run({ domain: 'acme.com' });
+  assert.equal(statusCode, 200);
+  assert.equal(data.domain, 'acme.com');
+  assert.equal(data.checks.spf.status, 'pass');
+});
+
+test('stores the results with an audit in progress', async () => {
+  const sessionId = await startAudit();
+  const { statusCode } = await run({ domain: 'acme.com', sessionId });
+  assert.equal(statusCode, 200);
+  assert.equal((await loadAudit(request('GET'), sessionId)).deliverability.domain, 'acme.com');
+});
+
+test('does not create an audit for an unknown session', async () => {
+  const sessionId = '00000000-0000-4000-8000-000000000000';
+  const { statusCode, data } = await run({ domain: 'acme.com', sessionId });
+  assert.equal(statusCode, 404);
+  assert.equal(data.error, 'No audit in progress for this session');
+  assert.equal(await createStore('audits').get(sessionId), null);
+  assert.equal((await run({ domain: 'acme.com', sessionId: 'not-a-session' })).statusCode, 404);
+});
+
+test('leaves a finished audit as it was', async () => {
+  const sessionId = await startAudit();
+  const audit = await loadAudit(request('GET'), sessionId);
+  audit.assessment = { summary: 'done' };
+  await saveAudit(request('GET'), audit);
+
+  const { statusCode } = await run({ domain: 'acme.com', sessionId });
+  assert.equal(statusCode, 404);
+  assert.equal((await loadAudit(request('GET'), sessionId)).deliverability, null);
+});
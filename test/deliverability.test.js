@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { setupEnv } = require('./helpers');
+
+// acme.com is a well-run zone (Google Workspace and SendGrid, signed, MTA-STS enforced);
+// neglected.com gets most things wrong
+setupEnv({ fixtures: 'zone.json' });
+const { runChecks, checkDKIM, CHECK_IDS } = require('../netlify/lib/deliverability');
+
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { 'content-type': 'text/plain' }).end('version: STSv1\nmode: enforce\nmx: *.l.google.com\nmax_age: 604800\n');
+});
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.MTA_STS_POLICY_URL = `http://127.0.0.1:${server.address().port}/{domain}`;
+});
+test.after(() => server.close());
+
+const statuses = (result) => Object.fromEntries(Object.values(result.checks).map(c => [c.id, c.status]));
+const findingIds = (result) => Object.fromEntries(Object.values(result.checks).map(c => [c.id, (c.findings || []).map(f => f.id)]));
+
+test('passes every check on a well-configured zone', async () => {
+  const result = await runChecks('acme.com');
+  assert.deepEqual(Object.keys(result.checks), CHECK_IDS);
+  assert.deepEqual(statuses(result), {
+    spf: 'pass', dmarc: 'pass', dkim: 'pass', mx: 'pass', blacklists: 'pass',
+    mtasts: 'pass', tlsrpt: 'pass', bimi: 'warn', dnssec: 'pass', rdns: 'pass',
+  });
+  assert.deepEqual(findingIds(result).bimi, ['no-vmc']);
+  assert.equal(result.grade, 'A');
+
+  const { checks } = result;
+  assert.deepEqual(checks.spf.raw.tree.children.map(c => c.domain), ['_spf.google.com', 'sendgrid.net']);
+  assert.deepEqual(checks.dkim.raw.selectors.map(s => [s.selector, s.bits]), [['google', 2048], ['s1', 2048]]);
+  // Only the domain's own SPF addresses are sending IPs; the providers' ranges are theirs to keep clean
+  assert.deepEqual(checks.blacklists.raw.ips, [{ ip: '192.0.2.25', sources: ['MX aspmx.l.google.com'] }]);
+  assert.equal(checks.dnssec.raw.hasDS, true);
+  assert.deepEqual(checks.rdns.raw.hosts, [{ host: 'aspmx.l.google.com', addresses: [{ ip: '192.0.2.25', ptr: ['aspmx.l.google.com'], confirmed: true, name: 'aspmx.l.google.com' }] }]);
+  assert.deepEqual(result.stack.map(s => [s.id, s.confidence]), [['google-workspace', 'high'], ['sendgrid', 'high']]);
+  assert.equal(result.dns.failed, 0);
+  assert.equal(result.dns.queries.every(q => q.source === 'fixture'), true);
+});
+
+test('reports each problem on a neglected zone', async () => {
+  const result = await runChecks('neglected.com');
+  assert.deepEqual(findingIds(result), {
+    spf: ['pass-all'],
+    dmarc: ['missing'],
+    dkim: ['weak-key'],
+    mx: [],
+    blacklists: ['listed-spamhaus-zen'],
+    mtasts: ['missing'],
+    tlsrpt: ['missing'],
+    bimi: ['missing'],
+    dnssec: ['bogus'],
+    rdns: ['no-ptr'],
+  });
+  assert.equal(result.checks.blacklists.raw.listed[0].target, '198.51.100.7');
+  assert.equal(result.checks.dnssec.raw.state, 'bogus');
+  assert.equal(result.grade, 'F');
+  // A Microsoft 365 selector on its own is only a hint, so it comes with no fixes
+  assert.deepEqual(result.stack.map(s => [s.id, s.confidence, s.fixes]), [['microsoft-365', 'low', []]]);
+});
+
+test('runs only the requested checks', async () => {
+  const result = await runChecks('acme.com', { checks: ['bimi', 'rdns'] });
+  assert.deepEqual(Object.keys(result.checks), ['bimi', 'rdns']);
+  assert.equal(result.dns.queries.some(q => q.name === '_dmarc.acme.com'), true);
+  assert.equal(result.dns.queries.some(q => q.name.endsWith('._domainkey.acme.com')), false);
+});
+
+test('checks custom DKIM selectors next to the common ones', async () => {
+  const dkim = await checkDKIM('acme.com', ['mkt2024', 'old']);
+  assert.equal(dkim.status, 'warn');
+  assert.deepEqual(dkim.raw.selectors.map(s => [s.selector, s.bits, s.custom]), [['mkt2024', 1024, true], ['google', 2048, false], ['s1', 2048, false]]);
+  assert.deepEqual(dkim.raw.missingCustom, ['old']);
+  assert.deepEqual(dkim.findings.map(f => [f.id, f.message]), [
+    ['weak-key', 'mkt2024: 1024-bit RSA key is weak (2048-bit recommended)'],
+    ['selector-missing', 'No record for old'],
+  ]);
+});
+
+test('reports failed DKIM lookups instead of treating them as missing records', async () => {
+  const dkim = await checkDKIM('acme.com', ['broken']);
+  assert.equal(dkim.status, 'pass');
+  assert.deepEqual(dkim.raw.missingCustom, []);
+  assert.deepEqual(dkim.raw.lookupErrors, [{ selector: 'broken', code: 'ESERVFAIL' }]);
+  assert.match(dkim.detail, /The lookup failed for: broken \(ESERVFAIL\)\.$/);
+
+  // With no record found anywhere, the failed selector might have been the one in use
+  const flaky = await checkDKIM('flaky.com');
+  assert.equal(flaky.status, 'error');
+  assert.equal(flaky.summary, 'Could not check DKIM');
+  assert.deepEqual(flaky.raw.lookupErrors, [{ selector: 'google', code: 'ESERVFAIL' }]);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { inspectDKIMRecord, normalizeSelectors } = require('../netlify/lib/dkim');
+
+// The base64 p= value for a fresh key, as a DNS TXT record publishes it
+const rsaKey = (bits) => crypto.generateKeyPairSync('rsa', { modulusLength: bits }).publicKey
+  .export({ type: 'spki', format: 'der' }).toString('base64');
+const ed25519Key = () => crypto.generateKeyPairSync('ed25519').publicKey
+  .export({ type: 'spki', format: 'der' }).subarray(-32).toString('base64');
+
+test('reads the RSA key size from the public key', () => {
+  const strong = inspectDKIMRecord('s1', `v=DKIM1; k=rsa; p=${rsaKey(2048)}`);
+  assert.deepEqual([strong.algorithm, strong.bits, strong.status], ['rsa', 2048, 'pass']);
+
+  const weak = inspectDKIMRecord('s1', `v=DKIM1; p=${rsaKey(1024)}`);
+  assert.deepEqual([weak.keyType, weak.bits], ['rsa', 1024]);
+  assert.deepEqual(weak.findings.map(f => [f.id, f.severity]), [['weak-key', 'medium']]);
+
+  const short = inspectDKIMRecord('s1', `v=DKIM1; k=rsa; p=${rsaKey(512)}`);
+  assert.equal(short.bits, 512);
+  assert.deepEqual(short.findings.map(f => [f.id, f.severity]), [['key-too-short', 'critical']]);
+});
+
+test('accepts PKCS#1 RSA keys and folded whitespace', () => {
+  const der = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).publicKey.export({ type: 'pkcs1', format: 'der' }).toString('base64');
+  const result = inspectDKIMRecord('s1', `v=DKIM1; k=rsa; p=${der.slice(0, 100)} ${der.slice(100)}`);
+  assert.deepEqual([result.bits, result.status], [2048, 'pass']);
+});
+
+test('reads Ed25519 keys and rejects unsupported key types', () => {
+  const ed = inspectDKIMRecord('ed', `v=DKIM1; k=ed25519; p=${ed25519Key()}`);
+  assert.deepEqual([ed.keyType, ed.algorithm, ed.bits, ed.status], ['ed25519', 'ed25519', 256, 'pass']);
+
+  const dsa = inspectDKIMRecord('old', `v=DKIM1; k=dsa; p=${rsaKey(2048)}`);
+  assert.deepEqual(dsa.findings.map(f => f.id), ['key-type']);
+});
+
+test('flags revoked, missing and undecodable keys, testing mode and weak hashes', () => {
+  const ids = (record) => inspectDKIMRecord('s1', record).findings.map(f => f.id);
+  assert.deepEqual(ids('v=DKIM1; p='), ['revoked']);
+  assert.equal(inspectDKIMRecord('s1', 'v=DKIM1; p=').revoked, true);
+  assert.deepEqual(ids('v=DKIM1; k=rsa'), ['no-key']);
+  assert.deepEqual(ids('v=DKIM1; p=bm90IGEga2V5'), ['invalid-key']);
+  assert.deepEqual(ids(`v=DKIM1; t=y:s; h=sha1; p=${rsaKey(2048)}`), ['testing', 'weak-hash']);
+});
+
+test('normalizes custom selectors', () => {
+  assert.deepEqual(normalizeSelectors([' MKT2024 ', 'mkt2024._domainkey.acme.com', 'bad selector', 42, 's1.eu']), ['mkt2024', 's1.eu']);
+  assert.deepEqual(normalizeSelectors('s1'), []);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv } = require('./helpers');
+
+setupEnv({ fixtures: 'dmarc.json' });
+const { parseDMARC, effectivePolicy, analyzeDMARC } = require('../netlify/lib/dmarc');
+
+test('applies the RFC 7489 defaults', () => {
+  const policy = effectivePolicy(parseDMARC('v=DMARC1; p=Reject; aspf=s').tags);
+  assert.equal(policy.policy, 'reject');
+  assert.equal(policy.subdomainPolicy, 'reject');
+  assert.equal(policy.pct, 100);
+  assert.deepEqual(policy.alignment, { dkim: 'relaxed', spf: 'strict' });
+});
+
+test('reports syntax problems tag by tag', () => {
+  const parsed = parseDMARC('p=none; v=DMARC1; p=reject; pct=150; foo=bar');
+  assert.deepEqual(parsed.errors, ['v=DMARC1 must be the first tag', 'p= must immediately follow v=DMARC1']);
+  assert.deepEqual(parsed.duplicates, ['p']);
+  assert.deepEqual(parsed.unknown, ['foo']);
+  assert.deepEqual(parsed.invalid, [{ tag: 'pct', value: '150' }]);
+});
+
+// Organizations are compared by their Public Suffix List organizational domain, not by suffix
+test('treats report addresses in the same organization as internal', async () => {
+  const result = await analyzeDMARC('mail.acme.co.uk', 'v=DMARC1; p=reject; rua=mailto:d@reports.acme.co.uk,mailto:d@acme.co.uk');
+  assert.deepEqual(result.rua.map(u => [u.domain, u.external, u.authorized]), [
+    ['reports.acme.co.uk', false, true],
+    ['acme.co.uk', false, true],
+  ]);
+});
+
+test('requires an authorization record for other organizations', async () => {
+  const result = await analyzeDMARC('acme.co.uk', 'v=DMARC1; p=reject; rua=mailto:d@partner.example,mailto:d@other.co.uk,mailto:d@co.uk');
+  assert.deepEqual(result.rua.map(u => [u.domain, u.external, u.authorized]), [
+    ['partner.example', true, true],
+    ['other.co.uk', true, false],
+    ['co.uk', true, false],
+  ]);
+  assert.deepEqual(result.findings.filter(f => f.id === 'rua-unauthorized').map(f => f.message), [
+    'External report destination other.co.uk has not authorized reports for acme.co.uk',
+    'External report destination co.uk has not authorized reports for acme.co.uk',
+  ]);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { publicSuffix, organizationalDomain, normalizeDomain } = require('../netlify/lib/domains');
+
+const pick = (value) => {
+  const result = normalizeDomain(value);
+  return result && [result.source, result.domain, result.organizationalDomain];
+};
+
+test('finds the organizational domain under multi-label, wildcard and exception rules', () => {
+  assert.deepEqual(publicSuffix('mail.acme.co.uk'), { suffix: 'co.uk', listed: true });
+  assert.equal(organizationalDomain('mail.acme.co.uk'), 'acme.co.uk');
+  assert.equal(organizationalDomain('co.uk'), null);
+  // *.kawasaki.jp with the !city.kawasaki.jp exception
+  assert.equal(organizationalDomain('x.y.kawasaki.jp'), 'x.y.kawasaki.jp');
+  assert.equal(organizationalDomain('city.kawasaki.jp'), 'city.kawasaki.jp');
+  // Private suffixes count too: every github.io site is its own domain
+  assert.equal(organizationalDomain('docs.acme.github.io'), 'acme.github.io');
+  assert.deepEqual(publicSuffix('acme.example'), { suffix: 'example', listed: false });
+});
+
+test('reads the host from bare hosts, URLs and email addresses', () => {
+  assert.deepEqual(pick('ACME.co.uk.'), ['host', 'acme.co.uk', 'acme.co.uk']);
+  assert.deepEqual(pick('acme.com:443/contact'), ['host', 'acme.com', 'acme.com']);
+  assert.deepEqual(pick('https://www.Acme.co.uk/about?x=1'), ['url', 'acme.co.uk', 'acme.co.uk']);
+  assert.deepEqual(pick('Ryan <ryan@mail.acme.co.uk>'), ['email', 'mail.acme.co.uk', 'acme.co.uk']);
+  assert.deepEqual(pick('mailto:ops@acme.nl'), ['email', 'acme.nl', 'acme.nl']);
+  // www. is only dropped when what is left is still a domain
+  assert.deepEqual(pick('www.co.uk'), ['host', 'www.co.uk', 'www.co.uk']);
+});
+
+test('converts internationalized names to punycode', () => {
+  assert.deepEqual(normalizeDomain(' bücher.de '), {
+    input: 'bücher.de',
+    source: 'host',
+    domain: 'xn--bcher-kva.de',
+    unicode: 'bücher.de',
+    organizationalDomain: 'xn--bcher-kva.de',
+  });
+  assert.equal(normalizeDomain('xn--bcher-kva.de').unicode, 'bücher.de');
+  assert.deepEqual(pick('info@münchen.de'), ['email', 'xn--mnchen-3ya.de', 'xn--mnchen-3ya.de']);
+});
+
+test('rejects public suffixes, unknown TLDs, IP addresses and malformed hosts', () => {
+  for (const value of ['co.uk', 'acme.example', '127.0.0.1', 'http://[::1]/', '-acme.com', 'a..com', `${'a'.repeat(64)}.com`, 'https://', '', '   ', 42, null]) {
+    assert.equal(normalizeDomain(value), null, String(value));
+  }
+  assert.equal(normalizeDomain(`${'a.'.repeat(1100)}com`), null);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { fetchText, isPrivateAddress } = require('../netlify/lib/fetch');
+
+test('blocks private, shared, reserved and multicast IPv4 ranges', () => {
+  for (const ip of ['0.1.2.3', '10.0.0.1', '100.64.0.1', '100.127.255.255', '127.0.0.1', '169.254.169.254', '172.16.0.1', '192.0.0.8', '192.168.1.1', '198.18.0.1', '198.19.255.255', '224.0.0.1', '240.0.0.1', '255.255.255.255']) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ['8.8.8.8', '100.128.0.1', '172.32.0.1', '198.20.0.1', '223.255.255.255']) {
+    assert.equal(isPrivateAddress(ip), false, ip);
+  }
+});
+
+test('blocks IPv6 addresses that reach a private IPv4 address or a local range', () => {
+  for (const ip of ['::', '::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '0:0:0:0:0:ffff:a00:1', '::127.0.0.1', '64:ff9b::10.0.0.1', 'fc00::1', 'fd12:3456::1', 'fe80::1%eth0', 'ff02::1']) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ['2606:4700::1111', '::ffff:8.8.8.8', '64:ff9b::8.8.8.8', '2001:db8::1']) {
+    assert.equal(isPrivateAddress(ip), false, ip);
+  }
+  assert.equal(isPrivateAddress('not-an-ip'), true);
+});
+
+test('refuses private addresses for untrusted URLs, including at connect time', async () => {
+  await assert.rejects(fetchText('http://93.184.216.34/'), { code: 'EURL' });
+  await assert.rejects(fetchText('https://127.0.0.1/'), { code: 'EPRIVATE' });
+  await assert.rejects(fetchText('https://[::ffff:127.0.0.1]/'), { code: 'EPRIVATE' });
+  // A name is resolved by the connection's own lookup, so what is vetted is what is connected to
+  await assert.rejects(fetchText('https://localhost/'), { code: 'EPRIVATE' });
+});
+
+test('fetches trusted URLs without following redirects or reading past the size cap', async (t) => {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/policy') return res.writeHead(200, { 'content-type': 'text/plain' }).end('version: STSv1\n');
+    if (req.url === '/moved') return res.writeHead(302, { location: '/policy' }).end();
+    if (req.url === '/big') return res.writeHead(200).end('x'.repeat(2048));
+    return res.writeHead(404).end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  assert.deepEqual(await fetchText(`${base}/policy`, { trusted: true }), { status: 200, contentType: 'text/plain', text: 'version: STSv1\n' });
+  await assert.rejects(fetchText(`${base}/moved`, { trusted: true }), { code: 'EREDIRECT', status: 302 });
+  await assert.rejects(fetchText(`${base}/missing`, { trusted: true }), { code: 'EHTTP', status: 404 });
+  await assert.rejects(fetchText(`${base}/big`, { trusted: true, maxBytes: 1024 }), { code: 'ETOOBIG' });
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv, fixturePath, request } = require('./helpers');
+
+setupEnv({ TENANTS_DIR: fixturePath('tenants') });
+const { protect, LIMITS } = require('../netlify/lib/guard');
+const { createStore } = require('../netlify/lib/storage');
+
+const headers = { 'Content-Type': 'application/json' };
+const from = (ip) => request('POST', {}, { headers: { 'x-nf-client-connection-ip': ip } });
+
+test('counts concurrent requests without losing increments', async () => {
+  const { max } = LIMITS.check.ip;
+  const results = await Promise.all(Array.from({ length: max + 5 }, () => protect(from('198.51.100.1'), 'check', headers)));
+  assert.equal(results.filter(r => r === null).length, max);
+  const rejected = results.filter(Boolean);
+  assert.equal(rejected.length, 5);
+  assert.equal(rejected[0].statusCode, 429);
+  assert.ok(Number(rejected[0].headers['Retry-After']) > 0);
+  // The shared counter saw every request, not just the in-memory one
+  const store = createStore('ratelimits');
+  const [key] = await store.list('check-ip-');
+  assert.equal((await store.get(key)).count, max + 5);
+});
+
+test('keeps limiting in memory when the store fails', async (t) => {
+  const { max } = LIMITS.check.ip;
+  const dir = process.env.STORAGE_DIR;
+  t.mock.method(console, 'error', () => {});
+  process.env.STORAGE_DIR = '/dev/null/unusable';
+  try {
+    const results = [];
+    for (let i = 0; i < max + 1; i++) results.push(await protect(from('198.51.100.2'), 'check', headers));
+    assert.equal(results.filter(r => r === null).length, max);
+    assert.equal(results[max].statusCode, 429);
+  } finally {
+    process.env.STORAGE_DIR = dir;
+  }
+});
+
+test('allows calls from a tenant host and rejects other origins', async () => {
+  const fromOrigin = (origin, host) => request('POST', {}, { headers: { origin, host, 'x-nf-client-connection-ip': '198.51.100.9' } });
+  assert.equal(await protect(fromOrigin('https://audit.acme.com', 'audit.acme.com'), 'tenant', headers), null);
+  assert.equal(await protect(fromOrigin('https://audit.acme-growth.com/', 'audit.acme-growth.com'), 'tenant', headers), null);
+  assert.equal((await protect(fromOrigin('http://audit.acme.com', 'audit.acme.com'), 'tenant', headers)).statusCode, 403);
+  assert.equal((await protect(fromOrigin('https://evil.com', 'audit.acme.com'), 'tenant', headers)).statusCode, 403);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { setupEnv, fixturePath, readBody, request } = require('./helpers');
+
+setupEnv({ fixtures: 'headers.json' });
+const headersFn = require('../netlify/functions/headers');
+const chat = require('../netlify/functions/chat');
+const { loadAudit } = require('../netlify/lib/audits');
+
+const raw = fs.readFileSync(fixturePath('headers.txt'), 'utf8');
+
+const analyze = async (body) => {
+  const response = await headersFn.handler(request('POST', body));
+  return { statusCode: response.statusCode, data: JSON.parse(await readBody(response.body)) };
+};
+
+test('reads the receiver verdicts and the sending IP', async () => {
+  const { statusCode, data } = await analyze({ headers: raw });
+  assert.equal(statusCode, 200);
+  assert.equal(data.sendingIP, '209.85.220.41');
+  assert.equal(data.verdicts.spf, 'pass');
+  assert.equal(data.verdicts.dmarc, 'pass');
+  assert.equal(data.checks.spf.status, 'pass');
+});
+
+test('rejects input without a From header', async () => {
+  const { statusCode, data } = await analyze({ headers: 'Subject: hello' });
+  assert.equal(statusCode, 400);
+  assert.match(data.error, /No From header/);
+});
+
+test('stores the analysis only with an audit in progress', async () => {
+  const { sessionId } = JSON.parse(await readBody((await chat.handler(request('POST', { message: 'Hi' }))).body));
+  assert.equal((await analyze({ headers: raw, sessionId })).statusCode, 200);
+  assert.equal((await loadAudit(request('GET'), sessionId)).headerAnalysis.sendingIP, '209.85.220.41');
+
+  const unknown = '00000000-0000-4000-8000-000000000000';
+  assert.equal((await analyze({ headers: raw, sessionId: unknown })).statusCode, 404);
+  assert.equal((await loadAudit(request('GET'), unknown)).transcript.length, 0);
+});
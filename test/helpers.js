@@ -0,0 +1,44 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Each test file runs in its own process, so it sets up the environment before requiring the code:
+// file storage in a fresh directory, the scripted model and no DNS beyond the given fixtures.
+function setupEnv({ fixtures = null, ...env } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+  Object.assign(process.env, {
+    STORAGE_BACKEND: 'file',
+    STORAGE_DIR: dir,
+    LLM_PROVIDER: 'mock',
+    ...(fixtures ? { DNS_FIXTURES: fixturePath(fixtures) } : {}),
+    ...env,
+  });
+  return dir;
+}
+
+const fixturePath = (name) => path.join(__dirname, 'fixtures', name);
+
+// A handler body is a string, or the ReadableStream of a streamed /api/chat reply
+async function readBody(body) {
+  if (typeof body === 'string') return body;
+  const decoder = new TextDecoder();
+  let text = '';
+  for await (const chunk of body) text += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+  return text;
+}
+
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map((raw) => ({
+    event: (raw.match(/^event: (.*)$/m) || [])[1],
+    data: JSON.parse((raw.match(/^data: (.*)$/m) || [])[1]),
+  }));
+}
+
+const request = (method, body, extra = {}) => ({
+  httpMethod: method,
+  headers: { 'x-nf-client-connection-ip': '203.0.113.7', ...(extra.headers || {}) },
+  body: body === undefined ? undefined : JSON.stringify(body),
+  queryStringParameters: extra.query || {},
+});
+
+module.exports = { setupEnv, fixturePath, readBody, parseEvents, request };
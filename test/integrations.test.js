@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { setupEnv, request } = require('./helpers');
+
+setupEnv({ WEBHOOK_SECRET: 'test-secret' });
+const { emitEvent, retryDueDeliveries } = require('../netlify/lib/integrations');
+const { loadAudit } = require('../netlify/lib/audits');
+const { createStore } = require('../netlify/lib/storage');
+
+// /flaky fails once with a retryable 503; /broken always answers 400
+let flakyCalls = 0;
+const server = http.createServer((req, res) => {
+  req.resume();
+  if (req.url === '/flaky') return res.writeHead(++flakyCalls === 1 ? 503 : 200).end();
+  return res.writeHead(400).end();
+});
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  process.env.WEBHOOK_URLS = `${base}/flaky,${base}/broken`;
+});
+test.after(() => server.close());
+
+test('keeps failed jobs out of the retry scan', async (t) => {
+  const event = request('GET');
+  const store = createStore('deliveries', event);
+  const audit = await loadAudit(event, '00000000-0000-4000-8000-000000000001');
+  t.mock.method(console, 'error', () => {});
+
+  const outcomes = await emitEvent(event, 'booking.clicked', audit);
+  assert.deepEqual(outcomes.map(o => [o.url.split('/').pop(), o.ok, o.status]), [['flaky', false, 'pending'], ['broken', false, 'failed']]);
+  const keys = await store.list();
+  assert.deepEqual(keys.map(k => k.split('/')[0]), ['failed', 'pending']);
+
+  // Make the pending job due now
+  const pendingKey = keys.find(k => k.startsWith('pending/'));
+  await store.set(pendingKey, { ...(await store.get(pendingKey)), nextAttemptAt: new Date(Date.now() - 1000).toISOString() });
+
+  const { due, results } = await retryDueDeliveries(event);
+  assert.equal(due, 1);
+  assert.deepEqual(results.map(r => [r.url.split('/').pop(), r.ok, r.attempts]), [['flaky', true, 2]]);
+  assert.deepEqual((await store.list()).map(k => k.split('/')[0]), ['failed']);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv, readBody, request } = require('./helpers');
+
+setupEnv();
+const lead = require('../netlify/functions/lead');
+const chat = require('../netlify/functions/chat');
+const { loadAudit, saveAudit } = require('../netlify/lib/audits');
+const { createStore } = require('../netlify/lib/storage');
+
+const run = async (body) => {
+  const response = await lead.handler(request('POST', body));
+  return { statusCode: response.statusCode, data: JSON.parse(await readBody(response.body)) };
+};
+
+const startAudit = async () => JSON.parse(await readBody((await chat.handler(request('POST', { message: 'Hi' }))).body)).sessionId;
+
+const details = { name: ' Jane ', email: 'Jane@Acme.com', company: 'Acme' };
+
+test('stores the lead with an audit in progress', async () => {
+  const sessionId = await startAudit();
+  const { statusCode, data } = await run({ sessionId, ...details });
+  assert.equal(statusCode, 200);
+  assert.deepEqual(data, { ok: true });
+  const { capturedAt, ...stored } = (await loadAudit(request('GET'), sessionId)).lead;
+  assert.deepEqual(stored, { name: 'Jane', email: 'jane@acme.com', company: 'Acme' });
+  assert.ok(capturedAt);
+});
+
+test('does not create an audit for an unknown session', async () => {
+  const sessionId = '00000000-0000-4000-8000-000000000000';
+  const { statusCode, data } = await run({ sessionId, ...details });
+  assert.equal(statusCode, 404);
+  assert.equal(data.error, 'No audit in progress for this session');
+  assert.equal(await createStore('audits').get(sessionId), null);
+});
+
+test('leaves a finished audit as it was', async () => {
+  const sessionId = await startAudit();
+  const audit = await loadAudit(request('GET'), sessionId);
+  audit.assessment = { summary: 'done' };
+  await saveAudit(request('GET'), audit);
+
+  assert.equal((await run({ sessionId, ...details })).statusCode, 404);
+  assert.equal((await loadAudit(request('GET'), sessionId)).lead, null);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setupEnv } = require('./helpers');
+
+setupEnv();
+const { LLMError, withRetry } = require('../netlify/lib/llm/http');
+const { createMockProvider, sampleFromSchema } = require('../netlify/lib/llm/mock');
+const { getProvider } = require('../netlify/lib/llm');
+
+// ===== RETRIES =====
+// An attempt that only ends when withRetry aborts it
+const hang = (calls) => (signal) => {
+  calls.push(Date.now());
+  return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+};
+
+test('retries retryable errors within the deadline', async () => {
+  let calls = 0;
+  const result = await withRetry(async () => {
+    if (++calls < 3) throw new LLMError('busy', { status: 503, retryable: true, retryAfterMs: 10 });
+    return 'ok';
+  }, { retries: 2, deadline: Date.now() + 5000 });
+  assert.equal(result, 'ok');
+  assert.equal(calls, 3);
+});
+
+test('does not retry other errors', async () => {
+  let calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw new LLMError('bad request', { status: 400 });
+  }, { retries: 2 }), { status: 400 });
+  assert.equal(calls, 1);
+});
+
+test('cuts the attempt timeout to the deadline and does not retry past it', async () => {
+  const calls = [];
+  const started = Date.now();
+  await assert.rejects(withRetry(hang(calls), { timeoutMs: 60000, retries: 5, deadline: started + 1500 }), { status: 504, message: /timed out/ });
+  assert.equal(calls.length, 1);
+  assert.ok(Date.now() - started < 2500);
+});
+
+test('does not start a call once the deadline has passed', async () => {
+  const calls = [];
+  await assert.rejects(withRetry(hang(calls), { deadline: Date.now() - 1 }), { status: 504, message: /deadline exceeded/ });
+  assert.equal(calls.length, 0);
+});
+
+// ===== MOCK PROVIDER =====
+const turns = (...contents) => contents.map((content, i) => ({ role: i % 2 === 0 ? 'user' : 'assistant', content }));
+
+test('is picked with LLM_PROVIDER=mock', () => {
+  assert.equal(getProvider().name, 'mock');
+});
+
+test('walks the default script by assistant turn and repeats the last reply', async () => {
+  const llm = createMockProvider();
+  assert.match(await llm.generate({ messages: turns('Hi') }), /^===PHASE:0===\nWelcome!/);
+  assert.match(await llm.generate({ messages: turns('Hi', 'Welcome', 'English') }), /^===PHASE:1===\nGreat/);
+  const last = await llm.generate({ messages: turns(...Array(30).fill('x'), 'y') });
+  assert.equal(last, '===PHASE:5===\n===ASSESSMENT===');
+});
+
+test('answers matching rules before the scripted replies', async () => {
+  const llm = createMockProvider({ script: { replies: ['scripted'], rules: [{ when: 'price|cost', reply: 'ruled' }], json: null } });
+  assert.equal(await llm.generate({ messages: turns('What does it COST?') }), 'ruled');
+  assert.equal(await llm.generate({ messages: turns('Hello') }), 'scripted');
+});
+
+test('answers schema requests with the scripted JSON or a sample of the schema', async () => {
+  const schema = {
+    type: 'OBJECT',
+    properties: {
+      grade: { type: 'STRING', enum: ['A', 'B'] },
+      items: { type: 'ARRAY', minItems: 2, items: { type: 'STRING' } },
+      score: { type: 'NUMBER' },
+      done: { type: 'BOOLEAN' },
+    },
+  };
+  assert.deepEqual(sampleFromSchema(schema), { grade: 'A', items: ['mock items', 'mock items'], score: 0, done: false });
+  assert.deepEqual(JSON.parse(await createMockProvider().generate({ messages: turns('x'), schema })), sampleFromSchema(schema));
+  const scripted = createMockProvider({ script: { replies: [], rules: [], json: { fixed: true } } });
+  assert.deepEqual(JSON.parse(await scripted.generate({ messages: turns('x'), schema })), { fixed: true });
+});
+
+test('streams the same reply in chunks', async () => {
+  const llm = createMockProvider({ chunkSize: 5 });
+  const chunks = [];
+  for await (const chunk of await llm.stream({ messages: turns('Hi') })) chunks.push(chunk);
+  assert.ok(chunks.length > 1 && chunks.every(c => c.length <= 5));
+  assert.equal(chunks.join(''), await llm.generate({ messages: turns('Hi') }));
+});
+
+test('loads a script file and keeps the defaults it leaves out', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-')), 'script.json');
+  fs.writeFileSync(file, JSON.stringify({ rules: [{ when: '^stop$', reply: 'stopped' }] }));
+  process.env.LLM_MOCK_SCRIPT = file;
+  try {
+    const llm = getProvider();
+    assert.equal(await llm.generate({ messages: turns('stop') }), 'stopped');
+    assert.match(await llm.generate({ messages: turns('go') }), /^===PHASE:0===/);
+  } finally {
+    delete process.env.LLM_MOCK_SCRIPT;
+  }
+});
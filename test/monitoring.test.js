@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv, request } = require('./helpers');
+
+setupEnv({ fixtures: 'check.json' });
+const { registerMonitor, loadMonitor, forEachMonitor, runMonitor, runDueMonitors } = require('../netlify/lib/monitoring');
+const { createStore } = require('../netlify/lib/storage');
+
+const event = request('GET');
+
+test('re-checks only the monitors that are due', async () => {
+  await registerMonitor(event, 'acme.com');
+  const fresh = await registerMonitor(event, 'fresh.acme.com');
+  fresh.lastRunAt = new Date().toISOString();
+  await createStore('monitors', event).set(fresh.domain, fresh);
+
+  const { due, results } = await runDueMonitors(event);
+  assert.equal(due, 1);
+  assert.deepEqual(results.map(r => r.domain), ['acme.com']);
+  assert.equal((await loadMonitor(event, 'acme.com')).snapshots.length, 1);
+  assert.equal((await loadMonitor(event, 'fresh.acme.com')).snapshots.length, 0);
+
+  const visited = [];
+  await forEachMonitor(event, m => visited.push(m.domain));
+  assert.deepEqual(visited.sort(), ['acme.com', 'fresh.acme.com']);
+});
+
+test('logs an unsent alert email without its recipient or text', async (t) => {
+  const logged = t.mock.method(console, 'error', () => {});
+  const monitor = await registerMonitor(event, 'alerts.acme.com', { alerts: { email: 'ops@acme.com' } });
+  await runMonitor(event, monitor);
+  // Pretend the last run scored far better, so this run is a regression
+  const seeded = await loadMonitor(event, 'alerts.acme.com');
+  seeded.snapshots[0].score += 50;
+  await createStore('monitors', event).set(seeded.domain, seeded);
+
+  const { change } = await runMonitor(event, seeded);
+  assert.deepEqual(change.alerts, [{ channel: 'email', ok: false, error: 'ALERT_EMAIL_URL is not set' }]);
+  assert.deepEqual(logged.mock.calls.map(c => c.arguments), [
+    ['Monitor alert email for alerts.acme.com (deliverability.regression) not sent: ALERT_EMAIL_URL is not set'],
+  ]);
+});
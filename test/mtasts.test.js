@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { setupEnv } = require('./helpers');
+
+setupEnv({ fixtures: 'mtasts.json' });
+const { parsePolicy, matchesPolicy } = require('../netlify/lib/mtasts');
+const { checkMTASTS } = require('../netlify/lib/deliverability');
+
+// The local stand-in for https://mta-sts.<domain>/.well-known/mta-sts.txt
+const POLICIES = {
+  'enforced.com': 'version: STSv1\nmode: enforce\nmx: *.enforced.com\nmax_age: 604800\n',
+  'partial.com': 'version: STSv1\nmode: enforce\nmx: mx.partial.com\nmax_age: 604800\n',
+};
+const server = http.createServer((req, res) => {
+  const domain = decodeURIComponent(req.url.slice(1));
+  if (domain === 'moved.com') return res.writeHead(301, { location: '/enforced.com' }).end();
+  if (!POLICIES[domain]) return res.writeHead(404).end();
+  return res.writeHead(200, { 'content-type': 'text/plain' }).end(POLICIES[domain]);
+});
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.MTA_STS_POLICY_URL = `http://127.0.0.1:${server.address().port}/{domain}`;
+});
+test.after(() => server.close());
+
+test('parses a policy file', () => {
+  const policy = parsePolicy('version: STSv1\r\nmode: Enforce\r\nmx: mx.acme.com\r\nmx: *.acme.com\r\nmax_age: 86400\r\n');
+  assert.deepEqual(policy, { version: 'STSv1', mode: 'enforce', mx: ['mx.acme.com', '*.acme.com'], maxAge: 86400, errors: [] });
+  assert.deepEqual(parsePolicy('version: STSv1\nmode: strict\nmax_age: soon').errors, [
+    'mode: must be enforce, testing or none (got "strict")',
+    'max_age: must be a number of seconds',
+    'mx: at least one mx line is required',
+  ]);
+});
+
+test('matches a wildcard mx line against exactly one label', () => {
+  assert.equal(matchesPolicy('mx1.acme.com.', ['*.acme.com']), true);
+  assert.equal(matchesPolicy('a.mx1.acme.com', ['*.acme.com']), false);
+  assert.equal(matchesPolicy('acme.com', ['*.acme.com']), false);
+});
+
+test('passes an enforced policy that covers every MX host', async () => {
+  const result = await checkMTASTS('enforced.com');
+  assert.equal(result.status, 'pass');
+  assert.equal(result.raw.policy.url, process.env.MTA_STS_POLICY_URL.replace('{domain}', 'enforced.com'));
+  assert.deepEqual(result.raw.uncovered, []);
+});
+
+test('fails an enforced policy that leaves an MX host out', async () => {
+  const result = await checkMTASTS('partial.com');
+  assert.equal(result.status, 'fail');
+  assert.deepEqual(result.raw.uncovered, ['backup.mailhost.net']);
+  assert.equal(result.findings[0].id, 'mx-not-covered');
+});
+
+test('does not follow a redirect to the policy', async () => {
+  const result = await checkMTASTS('moved.com');
+  assert.equal(result.status, 'fail');
+  assert.equal(result.summary, 'MTA-STS policy file could not be fetched');
+  assert.match(result.raw.policyError, /redirects \(HTTP 301\)/);
+});
+
+test('reports an invalid record ahead of the policy', async () => {
+  const result = await checkMTASTS('broken.com');
+  assert.equal(result.status, 'fail');
+  assert.equal(result.summary, 'MTA-STS record is invalid');
+  assert.match(result.detail, /id=2026-01-01 must be 1-32 letters and digits/);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv, request } = require('./helpers');
+
+setupEnv();
+const { loadTemplate, addTemplate, loadExperiment, validateExperiment, assignVariant } = require('../netlify/lib/prompts');
+
+const event = request('GET');
+
+test('ships a valid experiment that splits sessions between its variants', async () => {
+  const experiment = await loadExperiment(event);
+  assert.deepEqual(await validateExperiment(event, experiment), []);
+
+  const counts = {};
+  for (let i = 0; i < 400; i++) {
+    const { id } = assignVariant(experiment, `00000000-0000-4000-8000-${String(i).padStart(12, '0')}`, {});
+    counts[id] = (counts[id] || 0) + 1;
+  }
+  assert.deepEqual(Object.keys(counts).sort(), experiment.variants.map(v => v.id).sort());
+  assert.ok(Object.values(counts).every(n => n > 120), JSON.stringify(counts));
+});
+
+test('accepts chat templates with or without the booking marker, but not a misspelled marker', async () => {
+  const experimentWith = (chat) => ({ id: 'markers', variants: [{ id: 'a', weight: 1, prompts: { chat, assessment: 'assessment@1' } }] });
+  assert.deepEqual(await validateExperiment(event, experimentWith('chat@1')), []);
+  assert.deepEqual(await validateExperiment(event, experimentWith('chat@2')), []);
+
+  const content = (await loadTemplate(event, 'chat@2')).replaceAll('===BOOKING===', '===BOOKNG===');
+  const { ref } = await addTemplate(event, 'chat', content);
+  assert.deepEqual(await validateExperiment(event, experimentWith(ref)), [
+    `variants[0]: ${ref} uses ===BOOKNG===, which nothing acts on in the chat prompt`,
+  ]);
+});
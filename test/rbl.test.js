@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv } = require('./helpers');
+
+setupEnv({ fixtures: 'rbl.json' });
+const { collectSendingIPs } = require('../netlify/lib/rbl');
+const { checkSPF, checkBlacklists } = require('../netlify/lib/deliverability');
+const { traceQueries } = require('../netlify/lib/resolver');
+
+test('queries single SPF addresses and reports ranges', async () => {
+  const spf = await checkSPF('sender.example');
+  const { ips, ranges } = await collectSendingIPs('sender.example', spf.raw.tree);
+  assert.deepEqual(ips, [
+    { ip: '192.0.2.25', sources: ['MX mx.sender.example'] },
+    { ip: '192.0.2.10', sources: ['SPF'] },
+    { ip: '192.0.2.11', sources: ['SPF'] },
+    { ip: '2001:db8::25', sources: ['SPF'] },
+  ]);
+  assert.deepEqual(ranges, ['198.51.100.0/24', '2001:db8::/32']);
+});
+
+test('lists the sending IPs found on blocklists and never queries a range', async () => {
+  const spf = await checkSPF('sender.example');
+  const { result, queries } = await traceQueries(() => checkBlacklists('sender.example', spf));
+  assert.equal(result.status, 'fail');
+  assert.deepEqual(result.raw.listed.map(l => `${l.target} ${l.list}`), ['192.0.2.25 Spamhaus ZEN', '192.0.2.10 Spamcop']);
+  assert.match(result.detail, /198\.51\.100\.0\/24, 2001:db8::\/32 were not queried/);
+  assert.equal(queries.some(q => /^0\.100\.51\.198\./.test(q.name)), false);
+  assert.equal(queries.some(q => q.name.startsWith('0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.8.b.d.0.1.0.0.2.')), false);
+});
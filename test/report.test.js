@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const zlib = require('zlib');
+const { setupEnv, fixturePath, request } = require('./helpers');
+
+setupEnv();
+const report = require('../netlify/functions/report');
+const { loadAudit, saveAudit } = require('../netlify/lib/audits');
+
+const assessment = JSON.parse(fs.readFileSync(fixturePath('assessment.json'), 'utf8'));
+
+// A finished audit whose lead typed markup and PDF string delimiters into the form
+async function finishedAudit(sessionId, changes = {}) {
+  const audit = await loadAudit(request('GET'), sessionId);
+  Object.assign(audit, {
+    transcript: [{ role: 'user', content: 'Hi' }],
+    lead: { name: 'Jane <script>alert(1)</script>', email: 'jane@acme.com', company: 'Acme & Co (EU) \\ "Ltd"' },
+    assessment,
+    deliverability: {
+      domain: 'acme.com',
+      score: 72,
+      grade: 'C',
+      checks: { dmarc: { id: 'dmarc', name: 'DMARC Record', status: 'warn', summary: 'Policy is p=none', fix: 'Move to p=quarantine.' } },
+      topFixes: [{ fix: 'Move to p=quarantine.', points: 12 }],
+    },
+    ...changes,
+  });
+  return saveAudit(request('GET'), audit);
+}
+
+const get = (query) => report.handler(request('GET', undefined, { query }));
+
+// The text operators of every content stream, inflated
+function pdfText(pdf) {
+  const text = [];
+  for (const match of pdf.toString('latin1').matchAll(/stream\n([\s\S]*?)\nendstream/g)) {
+    try {
+      text.push(zlib.inflateSync(Buffer.from(match[1], 'latin1')).toString('latin1'));
+    } catch {
+      // Not deflated
+    }
+  }
+  return text.join('\n');
+}
+
+test('renders the HTML report with user text escaped', async () => {
+  const sessionId = '11111111-1111-4111-8111-111111111111';
+  await finishedAudit(sessionId);
+  const response = await get({ sessionId, format: 'html' });
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.headers['Content-Type'], 'text/html; charset=utf-8');
+  assert.equal(response.headers['Content-Disposition'], 'inline; filename="audit-report-acme-co-eu-ltd.html"');
+
+  const html = response.body;
+  assert.ok(!html.includes('<script>'));
+  assert.match(html, /Prepared for Jane &lt;script&gt;alert\(1\)&lt;\/script&gt;, Acme &amp; Co \(EU\) \\ &quot;Ltd&quot;/);
+  assert.match(html, /<h2>Overall Assessment: Solid with gaps<\/h2>/);
+  assert.match(html, /<strong>\+12 pts:<\/strong> Move to p=quarantine\./);
+});
+
+test('renders the PDF report with PDF strings escaped', async () => {
+  const sessionId = '22222222-2222-4222-8222-222222222222';
+  await finishedAudit(sessionId);
+  const response = await get({ sessionId, format: 'pdf' });
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.headers['Content-Type'], 'application/pdf');
+  assert.equal(response.isBase64Encoded, true);
+
+  const pdf = Buffer.from(response.body, 'base64');
+  assert.equal(pdf.subarray(0, 5).toString('latin1'), '%PDF-');
+  assert.match(pdf.subarray(-8).toString('latin1'), /%%EOF\s*$/);
+  const text = pdfText(pdf);
+  assert.ok(text.includes('Acme & Co \\(EU\\) \\\\ "Ltd"'));
+  assert.ok(text.includes('Client Acquisition Audit'));
+});
+
+test('has no report before the assessment is done', async () => {
+  const sessionId = '33333333-3333-4333-8333-333333333333';
+  await finishedAudit(sessionId, { assessment: null });
+  for (const format of ['html', 'pdf']) {
+    const response = await get({ sessionId, format });
+    assert.equal(response.statusCode, 404);
+    assert.equal(JSON.parse(response.body).error, 'The report is available once your assessment is complete.');
+  }
+  assert.equal((await get({ sessionId: 'nope' })).statusCode, 400);
+  assert.equal((await get({ sessionId, format: 'docx' })).statusCode, 400);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SCORING, validateScoring, gradeFor, scoreChecks } = require('../netlify/lib/scoring');
+
+const check = (status, findings = []) => ({ name: status, status, findings });
+const finding = (id, severity, fix = `fix ${id}`) => ({ id, severity, message: id, fix });
+
+test('deducts each finding by severity and ranks the fixes by points recovered', () => {
+  const result = scoreChecks({
+    spf: check('pass'),
+    dmarc: check('warn', [finding('policy-none', 'high'), finding('no-rua', 'low')]),
+    dkim: check('error'),
+  });
+  // dmarc loses 12.5 + 2.5 of 25, dkim all 17: 20 + 10 + 0 of 62
+  assert.deepEqual(result.breakdown.map(b => [b.id, b.earned, b.max]), [['spf', 20, 20], ['dmarc', 10, 25], ['dkim', 0, 17]]);
+  assert.equal(result.score, 48);
+  assert.equal(result.grade, 'F');
+  assert.deepEqual(result.topFixes.map(f => [f.check, f.fix, f.points]), [['dmarc', 'fix policy-none', 20.2], ['dmarc', 'fix no-rua', 4]]);
+});
+
+test('applies overridden weights, severities and grade thresholds', () => {
+  const checks = { spf: check('pass'), dmarc: check('warn', [finding('policy-none', 'high')]) };
+  assert.deepEqual([scoreChecks(checks).score, scoreChecks(checks).grade], [72, 'C']);
+
+  const config = {
+    ...SCORING,
+    checks: { spf: { points: 10 }, dmarc: { points: 40 } },
+    severities: { ...SCORING.severities, high: 0.25 },
+    grades: [{ grade: 'Pass', min: 75 }, { grade: 'Fail', min: 0 }],
+    topFixes: 1,
+  };
+  const result = scoreChecks(checks, config);
+  assert.deepEqual(result.breakdown.map(b => [b.id, b.earned, b.max]), [['spf', 10, 10], ['dmarc', 30, 40]]);
+  assert.equal(result.score, 80);
+  assert.equal(result.grade, 'Pass');
+  assert.deepEqual(result.topFixes.map(f => f.points), [20]);
+  assert.equal(gradeFor(74, config), 'Fail');
+});
+
+test('rejects an invalid config and checks or severities it does not know', () => {
+  assert.deepEqual(validateScoring(SCORING), []);
+  assert.deepEqual(validateScoring({
+    checks: { spf: { points: -1 } },
+    severities: { critical: 2 },
+    unchecked: 'fatal',
+    grades: [{ grade: 'F', min: 0 }, { grade: 'A', min: 90 }],
+    topFixes: 1.5,
+  }), [
+    'checks.spf.points must be a number of 0 or more',
+    'severities.critical must be between 0 and 1',
+    'unchecked must be one of the severities',
+    'grades must be ordered from the highest min to the lowest',
+    'the last grade must have min 0',
+    'topFixes must be a whole number of 0 or more',
+  ]);
+  assert.deepEqual(validateScoring(null), ['must be an object']);
+
+  assert.throws(() => scoreChecks({ spf: check('pass') }, { ...SCORING, grades: [] }), /^Error: Invalid scoring config: grades must be a non-empty list/);
+  assert.throws(() => scoreChecks({ arc: check('pass') }), /No scoring rule for check "arc"/);
+  assert.throws(() => scoreChecks({ spf: check('warn', [finding('x', 'severe')]) }), /Unknown finding severity "severe"/);
+});
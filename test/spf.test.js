@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv } = require('./helpers');
+
+setupEnv({ fixtures: 'spf.json' });
+const { parseSPF, evaluateSPF, formatTree, MAX_LOOKUPS } = require('../netlify/lib/spf');
+const { traceQueries } = require('../netlify/lib/resolver');
+
+const mechanism = (record) => parseSPF(`v=spf1 ${record}`).mechanisms[0];
+
+test('parses ip4 and ip6 prefixes', () => {
+  assert.deepEqual(mechanism('ip4:192.0.2.0/24'), { term: 'ip4:192.0.2.0/24', qualifier: 'pass', name: 'ip4', value: '192.0.2.0', cidr4: 24, cidr6: null });
+  assert.deepEqual(mechanism('-ip4:192.0.2.1'), { term: '-ip4:192.0.2.1', qualifier: 'fail', name: 'ip4', value: '192.0.2.1', cidr4: null, cidr6: null });
+  assert.deepEqual(mechanism('ip6:2001:db8::/32'), { term: 'ip6:2001:db8::/32', qualifier: 'pass', name: 'ip6', value: '2001:db8::', cidr4: null, cidr6: 32 });
+  assert.deepEqual(mechanism('ip6:2001:db8::1'), { term: 'ip6:2001:db8::1', qualifier: 'pass', name: 'ip6', value: '2001:db8::1', cidr4: null, cidr6: null });
+});
+
+test('parses dual prefixes on a: and mx:', () => {
+  assert.deepEqual(mechanism('a:mail.example/24//64'), { term: 'a:mail.example/24//64', qualifier: 'pass', name: 'a', value: 'mail.example', cidr4: 24, cidr6: 64 });
+  assert.deepEqual(mechanism('mx//48'), { term: 'mx//48', qualifier: 'pass', name: 'mx', value: null, cidr4: null, cidr6: 48 });
+  assert.deepEqual(mechanism('~mx/28'), { term: '~mx/28', qualifier: 'softfail', name: 'mx', value: null, cidr4: 28, cidr6: null });
+});
+
+test('parses bare mechanisms and modifiers', () => {
+  const parsed = parseSPF('v=spf1 a mx ?all redirect=_spf.example');
+  assert.deepEqual(parsed.mechanisms.map(m => [m.name, m.value, m.qualifier]), [['a', null, 'pass'], ['mx', null, 'pass'], ['all', null, 'neutral']]);
+  assert.deepEqual(parsed.modifiers, { redirect: '_spf.example' });
+  assert.deepEqual(parsed.errors, []);
+  assert.deepEqual(parseSPF('v=spf1 bogus:x -all').errors, ['Unknown or malformed term "bogus:x"']);
+});
+
+test('stops at the lookup limit in a wide include graph', async () => {
+  const { result, queries } = await traceQueries(() => evaluateSPF('dag.example'));
+  assert.equal(result.lookups, MAX_LOOKUPS + 1);
+  assert.equal(result.lookupLimitExceeded, true);
+  assert.deepEqual(result.limitExceededAt, { domain: 'l3-0.dag.example', term: 'include:l4-7.dag.example' });
+  // The root record plus the ten includes that were within the limit
+  assert.equal(queries.filter(q => q.type === 'TXT').length, MAX_LOOKUPS + 1);
+  assert.deepEqual(result.ip4, ['192.0.2.0', '192.0.2.1', '192.0.2.2', '192.0.2.3', '192.0.2.4', '192.0.2.5', '192.0.2.6']);
+});
+
+test('fetches an include shared by two branches once but counts it twice', async () => {
+  const { result, queries } = await traceQueries(() => evaluateSPF('shared.example'));
+  assert.equal(queries.filter(q => q.name === 'common.shared.example').length, 1);
+  assert.equal(result.lookups, 4);
+  assert.equal(result.lookupLimitExceeded, false);
+  assert.deepEqual(result.ip4, ['198.51.100.0/24']);
+  assert.deepEqual(result.ip6, ['2001:db8::/32']);
+  assert.equal(formatTree(result.tree), [
+    'shared.example (2 lookups)',
+    '  a.shared.example (1 lookup)',
+    '    common.shared.example (0 lookups)',
+    '  b.shared.example (1 lookup)',
+    '    common.shared.example (0 lookups, repeated)',
+  ].join('\n'));
+});
+
+test('stops after the third void lookup', async () => {
+  const { result, queries } = await traceQueries(() => evaluateSPF('void.example'));
+  assert.equal(result.voidLookups, 3);
+  assert.equal(result.voidLimitExceeded, true);
+  assert.equal(queries.some(q => q.name === 'later.void.example'), false);
+});
+
+test('reports include loops', async () => {
+  const result = await evaluateSPF('loop.example');
+  assert.deepEqual(result.loops, ['loop.example → back.loop.example → loop.example']);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv } = require('./helpers');
+
+// gateway.com receives through Mimecast, sends through Microsoft 365 and, via a relay's SPF
+// include, Mailchimp; plain.com runs its own mail server
+setupEnv({ fixtures: 'stack.json' });
+const { checkSPF, checkDKIM, checkMX } = require('../netlify/lib/deliverability');
+const { mxProvider, identifyStack } = require('../netlify/lib/stack');
+
+const stackOf = async (domain) => {
+  const [spf, dkim, mx] = await Promise.all([checkSPF(domain), checkDKIM(domain), checkMX(domain)]);
+  return identifyStack({ spf, dkim, mx });
+};
+const summary = (stack) => stack.map(s => [s.id, s.confidence, s.evidence.map(e => `${e.type}:${e.value}`)]);
+
+test('matches MX hosts on label boundaries', () => {
+  assert.equal(mxProvider('ASPMX.L.Google.com.').id, 'google-workspace');
+  assert.equal(mxProvider('acme-com.mail.protection.outlook.com').id, 'microsoft-365');
+  assert.equal(mxProvider('notgoogle.com'), null);
+});
+
+test('identifies the stack from MX hosts, SPF includes at any depth and DKIM selectors', async () => {
+  const stack = await stackOf('gateway.com');
+  assert.deepEqual(summary(stack), [
+    ['microsoft-365', 'high', ['spf:spf.protection.outlook.com', 'dkim:selector1']],
+    ['mimecast', 'high', ['mx:us-smtp-inbound-1.mimecast.com', 'mx:us-smtp-inbound-2.mimecast.com']],
+    ['mailchimp', 'medium', ['spf:servers.mcsv.net']],
+  ]);
+  // Mailchimp is likely but not signing, so its DKIM setup is the fix
+  assert.deepEqual(stack[2].fixes.map(f => f.check), ['dkim']);
+});
+
+test('identifies nothing for a self-hosted domain', async () => {
+  assert.deepEqual(await stackOf('plain.com'), []);
+  assert.deepEqual(identifyStack(), []);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupEnv } = require('./helpers');
+
+const dir = setupEnv();
+const { createStore, forEachKey } = require('../netlify/lib/storage');
+
+test('stores, lists and deletes JSON values in files', async () => {
+  const store = createStore('things');
+  assert.equal(await store.get('missing'), null);
+  assert.deepEqual(await store.list(), []);
+
+  await store.set('b', { n: 2 });
+  await store.set('a', { n: 1 });
+  await store.set('a', { n: 3 });
+  assert.deepEqual(await store.get('a'), { n: 3 });
+  assert.deepEqual(await store.list(), ['a', 'b']);
+
+  await store.delete('a');
+  await store.delete('a');
+  assert.equal(await store.get('a'), null);
+  assert.deepEqual(await store.list(), ['b']);
+});
+
+test('keeps keys with slashes and other characters intact', async () => {
+  const store = createStore('keys');
+  await store.set('tenant/acme/audit 1', { ok: true });
+  await store.set('tenant/other/audit', { ok: true });
+  await store.set('plain', { ok: true });
+  assert.deepEqual(await store.list('tenant/acme/'), ['tenant/acme/audit 1']);
+  assert.deepEqual(await store.list('tenant/'), ['tenant/acme/audit 1', 'tenant/other/audit']);
+  assert.deepEqual(await store.get('tenant/acme/audit 1'), { ok: true });
+  // One file per key, nothing left over from the write
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'keys')).sort(), ['plain.json', 'tenant%2Facme%2Faudit%201.json', 'tenant%2Fother%2Faudit.json']);
+});
+
+test('separates stores by name', async () => {
+  await createStore('one').set('key', { from: 'one' });
+  await createStore('two').set('key', { from: 'two' });
+  assert.deepEqual(await createStore('one').get('key'), { from: 'one' });
+  assert.deepEqual(await createStore('two').get('key'), { from: 'two' });
+});
+
+test('writes conditionally on the version that was read', async () => {
+  const store = createStore('versions');
+  assert.equal(await store.getVersioned('counter'), null);
+  assert.equal(await store.setIf('counter', { n: 1 }, null), true);
+  assert.equal(await store.setIf('counter', { n: 1 }, null), false);
+
+  const first = await store.getVersioned('counter');
+  assert.deepEqual(first.value, { n: 1 });
+  assert.equal(await store.setIf('counter', { n: 2 }, first.version), true);
+  assert.equal(await store.setIf('counter', { n: 3 }, first.version), false);
+  assert.deepEqual(await store.get('counter'), { n: 2 });
+});
+
+test('lets exactly one of several concurrent conditional writes win', async () => {
+  const store = createStore('race');
+  await store.set('counter', { n: 0 });
+  const { version } = await store.getVersioned('counter');
+  const results = await Promise.all([1, 2, 3, 4].map(n => store.setIf('counter', { n }, version)));
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.deepEqual(await store.get('counter'), { n: results.indexOf(true) + 1 });
+});
+
+test('visits every key page by page with bounded concurrency', async () => {
+  const pages = [['a', 'b', 'c', 'd', 'e'], ['f', 'g']];
+  const store = { listPages: async function* () { yield* pages; } };
+  const seen = [];
+  let inFlight = 0;
+  let peak = 0;
+  await forEachKey(store, '', async (key) => {
+    peak = Math.max(peak, ++inFlight);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    seen.push(key);
+    inFlight -= 1;
+  }, { concurrency: 2 });
+  assert.deepEqual(seen.sort(), ['a', 'b', 'c', 'd', 'e', 'f', 'g']);
+  assert.equal(peak, 2);
+
+  const files = createStore('paged');
+  await Promise.all(['x1', 'x2', 'y1'].map(key => files.set(key, {})));
+  const listed = [];
+  for await (const keys of files.listPages('x')) listed.push(keys);
+  assert.deepEqual(listed, [['x1', 'x2']]);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv, fixturePath, request } = require('./helpers');
+
+setupEnv({ TENANTS_DIR: fixturePath('tenants') });
+const { validateTenant, resolveTenant, listTenants, publicTenant } = require('../netlify/lib/tenants');
+const tenantFunction = require('../netlify/functions/tenant');
+
+const withHeaders = (headers, query) => request('GET', undefined, { headers, query });
+
+test('lists the default tenant first and lowercases hosts', () => {
+  assert.deepEqual(listTenants().map(t => t.id), ['default', 'acme']);
+  assert.deepEqual(listTenants()[1].hosts, ['audit.acme.com', 'audit.acme-growth.com']);
+});
+
+test('resolves the tenant from the host, then the header or query, then the default', () => {
+  assert.equal(resolveTenant(withHeaders({ host: 'Audit.Acme.com:443' })).id, 'acme');
+  assert.equal(resolveTenant(withHeaders({ 'x-forwarded-host': 'audit.acme-growth.com', host: 'site.netlify.app' })).id, 'acme');
+  assert.equal(resolveTenant(withHeaders({ host: 'site.netlify.app', 'x-audit-tenant': 'ACME' })).id, 'acme');
+  assert.equal(resolveTenant(withHeaders({ host: 'site.netlify.app' }, { tenant: 'acme' })).id, 'acme');
+  assert.equal(resolveTenant(withHeaders({ host: 'site.netlify.app' })).id, 'default');
+  assert.equal(resolveTenant(withHeaders({ host: 'site.netlify.app', 'x-audit-tenant': 'nobody' })), null);
+  // A tenant host wins over a header naming another tenant
+  assert.equal(resolveTenant(withHeaders({ host: 'audit.acme.com', 'x-audit-tenant': 'default' })).id, 'acme');
+  assert.equal(resolveTenant({ tenantId: 'acme' }).id, 'acme');
+});
+
+test('validates tenant configs', () => {
+  const acme = listTenants()[1];
+  assert.deepEqual(validateTenant(acme), []);
+  assert.deepEqual(validateTenant(null), ['must be an object']);
+  assert.deepEqual(validateTenant({ ...acme, id: 'Acme!', site: 'ftp://acme.com', colors: { dark: '#000' }, logo: '../secret.png', checks: ['spf', 'smtp'] }), [
+    'id must be lowercase letters, digits and dashes',
+    'site must be an http(s) URL',
+    'colors needs dark, primary, bright, glow as #rrggbb',
+    'logo must be a .png path under public/',
+    'checks must be a non-empty subset of spf, dmarc, dkim, mx, blacklists, mtasts, tlsrpt, bimi, dnssec, rdns',
+  ]);
+  assert.deepEqual(validateTenant({ ...acme, hosts: 'audit.acme.com', name: ' ', languages: [] }), [
+    'hosts must be an array of hostnames',
+    'name is required',
+    'languages must be a non-empty array of language names',
+  ]);
+});
+
+test('serves the branding uncached', async () => {
+  const response = await tenantFunction.handler(withHeaders({ host: 'audit.acme.com' }));
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.headers['Cache-Control'], 'no-store');
+  assert.deepEqual(JSON.parse(response.body), publicTenant(listTenants()[1]));
+  assert.equal(JSON.parse(response.body).logo, '/tenants/acme/logo.png');
+});